@@ -1,4 +1,7 @@
 /** @type {import('next').NextConfig} */
-const nextConfig = {};
+const nextConfig = {
+  // solc loads its compiled emscripten module at runtime; keep it out of the bundle
+  serverExternalPackages: ['solc'],
+};
 
 export default nextConfig;
@@ -0,0 +1,150 @@
+// Local relay for live collaboration (`npm run collab`). Speaks the y-websocket
+// protocol: each room (the URL path) holds one shared Yjs document in memory,
+// syncs it to every client that joins and forwards presence (awareness)
+// updates between them. Nothing is persisted; a room is dropped once its last
+// client leaves.
+
+import { WebSocketServer } from 'ws';
+import * as Y from 'yjs';
+import * as syncProtocol from 'y-protocols/sync';
+import * as awarenessProtocol from 'y-protocols/awareness';
+import * as encoding from 'lib0/encoding';
+import * as decoding from 'lib0/decoding';
+
+const PORT = Number(process.env.COLLAB_PORT) || 1234;
+const HOST = process.env.COLLAB_HOST || 'localhost';
+const PING_INTERVAL = 30000;
+
+const MESSAGE_SYNC = 0;
+const MESSAGE_AWARENESS = 1;
+
+const rooms = new Map(); // name -> { name, doc, awareness, clients: Set<socket>, owners: Map<clientID, socket> }
+
+const send = (socket, message) => {
+  if (socket.readyState === socket.OPEN) socket.send(message, (error) => error && socket.close());
+};
+
+const broadcast = (room, message) => room.clients.forEach((socket) => send(socket, message));
+
+const getRoom = (name) => {
+  if (rooms.has(name)) return rooms.get(name);
+
+  const doc = new Y.Doc();
+  const awareness = new awarenessProtocol.Awareness(doc);
+  awareness.setLocalState(null);
+  const room = { name, doc, awareness, clients: new Set(), owners: new Map() };
+
+  doc.on('update', (update) => {
+    const encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, MESSAGE_SYNC);
+    syncProtocol.writeUpdate(encoder, update);
+    broadcast(room, encoding.toUint8Array(encoder));
+  });
+
+  awareness.on('update', ({ added, updated, removed }, socket) => {
+    // Remember which connection each awareness client arrived on so its state
+    // is removed when that connection drops. Clients echo each other's states,
+    // so the first connection to announce a client keeps it.
+    if (room.clients.has(socket)) {
+      [...added, ...updated].forEach((clientID) => {
+        if (!room.owners.has(clientID)) room.owners.set(clientID, socket);
+      });
+    }
+    removed.forEach((clientID) => room.owners.delete(clientID));
+    const encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, MESSAGE_AWARENESS);
+    encoding.writeVarUint8Array(encoder, awarenessProtocol.encodeAwarenessUpdate(awareness, [...added, ...updated, ...removed]));
+    broadcast(room, encoding.toUint8Array(encoder));
+  });
+
+  rooms.set(name, room);
+  return room;
+};
+
+const handleMessage = (room, socket, data) => {
+  const decoder = decoding.createDecoder(new Uint8Array(data));
+  const type = decoding.readVarUint(decoder);
+  if (type === MESSAGE_SYNC) {
+    const encoder = encoding.createEncoder();
+    encoding.writeVarUint(encoder, MESSAGE_SYNC);
+    syncProtocol.readSyncMessage(decoder, encoder, room.doc, socket);
+    // Only a reply to sync step 1 has content beyond the message type
+    if (encoding.length(encoder) > 1) send(socket, encoding.toUint8Array(encoder));
+  } else if (type === MESSAGE_AWARENESS) {
+    awarenessProtocol.applyAwarenessUpdate(room.awareness, decoding.readVarUint8Array(decoder), socket);
+  }
+};
+
+const leave = (room, socket) => {
+  room.clients.delete(socket);
+  const owned = [...room.owners].filter(([, owner]) => owner === socket).map(([clientID]) => clientID);
+  awarenessProtocol.removeAwarenessStates(room.awareness, owned, null);
+  if (room.clients.size === 0 && rooms.get(room.name) === room) {
+    rooms.delete(room.name);
+    room.awareness.destroy();
+    room.doc.destroy();
+  }
+};
+
+// Room name from the request path, or null when it is not valid URI encoding
+const roomName = (request) => {
+  try {
+    return decodeURIComponent(new URL(request.url, 'http://relay').pathname.slice(1)) || 'default';
+  } catch {
+    return null;
+  }
+};
+
+const join = (socket, request) => {
+  const name = roomName(request);
+  if (name === null) {
+    socket.close(1008, 'Bad room name');
+    return;
+  }
+  const room = getRoom(name);
+  room.clients.add(socket);
+  socket.binaryType = 'arraybuffer';
+
+  socket.on('message', (data) => {
+    try {
+      handleMessage(room, socket, data);
+    } catch (error) {
+      console.error(`[collab] bad message in room "${name}": ${error.message}`);
+    }
+  });
+
+  // Drop connections that stop answering pings
+  let alive = true;
+  socket.on('pong', () => { alive = true; });
+  const ping = setInterval(() => {
+    if (!alive) {
+      socket.terminate();
+      return;
+    }
+    alive = false;
+    socket.ping();
+  }, PING_INTERVAL);
+
+  socket.on('close', () => {
+    clearInterval(ping);
+    leave(room, socket);
+  });
+
+  // Start the sync handshake and send everyone currently present
+  const encoder = encoding.createEncoder();
+  encoding.writeVarUint(encoder, MESSAGE_SYNC);
+  syncProtocol.writeSyncStep1(encoder, room.doc);
+  send(socket, encoding.toUint8Array(encoder));
+
+  const states = room.awareness.getStates();
+  if (states.size > 0) {
+    const awarenessEncoder = encoding.createEncoder();
+    encoding.writeVarUint(awarenessEncoder, MESSAGE_AWARENESS);
+    encoding.writeVarUint8Array(awarenessEncoder, awarenessProtocol.encodeAwarenessUpdate(room.awareness, [...states.keys()]));
+    send(socket, encoding.toUint8Array(awarenessEncoder));
+  }
+};
+
+const server = new WebSocketServer({ port: PORT, host: HOST });
+server.on('connection', join);
+server.on('listening', () => console.log(`[collab] relay listening on ws://${HOST}:${PORT}`));
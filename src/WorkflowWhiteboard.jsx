@@ -19,50 +19,71 @@ import ReactFlow, {
   getIncomers,
   getOutgoers,
   getConnectedEdges,
+  useUpdateNodeInternals,
+  internalsSymbol,
 } from 'reactflow';
 import 'reactflow/dist/style.css';
 import {
-  Play, Database, Cloud, Code, Timer, Filter, Terminal,
-  X, Zap, ChevronLeft, ChevronRight, Edit, Copy, Trash2,
-  Save, Settings, Grid, Lock, Unlock, Download, Upload,
-  Eye, EyeOff, Layers, Search, Plus, Minus, Maximize2,
-  GitBranch, Cpu, Server, Box, Activity, Bell, Hash,
-  Shield, DollarSign, Check, Coins, FileCode, Wallet
+  Play, X, ChevronLeft, ChevronRight, Edit, Copy, Trash2, Save, Grid, Download, Upload, Search,
+  Plus, Minus, Maximize2, GitBranch, Box, Activity, FileCode, Wallet, AlertCircle,
+  ShieldCheck, Undo2, Redo2, FileUp, Network, Rocket, Fuel, AlertTriangle, Boxes, BookmarkPlus,
+  LayoutTemplate, Star, Radio, ImageDown, GitCompareArrows
 } from 'lucide-react';
-
-// Web3 Smart Contract node types
-const nodeTypes = {
-  // Contract Deployment
-  Deploy: { icon: Zap, color: 'from-violet-500 to-purple-600', glow: 'violet', category: 'deployment' },
-  Constructor: { icon: Box, color: 'from-blue-500 to-cyan-600', glow: 'blue', category: 'deployment' },
-
-  // Token Operations
-  MintToken: { icon: Plus, color: 'from-emerald-500 to-green-600', glow: 'emerald', category: 'token' },
-  BurnToken: { icon: Minus, color: 'from-red-500 to-orange-600', glow: 'red', category: 'token' },
-  Transfer: { icon: GitBranch, color: 'from-indigo-500 to-blue-600', glow: 'indigo', category: 'token' },
-  Approve: { icon: Check, color: 'from-teal-500 to-cyan-600', glow: 'teal', category: 'token' },
-
-  // DeFi Operations
-  Swap: { icon: Activity, color: 'from-purple-500 to-pink-600', glow: 'purple', category: 'defi' },
-  AddLiquidity: { icon: Layers, color: 'from-blue-500 to-indigo-600', glow: 'blue', category: 'defi' },
-  Stake: { icon: Lock, color: 'from-amber-500 to-yellow-600', glow: 'amber', category: 'defi' },
-  Withdraw: { icon: Unlock, color: 'from-cyan-500 to-teal-600', glow: 'cyan', category: 'defi' },
-
-  // Smart Contract Logic
-  Require: { icon: Filter, color: 'from-rose-500 to-red-600', glow: 'rose', category: 'logic' },
-  Modifier: { icon: Shield, color: 'from-slate-500 to-gray-600', glow: 'slate', category: 'logic' },
-  Event: { icon: Bell, color: 'from-orange-500 to-amber-600', glow: 'orange', category: 'logic' },
-
-  // Data & Storage
-  Mapping: { icon: Database, color: 'from-green-500 to-emerald-600', glow: 'green', category: 'storage' },
-  Array: { icon: Server, color: 'from-indigo-500 to-purple-600', glow: 'indigo', category: 'storage' },
-  Struct: { icon: Grid, color: 'from-pink-500 to-rose-600', glow: 'pink', category: 'storage' },
-
-  // External Calls
-  Oracle: { icon: Cloud, color: 'from-blue-500 to-sky-600', glow: 'blue', category: 'external' },
-  Interface: { icon: Code, color: 'from-purple-500 to-indigo-600', glow: 'purple', category: 'external' },
-  Payable: { icon: DollarSign, color: 'from-green-500 to-emerald-600', glow: 'green', category: 'external' },
-};
+import { generateSolidity } from '@/lib/codegen/solidity';
+import { generateCadence } from '@/lib/codegen/cadence';
+import { downloadFile } from '@/lib/download';
+import { nodeTypes, blockCategories, handlesOf, minimapColor, HANDLE_TYPES } from '@/lib/node-types';
+import { useBlockTypes } from '@/hooks/use-block-types';
+import { defaultConfig } from '@/lib/config-schema';
+import { checkConnection, valueTypeOf } from '@/lib/connection-rules';
+import { lintWorkflow, applyDiagnostics } from '@/lib/graph-linter';
+import NodeInspector from '@/components/node-inspector';
+import EdgeInspector from '@/components/edge-inspector';
+import { DEFAULT_EDGE_KIND, styleEdge } from '@/lib/edge-types';
+import DiagnosticsPanel from '@/components/diagnostics-panel';
+import { HistoryContext, useHistory, useHistoryContext, isEditableTarget } from '@/hooks/use-history';
+import ProjectLibrary from '@/components/project-library';
+import TemplateGallery from '@/components/template-gallery';
+import { instantiateTemplate } from '@/lib/templates';
+import { saveProject, getProject } from '@/lib/project-store';
+import { renderThumbnail } from '@/lib/thumbnail';
+import { renderDiagramSvg, rasterizeSvg, canvasToBlob } from '@/lib/diagram-svg';
+import { renderSpecSheet } from '@/lib/spec-sheet';
+import ImageExportDialog from '@/components/image-export-dialog';
+import WorkflowCompare from '@/components/workflow-compare';
+import { serializeWorkflow, parseWorkflow, readWorkflowFile } from '@/lib/workflow-schema';
+import { reseedNodeIds, createNodeId, createEdgeId, remapGraph, adoptGraph } from '@/lib/ids';
+import { computeLayeredLayout, animatePositions } from '@/lib/auto-layout';
+import { startSimulation, stepSimulation, markNextRunning, isSimulationFinished } from '@/lib/simulator';
+import SimulationPanel from '@/components/simulation-panel';
+import { compileContract, deployContract } from '@/lib/chain/deploy';
+import { createProvider, listProviders } from '@/lib/chain/providers';
+import DeployPanel from '@/components/deploy-panel';
+import { estimateWorkflowGas, findLowGasLimits, formatGas } from '@/lib/gas-estimator';
+import { GasEstimateContext, useGasEstimate } from '@/hooks/use-gas-estimate';
+import GasPanel from '@/components/gas-panel';
+import { classifyContract } from '@/lib/standards';
+import StandardsPanel from '@/components/standards-panel';
+import CommandPalette from '@/components/command-palette';
+import { CollaborationContext, useCollaboration, useRemoteSelection } from '@/hooks/use-collaboration';
+import { PresenceAvatars, RemoteCursors } from '@/components/collab-presence';
+import { mergeSharedGraph } from '@/lib/collab/shared-graph';
+import { getCollabUser, saveCollabUser } from '@/lib/collab/identity';
+import AnnotationNode from '@/components/annotation-node';
+import {
+  ANNOTATION_NODE, canvasNodeProps, withoutAnnotations, isAnnotationNode, isFrameNode, nodesInFrame,
+} from '@/lib/annotations';
+import {
+  isGroupNode, collapseSubflow, exitSubflows, reenterSubflows, flattenSubflows, cloneNestedIds, instantiateSubflow,
+  collectNodeIds, levelOwners,
+} from '@/lib/subflows';
+import {
+  saveBlock, getSavedBlock, listSavedBlocks, deleteSavedBlock, subscribeSavedBlocks,
+} from '@/lib/saved-blocks';
+import { searchBlocks, scoreBlock } from '@/lib/block-search';
+import {
+  getPalettePrefs, toggleFavorite, recordRecentBlock, subscribePalettePrefs,
+} from '@/lib/palette-prefs';
 
 // Custom edge styles
 const edgeOptions = {
@@ -113,21 +134,75 @@ const initialNodes = [
   },
 ];
 
-// Generate unique IDs
-let nodeIdCounter = 3;
-const getNodeId = () => `node-${nodeIdCounter++}`;
+// New IDs continue after the starter nodes
+reseedNodeIds(initialNodes);
+
+const takenNodeIds = (nodes) => new Set(nodes.map((node) => node.id));
+
+// Stand-in for blocks whose type is not registered (e.g. a plugin that is not loaded)
+const UNKNOWN_BLOCK = { icon: Box, color: 'from-gray-500 to-gray-600' };
+
+// Handle name with its value type, if it carries one
+const PortLabel = ({ port, className }) => (
+  <span className={`truncate max-w-[45%] ${className}`} title={port?.type ? `${port.label}: ${port.type}` : port?.label}>
+    {port?.label}
+    {port?.type && <span className="ml-1 text-gray-600">{port.type}</span>}
+  </span>
+);
+
+// Value handles are coloured by type; control handles stay gray
+const portStyle = (port) => (HANDLE_TYPES[port.type] ? { backgroundColor: HANDLE_TYPES[port.type] } : undefined);
+const portClass = (port, hover) => `!w-2.5 !h-2.5 !border-2 !border-gray-900 ${HANDLE_TYPES[port.type] ? '' : `!bg-gray-600 ${hover}`}`;
+
+// Labelled handle rows, for group ports and blocks with several handles
+const PortRows = ({ inputs, outputs, isConnectable }) => (
+  Array.from({ length: Math.max(inputs.length, outputs.length) }, (_, row) => {
+    const input = inputs[row];
+    const output = outputs[row];
+    return (
+      <div key={row} className="relative -mx-4 px-4 h-6 flex items-center justify-between text-[10px] text-gray-400">
+        <PortLabel port={input} />
+        <PortLabel port={output} className="text-right" />
+        {input && (
+          <Handle
+            type="target"
+            id={input.id}
+            position={Position.Left}
+            isConnectable={isConnectable}
+            style={portStyle(input)}
+            className={portClass(input, 'hover:!bg-blue-500')}
+          />
+        )}
+        {output && (
+          <Handle
+            type="source"
+            id={output.id}
+            position={Position.Right}
+            isConnectable={isConnectable}
+            style={portStyle(output)}
+            className={portClass(output, 'hover:!bg-green-500')}
+          />
+        )}
+      </div>
+    );
+  })
+);
 
 // Custom Node Component with enhanced UI and animations
 const CustomNode = React.memo(({ id, data, selected, isConnectable }) => {
   const [isHovered, setIsHovered] = useState(false);
   const [showActions, setShowActions] = useState(false);
-  const [localData, setLocalData] = useState(data);
   const actionTimeout = useRef(null);
 
-  const nodeType = nodeTypes[data.type] || nodeTypes.Function;
+  const registry = useBlockTypes();
+  const nodeType = registry[data.type] || UNKNOWN_BLOCK;
   const Icon = nodeType.icon;
 
   const { setNodes, setEdges, getNode, getNodes, getEdges } = useReactFlow();
+  const { takeSnapshot } = useHistoryContext();
+  const gas = useGasEstimate();
+  const gasLimitWarning = gas.lowLimits.find((warning) => warning.nodeId === id);
+  const remoteSelection = useRemoteSelection(id);
 
   // Handle hover with delay
   const handleMouseEnter = () => {
@@ -155,8 +230,9 @@ const CustomNode = React.memo(({ id, data, selected, isConnectable }) => {
   // Node action handlers
   const handleEdit = (e) => {
     e.stopPropagation();
-    const newLabel = prompt('Edit node label:', localData.label);
-    if (newLabel && newLabel !== localData.label) {
+    const newLabel = prompt('Edit node label:', data.label);
+    if (newLabel && newLabel !== data.label) {
+      takeSnapshot();
       setNodes((nodes) =>
         nodes.map((node) =>
           node.id === id
@@ -164,13 +240,13 @@ const CustomNode = React.memo(({ id, data, selected, isConnectable }) => {
             : node
         )
       );
-      setLocalData({ ...localData, label: newLabel });
     }
   };
 
   const handleDelete = (e) => {
     e.stopPropagation();
     if (confirm('Are you sure you want to delete this node?')) {
+      takeSnapshot();
       setNodes((nodes) => nodes.filter((node) => node.id !== id));
       setEdges((edges) => edges.filter((edge) => edge.source !== id && edge.target !== id));
     }
@@ -180,22 +256,43 @@ const CustomNode = React.memo(({ id, data, selected, isConnectable }) => {
     e.stopPropagation();
     const currentNode = getNode(id);
     if (currentNode) {
+      const [copy] = cloneNestedIds([currentNode], [], collectNodeIds(getNodes())).nodes;
       const newNode = {
-        ...currentNode,
-        id: getNodeId(),
+        ...copy,
+        id: createNodeId(takenNodeIds(getNodes())),
         position: {
           x: currentNode.position.x + 50,
           y: currentNode.position.y + 50,
         },
         data: {
-          ...currentNode.data,
+          ...copy.data,
           label: `${currentNode.data.label} (Copy)`,
         },
       };
+      takeSnapshot();
       setNodes((nodes) => [...nodes, newNode]);
     }
   };
 
+  const handleSaveBlock = (e) => {
+    e.stopPropagation();
+    const name = prompt('Save to palette as:', data.label);
+    if (name) saveBlock(name, data.subflow);
+  };
+
+  const subflow = data.type === 'Group' ? data.subflow : null;
+  const handles = handlesOf(data.type);
+  const labelledHandles = !subflow && (
+    handles.inputs.length > 1 || handles.outputs.length > 1 ||
+    [...handles.inputs, ...handles.outputs].some((handle) => handle.label)
+  );
+
+  // Port handles change when the group's inner graph is edited
+  const updateNodeInternals = useUpdateNodeInternals();
+  useEffect(() => {
+    updateNodeInternals(id);
+  }, [id, subflow?.inputs, subflow?.outputs, handles, updateNodeInternals]);
+
   const statusColors = {
     idle: 'bg-gray-500',
     running: 'bg-yellow-500 animate-pulse',
@@ -213,6 +310,27 @@ const CustomNode = React.memo(({ id, data, selected, isConnectable }) => {
       onMouseEnter={handleMouseEnter}
       onMouseLeave={handleMouseLeave}
     >
+      {/* Selected by collaborators */}
+      {remoteSelection.length > 0 && (
+        <>
+          <div
+            className="absolute -inset-1.5 rounded-[20px] border-2 pointer-events-none"
+            style={{ borderColor: remoteSelection[0].color }}
+          />
+          <div className="absolute -top-6 left-1 flex gap-1">
+            {remoteSelection.map((user) => (
+              <span
+                key={user.name}
+                className="px-1.5 py-0.5 rounded-md text-[10px] font-medium text-white whitespace-nowrap"
+                style={{ backgroundColor: user.color }}
+              >
+                {user.name}
+              </span>
+            ))}
+          </div>
+        </>
+      )}
+
       {/* Glow effect */}
       {(selected || isHovered) && (
         <div className={`
@@ -253,7 +371,7 @@ const CustomNode = React.memo(({ id, data, selected, isConnectable }) => {
             </div>
             <div className="flex-1 min-w-0">
               <h3 className="font-bold text-white text-sm truncate pr-4">
-                {localData.label}
+                {data.label}
               </h3>
               <p className="text-xs text-gray-400 mt-0.5">{data.type}</p>
               {data.description && (
@@ -261,9 +379,41 @@ const CustomNode = React.memo(({ id, data, selected, isConnectable }) => {
                   {data.description}
                 </p>
               )}
+              {gas.visible && gas.estimate?.perNode[id] > 0 && (
+                <span className="inline-flex items-center space-x-1 mt-1.5 px-1.5 py-0.5 rounded-full bg-amber-500/10 text-[10px] text-amber-400 font-mono">
+                  <Fuel className="w-2.5 h-2.5" />
+                  <span>{formatGas(gas.estimate.perNode[id])}</span>
+                </span>
+              )}
+              {gasLimitWarning && (
+                <p className="flex items-center space-x-1 text-[10px] text-amber-400 mt-1">
+                  <AlertTriangle className="w-3 h-3 flex-shrink-0" />
+                  <span>Gas limit below estimate ({formatGas(gasLimitWarning.required)})</span>
+                </p>
+              )}
+              {data.deployment && (
+                <p className="text-[10px] text-green-400 mt-1 font-mono truncate" title={`tx ${data.deployment.txHash}`}>
+                  {data.deployment.address}
+                </p>
+              )}
             </div>
           </div>
 
+          {/* Group ports: one handle per exposed inner block */}
+          {subflow && (
+            <div className="mt-3 pt-2 border-t border-gray-800">
+              <PortRows inputs={subflow.inputs} outputs={subflow.outputs} isConnectable={isConnectable} />
+              <p className="text-[10px] text-gray-600 mt-1">Double-click to open</p>
+            </div>
+          )}
+
+          {/* Handles declared by the block type */}
+          {labelledHandles && (
+            <div className="mt-3 pt-2 border-t border-gray-800">
+              <PortRows inputs={handles.inputs} outputs={handles.outputs} isConnectable={isConnectable} />
+            </div>
+          )}
+
           {/* Hover actions */}
           {showActions && (
             <div className={`
@@ -281,6 +431,16 @@ const CustomNode = React.memo(({ id, data, selected, isConnectable }) => {
               >
                 <Edit className="w-3.5 h-3.5" />
               </button>
+              {subflow && (
+                <button
+                  onClick={handleSaveBlock}
+                  className="p-1.5 rounded-full bg-fuchsia-500/20 hover:bg-fuchsia-500/40
+                           text-fuchsia-400 transition-all duration-200 hover:scale-110"
+                  title="Save to Palette"
+                >
+                  <BookmarkPlus className="w-3.5 h-3.5" />
+                </button>
+              )}
               <button
                 onClick={handleDuplicate}
                 className="p-1.5 rounded-full bg-green-500/20 hover:bg-green-500/40 
@@ -302,72 +462,176 @@ const CustomNode = React.memo(({ id, data, selected, isConnectable }) => {
         </div>
 
         {/* Connection handles */}
-        <Handle
-          type="target"
-          position={Position.Left}
-          isConnectable={isConnectable}
-          className={`
-            !w-3 !h-3 !bg-gray-600 !border-2 !border-gray-900
-            transition-all duration-200
-            ${isHovered ? '!w-4 !h-4 !bg-blue-500' : ''}
-          `}
-        />
-        <Handle
-          type="source"
-          position={Position.Right}
-          isConnectable={isConnectable}
-          className={`
-            !w-3 !h-3 !bg-gray-600 !border-2 !border-gray-900
-            transition-all duration-200
-            ${isHovered ? '!w-4 !h-4 !bg-green-500' : ''}
-          `}
-        />
+        {!subflow && !labelledHandles && (
+          <>
+            {handles.inputs.length > 0 && (
+              <Handle
+                type="target"
+                id={handles.inputs[0].id}
+                position={Position.Left}
+                isConnectable={isConnectable}
+                className={`
+                  !w-3 !h-3 !bg-gray-600 !border-2 !border-gray-900
+                  transition-all duration-200
+                  ${isHovered ? '!w-4 !h-4 !bg-blue-500' : ''}
+                `}
+              />
+            )}
+            {handles.outputs.length > 0 && (
+              <Handle
+                type="source"
+                id={handles.outputs[0].id}
+                position={Position.Right}
+                isConnectable={isConnectable}
+                className={`
+                  !w-3 !h-3 !bg-gray-600 !border-2 !border-gray-900
+                  transition-all duration-200
+                  ${isHovered ? '!w-4 !h-4 !bg-green-500' : ''}
+                `}
+              />
+            )}
+          </>
+        )}
       </div>
     </div>
   );
 });
 
 // Enhanced Sidebar Component
-const Sidebar = ({ isExpanded, toggle }) => {
+const Sidebar = ({ isExpanded, toggle, onQuickAdd }) => {
   const [searchTerm, setSearchTerm] = useState('');
   const [selectedCategory, setSelectedCategory] = useState('all');
+  const [savedBlocks, setSavedBlocks] = useState([]);
+  const [prefs, setPrefs] = useState({ favorites: [], recents: [] });
+  const registry = useBlockTypes();
+
+  useEffect(() => {
+    const refresh = () => setSavedBlocks(listSavedBlocks());
+    refresh();
+    return subscribeSavedBlocks(refresh);
+  }, []);
+
+  useEffect(() => {
+    const refresh = () => setPrefs(getPalettePrefs());
+    refresh();
+    return subscribePalettePrefs(refresh);
+  }, []);
 
   const categories = {
     all: 'All Nodes',
-    deployment: 'Deployment',
-    token: 'Token Ops',
-    defi: 'DeFi',
-    logic: 'Logic',
-    storage: 'Storage',
-    external: 'External',
-  };
-
-  const nodeCategories = {
-    deployment: ['Deploy', 'Constructor'],
-    token: ['MintToken', 'BurnToken', 'Transfer', 'Approve'],
-    defi: ['Swap', 'AddLiquidity', 'Stake', 'Withdraw'],
-    logic: ['Require', 'Modifier', 'Event'],
-    storage: ['Mapping', 'Array', 'Struct'],
-    external: ['Oracle', 'Interface', 'Payable'],
-  };
-
-  const filteredNodes = Object.entries(nodeTypes).filter(([type, _]) => {
-    const matchesSearch = type.toLowerCase().includes(searchTerm.toLowerCase());
-    const matchesCategory = selectedCategory === 'all' ||
-      nodeCategories[selectedCategory]?.includes(type);
-    return matchesSearch && matchesCategory;
-  });
+    ...Object.fromEntries(Object.entries(blockCategories)
+      .filter(([, category]) => category.palette !== false)
+      .map(([key, category]) => [key, category.label])),
+    saved: 'My Blocks',
+  };
 
-  const onDragStart = (event, nodeType) => {
-    const nodeData = {
-      type: 'customNode',
-      label: `New ${nodeType}`,
-      nodeType: nodeType,
-    };
+  const paletteEntries = Object.entries(registry)
+    .filter(([, definition]) => definition.palette !== false)
+    .map(([type, definition]) => ({ type, definition, categoryLabel: blockCategories[definition.category]?.label }));
+  const isSearching = searchTerm.trim() !== '';
+
+  // Ranked best first while searching
+  const filteredNodes = searchBlocks(searchTerm, paletteEntries).filter(({ definition }) =>
+    selectedCategory === 'all' || definition.category === selectedCategory
+  );
+
+  const filteredBlocks = savedBlocks.filter((block) =>
+    ['all', 'saved'].includes(selectedCategory) &&
+    (!isSearching || scoreBlock(searchTerm, { type: block.name, definition: {}, categoryLabel: 'My Blocks' }) > 0)
+  );
+
+  // Favorites and recents head the unfiltered palette
+  const entryOf = (type) => paletteEntries.find((entry) => entry.type === type);
+  const showShortcuts = isExpanded && !isSearching && selectedCategory === 'all';
+  const favoriteEntries = showShortcuts ? prefs.favorites.map(entryOf).filter(Boolean) : [];
+  const recentEntries = showShortcuts ? prefs.recents.map(entryOf).filter(Boolean) : [];
+
+  const blockData = (nodeType) => ({ type: 'customNode', label: `New ${nodeType}`, nodeType });
+  const savedBlockData = (block) => ({ type: 'customNode', label: block.name, nodeType: 'Group', savedBlockId: block.id });
+
+  const onDragStart = (event, nodeData) => {
     event.dataTransfer.setData('application/reactflow', JSON.stringify(nodeData));
     event.dataTransfer.effectAllowed = 'move';
   };
 
+  const handleDeleteBlock = (block) => {
+    if (confirm(`Remove "${block.name}" from the palette?`)) deleteSavedBlock(block.id);
+  };
+
+  // Enter drops the top match in the middle of the canvas
+  const handleSearchKeyDown = (event) => {
+    if (event.key !== 'Enter' || !isSearching) return;
+    const [topNode] = filteredNodes;
+    const [topBlock] = filteredBlocks;
+    const nodeData = topNode ? blockData(topNode.type) : topBlock && savedBlockData(topBlock);
+    if (!nodeData) return;
+    onQuickAdd(nodeData);
+    setSearchTerm('');
+  };
+
+  const renderBlock = ({ type, definition: config }, section) => {
+    const Icon = config.icon;
+    const favorite = prefs.favorites.includes(type);
+    return (
+      <div
+        key={`${section}:${type}`}
+        draggable
+        onDragStart={(e) => onDragStart(e, blockData(type))}
+        className={`
+          relative group cursor-move transition-all duration-200
+          ${isExpanded
+            ? 'p-3 bg-gray-900 hover:bg-gray-800 rounded-xl border border-gray-800 hover:border-gray-700'
+            : 'p-2 hover:bg-gray-800 rounded-lg'
+          }
+        `}
+      >
+        {/* Hover glow */}
+        <div className={`
+          absolute inset-0 rounded-xl bg-gradient-to-r ${config.color}
+          opacity-0 group-hover:opacity-20 transition-opacity duration-300 blur-xl
+        `} />
+
+        <div className={`
+          relative flex items-center
+          ${isExpanded ? 'space-x-3' : 'justify-center'}
+        `}>
+          <div className={`
+            p-2 rounded-lg bg-gradient-to-r ${config.color}
+            shadow-lg flex-shrink-0 transform transition-transform
+            group-hover:scale-110 group-hover:rotate-3
+          `}>
+            <Icon className="w-4 h-4 text-white" />
+          </div>
+          {isExpanded && (
+            <>
+              <div className="flex-1 min-w-0">
+                <h3 className="text-sm font-semibold text-white">{type}</h3>
+                <p className="text-xs text-gray-500 truncate" title={config.description}>
+                  {blockCategories[config.category]?.short}
+                  {config.description && ` · ${config.description}`}
+                </p>
+              </div>
+              <button
+                onClick={() => toggleFavorite(type)}
+                className={`
+                  p-1 rounded-md transition-all
+                  ${favorite ? 'text-amber-400' : 'text-gray-600 hover:text-amber-400 opacity-0 group-hover:opacity-100'}
+                `}
+                title={favorite ? 'Remove from Favorites' : 'Add to Favorites'}
+              >
+                <Star className={`w-3.5 h-3.5 ${favorite ? 'fill-current' : ''}`} />
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    );
+  };
+
+  const sectionTitle = (title) => (
+    <div className="pt-2 first:pt-0 text-[10px] uppercase tracking-wider text-gray-500">{title}</div>
+  );
+
   return (
     <aside className={`
       ${isExpanded ? 'w-80' : 'w-16'}
@@ -404,9 +668,10 @@ const Sidebar = ({ isExpanded, toggle }) => {
               <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-gray-500" />
               <input
                 type="text"
-                placeholder="Search nodes..."
+                placeholder="Search blocks… (Enter adds)"
                 value={searchTerm}
                 onChange={(e) => setSearchTerm(e.target.value)}
+                onKeyDown={handleSearchKeyDown}
                 className="w-full pl-10 pr-3 py-2 bg-gray-900 border border-gray-800 
                          rounded-lg text-sm text-white placeholder-gray-500
                          focus:outline-none focus:border-purple-500 transition-colors"
@@ -436,62 +701,63 @@ const Sidebar = ({ isExpanded, toggle }) => {
 
       {/* Node list */}
       <div className="flex-1 overflow-y-auto p-4 space-y-2 custom-scrollbar">
-        {filteredNodes.map(([type, config]) => {
-          const Icon = config.icon;
-          return (
-            <div
-              key={type}
-              draggable
-              onDragStart={(e) => onDragStart(e, type)}
-              className={`
-                relative group cursor-move transition-all duration-200
-                ${isExpanded
-                  ? 'p-3 bg-gray-900 hover:bg-gray-800 rounded-xl border border-gray-800 hover:border-gray-700'
-                  : 'p-2 hover:bg-gray-800 rounded-lg'
-                }
-              `}
-            >
-              {/* Hover glow */}
-              <div className={`
-                absolute inset-0 rounded-xl bg-gradient-to-r ${config.color}
-                opacity-0 group-hover:opacity-20 transition-opacity duration-300 blur-xl
-              `} />
-
+        {favoriteEntries.length > 0 && sectionTitle('Favorites')}
+        {favoriteEntries.map((entry) => renderBlock(entry, 'favorite'))}
+        {recentEntries.length > 0 && sectionTitle('Recently used')}
+        {recentEntries.map((entry) => renderBlock(entry, 'recent'))}
+        {(favoriteEntries.length > 0 || recentEntries.length > 0) && sectionTitle('All blocks')}
+        {filteredNodes.map((entry) => renderBlock(entry, 'all'))}
+
+        {/* Groups saved from the canvas */}
+        {filteredBlocks.map((block) => (
+          <div
+            key={block.id}
+            draggable
+            onDragStart={(e) => onDragStart(e, savedBlockData(block))}
+            className={`
+              relative group cursor-move transition-all duration-200
+              ${isExpanded
+                ? 'p-3 bg-gray-900 hover:bg-gray-800 rounded-xl border border-gray-800 hover:border-gray-700'
+                : 'p-2 hover:bg-gray-800 rounded-lg'
+              }
+            `}
+          >
+            <div className={`
+              relative flex items-center
+              ${isExpanded ? 'space-x-3' : 'justify-center'}
+            `}>
               <div className={`
-                relative flex items-center
-                ${isExpanded ? 'space-x-3' : 'justify-center'}
+                p-2 rounded-lg bg-gradient-to-r ${nodeTypes.Group.color}
+                shadow-lg flex-shrink-0 transform transition-transform
+                group-hover:scale-110 group-hover:rotate-3
               `}>
-                <div className={`
-                  p-2 rounded-lg bg-gradient-to-r ${config.color}
-                  shadow-lg flex-shrink-0 transform transition-transform
-                  group-hover:scale-110 group-hover:rotate-3
-                `}>
-                  <Icon className="w-4 h-4 text-white" />
-                </div>
-                {isExpanded && (
+                <Boxes className="w-4 h-4 text-white" />
+              </div>
+              {isExpanded && (
+                <>
                   <div className="flex-1 min-w-0">
-                    <h3 className="text-sm font-semibold text-white">{type}</h3>
-                    <p className="text-xs text-gray-500">
-                      {nodeCategories.deployment?.includes(type) && 'Deploy'}
-                      {nodeCategories.token?.includes(type) && 'Token'}
-                      {nodeCategories.defi?.includes(type) && 'DeFi'}
-                      {nodeCategories.logic?.includes(type) && 'Logic'}
-                      {nodeCategories.storage?.includes(type) && 'Storage'}
-                      {nodeCategories.external?.includes(type) && 'External'}
-                    </p>
+                    <h3 className="text-sm font-semibold text-white truncate">{block.name}</h3>
+                    <p className="text-xs text-gray-500">My Block · {block.subflow.nodes.length} blocks</p>
                   </div>
-                )}
-              </div>
+                  <button
+                    onClick={() => handleDeleteBlock(block)}
+                    className="p-1 rounded-md text-gray-600 hover:text-red-400 opacity-0 group-hover:opacity-100 transition-all"
+                    title="Remove from Palette"
+                  >
+                    <X className="w-3.5 h-3.5" />
+                  </button>
+                </>
+              )}
             </div>
-          );
-        })}
+          </div>
+        ))}
       </div>
 
       {/* Footer stats */}
       {isExpanded && (
         <div className="p-4 border-t border-gray-800">
           <div className="flex items-center justify-between text-xs text-gray-500">
-            <span>{filteredNodes.length} nodes available</span>
+            <span>{filteredNodes.length + filteredBlocks.length} nodes available</span>
             <span className="flex items-center space-x-1">
               <Grid className="w-3 h-3" />
               <span>Grid: On</span>
@@ -503,11 +769,71 @@ const Sidebar = ({ isExpanded, toggle }) => {
   );
 };
 
+// Export formats offered by the toolbar menu, one download each
+const EXPORT_FORMATS = [
+  { format: 'json', label: 'Workflow (.json)', icon: Download },
+  { format: 'solidity', label: 'Solidity (.sol)', icon: FileCode },
+  { format: 'cadence', label: 'Cadence (.cdc)', icon: FileCode },
+];
+
+const ExportMenu = ({ onExport }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  return (
+    <div className="relative" onMouseLeave={() => setIsOpen(false)}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="p-2 rounded-lg bg-gray-800 hover:bg-gray-700 text-gray-400 hover:text-white transition-all"
+        title="Export"
+      >
+        <Download className="w-4 h-4" />
+      </button>
+      {isOpen && (
+        <div className="absolute left-1/2 -translate-x-1/2 top-full pt-2 z-10">
+          <div className="w-44 py-1 bg-gray-900 rounded-lg shadow-2xl border border-gray-800">
+            {EXPORT_FORMATS.map(({ format, label, icon: Icon }) => (
+              <button
+                key={format}
+                onClick={() => {
+                  setIsOpen(false);
+                  onExport(format);
+                }}
+                className="w-full flex items-center space-x-2 px-3 py-1.5 text-xs text-gray-300 hover:bg-gray-800 hover:text-white transition-colors"
+              >
+                <Icon className="w-3.5 h-3.5" />
+                <span>{label}</span>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
 // Toolbar Component
-const Toolbar = ({ onSave, onLoad, onClear, onExport }) => {
+const Toolbar = ({ onSave, onLoad, onTemplates, onImport, onClear, onExport, onExportImage, onCompare, onValidate, onSimulate, onDeploy, onToggleGas, showGas, onGroup, onAutoLayout, onUndo, onRedo, canUndo, canRedo }) => {
   return (
     <Panel position="top-center" className="bg-gray-900/95 backdrop-blur-xl rounded-full px-6 py-3 shadow-2xl border border-gray-800">
       <div className="flex items-center space-x-2">
+        <button
+          onClick={onUndo}
+          disabled={!canUndo}
+          className="p-2 rounded-lg bg-gray-800 hover:bg-gray-700 text-gray-400 hover:text-white transition-all
+                   disabled:opacity-40 disabled:pointer-events-none"
+          title="Undo (Ctrl+Z)"
+        >
+          <Undo2 className="w-4 h-4" />
+        </button>
+        <button
+          onClick={onRedo}
+          disabled={!canRedo}
+          className="p-2 rounded-lg bg-gray-800 hover:bg-gray-700 text-gray-400 hover:text-white transition-all
+                   disabled:opacity-40 disabled:pointer-events-none"
+          title="Redo (Ctrl+Shift+Z)"
+        >
+          <Redo2 className="w-4 h-4" />
+        </button>
+        <div className="w-px h-6 bg-gray-700 mx-2" />
         <button
           onClick={onSave}
           className="p-2 rounded-lg bg-gray-800 hover:bg-gray-700 text-gray-400 hover:text-white transition-all"
@@ -518,16 +844,82 @@ const Toolbar = ({ onSave, onLoad, onClear, onExport }) => {
         <button
           onClick={onLoad}
           className="p-2 rounded-lg bg-gray-800 hover:bg-gray-700 text-gray-400 hover:text-white transition-all"
-          title="Load Workflow"
+          title="Project Library"
         >
           <Upload className="w-4 h-4" />
         </button>
         <button
-          onClick={onExport}
+          onClick={onTemplates}
+          className="p-2 rounded-lg bg-gray-800 hover:bg-gray-700 text-gray-400 hover:text-white transition-all"
+          title="New from Template"
+        >
+          <LayoutTemplate className="w-4 h-4" />
+        </button>
+        <button
+          onClick={onImport}
+          className="p-2 rounded-lg bg-gray-800 hover:bg-gray-700 text-gray-400 hover:text-white transition-all"
+          title="Import Workflow File"
+        >
+          <FileUp className="w-4 h-4" />
+        </button>
+        <ExportMenu onExport={onExport} />
+        <button
+          onClick={onExportImage}
           className="p-2 rounded-lg bg-gray-800 hover:bg-gray-700 text-gray-400 hover:text-white transition-all"
-          title="Export"
+          title="Export Image (PNG, SVG, PDF)"
         >
-          <Download className="w-4 h-4" />
+          <ImageDown className="w-4 h-4" />
+        </button>
+        <button
+          onClick={onCompare}
+          className="p-2 rounded-lg bg-gray-800 hover:bg-gray-700 text-gray-400 hover:text-white transition-all"
+          title="Compare Versions"
+        >
+          <GitCompareArrows className="w-4 h-4" />
+        </button>
+        <button
+          onClick={onValidate}
+          className="p-2 rounded-lg bg-gray-800 hover:bg-gray-700 text-gray-400 hover:text-white transition-all"
+          title="Check Workflow"
+        >
+          <ShieldCheck className="w-4 h-4" />
+        </button>
+        <button
+          onClick={onSimulate}
+          className="p-2 rounded-lg bg-gray-800 hover:bg-gray-700 text-gray-400 hover:text-white transition-all"
+          title="Simulate"
+        >
+          <Play className="w-4 h-4" />
+        </button>
+        <button
+          onClick={onDeploy}
+          className="p-2 rounded-lg bg-gray-800 hover:bg-gray-700 text-gray-400 hover:text-white transition-all"
+          title="Deploy to Local Chain"
+        >
+          <Rocket className="w-4 h-4" />
+        </button>
+        <button
+          onClick={onToggleGas}
+          className={`p-2 rounded-lg transition-all ${showGas
+            ? 'bg-amber-500/20 text-amber-400 hover:bg-amber-500/30'
+            : 'bg-gray-800 hover:bg-gray-700 text-gray-400 hover:text-white'}`}
+          title="Gas Estimates"
+        >
+          <Fuel className="w-4 h-4" />
+        </button>
+        <button
+          onClick={onAutoLayout}
+          className="p-2 rounded-lg bg-gray-800 hover:bg-gray-700 text-gray-400 hover:text-white transition-all"
+          title="Auto-arrange (selection or whole graph)"
+        >
+          <Network className="w-4 h-4" />
+        </button>
+        <button
+          onClick={onGroup}
+          className="p-2 rounded-lg bg-gray-800 hover:bg-gray-700 text-gray-400 hover:text-white transition-all"
+          title="Group Selection (Ctrl+G)"
+        >
+          <Boxes className="w-4 h-4" />
         </button>
         <div className="w-px h-6 bg-gray-700 mx-2" />
         <button
@@ -542,36 +934,189 @@ const Toolbar = ({ onSave, onLoad, onClear, onExport }) => {
   );
 };
 
+// Order in which a group shows the statuses of the blocks inside it
+const STATUS_PRIORITY = ['error', 'running', 'success', 'idle'];
+
 // Main Flow Component
-const Flow = () => {
+const Flow = ({ quickAddRef }) => {
   const { screenToFlowPosition, getNodes, getEdges, fitView, zoomIn, zoomOut } = useReactFlow();
   const [nodes, setNodes] = useState(initialNodes);
   const [edges, setEdges] = useState([]);
   const [selectedNodes, setSelectedNodes] = useState([]);
+  const [selectedEdgeIds, setSelectedEdgeIds] = useState([]);
+  const [currentProject, setCurrentProject] = useState(null);
+
+  // Undo/redo; a live session swaps in its own per-user undo manager
+  const [sharedUndoManager, setSharedUndoManager] = useState(null);
+  const history = useHistory({ getNodes, getEdges, setNodes, setEdges, undoManager: sharedUndoManager });
+  const { takeSnapshot } = history;
+
+  // Subflows: the canvas shows the innermost open group. Each breadcrumb
+  // entry keeps the parent graph the group was opened from. History is per
+  // view, so it is reset whenever the canvas switches levels.
+  const [subflowPath, setSubflowPath] = useState([]);
+
+  // The whole workflow at root level, with open groups folded back in
+  const getWorkflow = useCallback(
+    () => exitSubflows(subflowPath, getNodes(), getEdges()),
+    [subflowPath, getNodes, getEdges]
+  );
+
+  // Groups inlined and annotations dropped, for code generation and analysis
+  const getFlatWorkflow = useCallback(() => withoutAnnotations(flattenSubflows(getWorkflow())), [getWorkflow]);
+
+  const openSubflow = useCallback((group) => {
+    setSubflowPath((path) => [...path, { groupId: group.id, label: group.data.label, nodes: getNodes(), edges: getEdges() }]);
+    setNodes(group.data.subflow.nodes);
+    setEdges(group.data.subflow.edges);
+    history.reset();
+    setTimeout(() => fitView({ duration: 300 }), 50);
+  }, [getNodes, getEdges, history.reset, fitView]);
+
+  const navigateToLevel = (depth) => {
+    if (depth >= subflowPath.length) return;
+    const graph = exitSubflows(subflowPath, getNodes(), getEdges(), depth);
+    const groupId = subflowPath[depth].groupId;
+    setSubflowPath(subflowPath.slice(0, depth));
+    setNodes(graph.nodes.map((node) => ({ ...node, selected: node.id === groupId })));
+    setEdges(graph.edges);
+    history.reset();
+    setTimeout(() => fitView({ duration: 300 }), 50);
+  };
+
+  // Swap in a different workflow (open, import); always lands at root level
+  const replaceGraph = useCallback((nextNodes, nextEdges) => {
+    if (subflowPath.length > 0) {
+      setSubflowPath([]);
+      history.reset();
+    } else {
+      takeSnapshot();
+    }
+    setNodes(nextNodes);
+    setEdges(nextEdges);
+  }, [subflowPath, history.reset, takeSnapshot]);
+
+  const onNodeDoubleClick = useCallback((event, node) => {
+    if (isGroupNode(node)) openSubflow(node);
+  }, [openSubflow]);
+
+  // Collapse the selection into a Group block
+  const handleGroup = () => {
+    const selected = getNodes().filter((node) => node.selected);
+    if (selected.length < 2) {
+      alert('Select at least two blocks to group.');
+      return;
+    }
+    const name = prompt('Group name:', 'Subflow');
+    if (!name) return;
+    takeSnapshot();
+    const collapsed = collapseSubflow(getNodes(), getEdges(), selected.map((node) => node.id), name);
+    setNodes(collapsed.nodes);
+    setEdges(collapsed.edges);
+  };
 
   // Keyboard shortcuts
   const deleteKey = useKeyPress(['Delete', 'Backspace']);
 
   useEffect(() => {
-    if (deleteKey && selectedNodes.length > 0) {
+    if (!deleteKey) return;
+    const selectedEdges = getEdges().filter((edge) => edge.selected).map((edge) => edge.id);
+    if (selectedNodes.length > 0 || selectedEdges.length > 0) {
+      takeSnapshot();
       setNodes((nds) => nds.filter((node) => !selectedNodes.includes(node.id)));
       setEdges((eds) => eds.filter((edge) =>
+        !selectedEdges.includes(edge.id) &&
         !selectedNodes.includes(edge.source) && !selectedNodes.includes(edge.target)
       ));
       setSelectedNodes([]);
     }
   }, [deleteKey, selectedNodes]);
 
+  // Add copies of `copiedNodes` (with fresh IDs) shifted by `offset`; the copies become the selection
+  const insertCopies = useCallback((copiedNodes, copiedEdges, offset) => {
+    const remapped = remapGraph(copiedNodes, copiedEdges, collectNodeIds(getNodes()));
+    const copies = cloneNestedIds(remapped.nodes, remapped.edges, collectNodeIds([...getNodes(), ...remapped.nodes]));
+    takeSnapshot();
+    setNodes((nds) => [
+      ...nds.map((node) => ({ ...node, selected: false })),
+      ...copies.nodes.map((node) => ({
+        ...node,
+        position: { x: node.position.x + offset, y: node.position.y + offset },
+        selected: true,
+        data: { ...node.data, status: 'idle' },
+      })),
+    ]);
+    setEdges((eds) => [...eds, ...copies.edges.map((edge) => ({ ...edge, selected: false }))]);
+  }, [getNodes, takeSnapshot]);
+
+  // The selected nodes with the edges between them
+  const selectedGraph = useCallback(() => {
+    const selected = getNodes().filter((node) => node.selected);
+    const selectedIds = new Set(selected.map((node) => node.id));
+    return {
+      nodes: selected,
+      edges: getEdges().filter((edge) => selectedIds.has(edge.source) && selectedIds.has(edge.target)),
+    };
+  }, [getNodes, getEdges]);
+
+  // Copy/paste of the selection; pasted copies get fresh IDs. Ctrl/Cmd+G groups it,
+  // Ctrl/Cmd+K opens the command palette.
+  const clipboard = useRef(null);
+  const groupShortcut = useRef(() => {});
+  groupShortcut.current = handleGroup;
+  const pasteCount = useRef(0);
+  const [isPaletteOpen, setIsPaletteOpen] = useState(false);
+
+  useEffect(() => {
+    const onKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey)) return;
+      const key = event.key.toLowerCase();
+      if (key === 'k') {
+        event.preventDefault();
+        setIsPaletteOpen((open) => !open);
+        return;
+      }
+      if (isEditableTarget(event.target)) return;
+
+      if (key === 'c') {
+        const copied = selectedGraph();
+        if (copied.nodes.length === 0) return;
+        clipboard.current = copied;
+        pasteCount.current = 0;
+      } else if (key === 'v' && clipboard.current) {
+        event.preventDefault();
+        pasteCount.current += 1;
+        insertCopies(clipboard.current.nodes, clipboard.current.edges, 40 * pasteCount.current);
+      } else if (key === 'g') {
+        event.preventDefault();
+        groupShortcut.current();
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [selectedGraph, insertCopies]);
+
   // Selection change handler
   useOnSelectionChange({
-    onChange: ({ nodes }) => {
+    onChange: ({ nodes, edges }) => {
       setSelectedNodes(nodes.map(n => n.id));
+      setSelectedEdgeIds(edges.map((edge) => edge.id));
     },
   });
 
+  // A whole drag is one history step, taken on its first real move so that
+  // clicking a block without moving it leaves the history alone
+  const dragStepPending = useRef(false);
+
   const onNodesChange = useCallback(
-    (changes) => setNodes((nds) => applyNodeChanges(changes, nds)),
-    []
+    (changes) => {
+      if (dragStepPending.current && changes.some((change) => change.type === 'position' && change.position)) {
+        dragStepPending.current = false;
+        takeSnapshot();
+      }
+      setNodes((nds) => applyNodeChanges(changes, nds));
+    },
+    [takeSnapshot]
   );
 
   const onEdgesChange = useCallback(
@@ -579,210 +1124,1145 @@ const Flow = () => {
     []
   );
 
+  // Connection rules: checked while dragging and again on drop
+  const [connectionError, setConnectionError] = useState(null);
+  const connectionErrorTimeout = useRef(null);
+
+  const isValidConnection = useCallback(
+    (connection) => {
+      const result = checkConnection(connection, getNodes(), getEdges());
+      setConnectionError(result.valid ? null : result.reason);
+      return result.valid;
+    },
+    [getNodes, getEdges]
+  );
+
+  const onConnectStart = useCallback(() => {
+    if (connectionErrorTimeout.current) clearTimeout(connectionErrorTimeout.current);
+    setConnectionError(null);
+  }, []);
+
+  const onConnectEnd = useCallback(() => {
+    if (connectionErrorTimeout.current) clearTimeout(connectionErrorTimeout.current);
+    connectionErrorTimeout.current = setTimeout(() => setConnectionError(null), 2500);
+  }, []);
+
+  useEffect(() => {
+    return () => {
+      if (connectionErrorTimeout.current) clearTimeout(connectionErrorTimeout.current);
+    };
+  }, []);
+
   const onConnect = useCallback(
     (connection) => {
+      const result = checkConnection(connection, getNodes(), getEdges());
+      if (!result.valid) {
+        setConnectionError(result.reason);
+        return;
+      }
+      takeSnapshot();
+      // Edges leaving a value output carry data
+      const carriesValue = valueTypeOf(getNodes(), connection.source, connection.sourceHandle, 'out');
       const edge = {
         ...connection,
         ...edgeOptions,
-        id: `edge-${connection.source}-${connection.target}`,
+        id: createEdgeId(connection),
+        data: { kind: carriesValue ? 'data' : DEFAULT_EDGE_KIND },
       };
       setEdges((eds) => addEdge(edge, eds));
     },
-    []
+    [getNodes, getEdges, takeSnapshot]
   );
 
+  const onSelectionDragStart = useCallback(() => {
+    dragStepPending.current = true;
+  }, []);
+
+  const onDragStop = useCallback(() => {
+    dragStepPending.current = false;
+  }, []);
+
+  // Dragging a frame carries the (unselected) blocks lying inside it
+  const frameDrag = useRef(null);
+
+  const onNodeDragStart = useCallback((event, node) => {
+    dragStepPending.current = true;
+    frameDrag.current = isFrameNode(node)
+      ? {
+        frameId: node.id,
+        origin: node.position,
+        contents: new Map(nodesInFrame(node, getNodes())
+          .filter((inner) => !inner.selected)
+          .map((inner) => [inner.id, inner.position])),
+      }
+      : null;
+  }, [getNodes]);
+
+  const onNodeDrag = useCallback((event, node) => {
+    const drag = frameDrag.current;
+    if (!drag || node.id !== drag.frameId || drag.contents.size === 0) return;
+    const dx = node.position.x - drag.origin.x;
+    const dy = node.position.y - drag.origin.y;
+    setNodes((nds) => nds.map((item) => {
+      const start = drag.contents.get(item.id);
+      return start ? { ...item, position: { x: start.x + dx, y: start.y + dy } } : item;
+    }));
+  }, []);
+
+  // Import a workflow file exported by this app (any schema version)
+  const importInputRef = useRef(null);
+
+  const importWorkflowFile = useCallback(async (file) => {
+    try {
+      const imported = await readWorkflowFile(file);
+      const remapped = remapGraph(imported.nodes, imported.edges);
+      const cloned = cloneNestedIds(remapped.nodes, remapped.edges, collectNodeIds(remapped.nodes));
+      replaceGraph(cloned.nodes, cloned.edges);
+      setCurrentProject(null);
+      setTimeout(() => fitView(), 100);
+      if (imported.warnings.length > 0) {
+        alert(`Imported ${file.name} with warnings:\n${imported.warnings.map((warning) => `• ${warning}`).join('\n')}`);
+      }
+    } catch (error) {
+      alert(`Could not import ${file.name}: ${error.message}`);
+    }
+  }, [replaceGraph, fitView]);
+
+  const handleImportChange = (event) => {
+    const [file] = event.target.files;
+    if (file) importWorkflowFile(file);
+    event.target.value = '';
+  };
+
   const onDragOver = useCallback((event) => {
     event.preventDefault();
-    event.dataTransfer.dropEffect = 'move';
+    event.dataTransfer.dropEffect = event.dataTransfer.types.includes('Files') ? 'copy' : 'move';
   }, []);
 
+  // Add a palette entry (the drag payload) at `position`
+  const addFromPalette = useCallback(({ label, nodeType, savedBlockId }, position) => {
+    if (savedBlockId) {
+      const block = getSavedBlock(savedBlockId);
+      if (!block) return;
+      takeSnapshot();
+      setNodes((nds) => [...nds, instantiateSubflow(block, position, collectNodeIds(nds))]);
+      return;
+    }
+
+    const newNode = {
+      id: createNodeId(takenNodeIds(getNodes())),
+      ...canvasNodeProps(nodeType),
+      position,
+      data: {
+        label,
+        type: nodeType,
+        description: `${nodeType} node`,
+        status: 'idle',
+        config: defaultConfig(nodeTypes[nodeType]?.schema),
+      },
+    };
+
+    takeSnapshot();
+    setNodes((nds) => [...nds, newNode]);
+    recordRecentBlock(nodeType);
+  }, [getNodes, takeSnapshot]);
+
   const onDrop = useCallback(
     (event) => {
       event.preventDefault();
 
+      // Workflow files dragged in from the desktop
+      const [file] = event.dataTransfer.files;
+      if (file) {
+        importWorkflowFile(file);
+        return;
+      }
+
       const data = event.dataTransfer.getData('application/reactflow');
       if (!data) return;
 
-      const { label, nodeType } = JSON.parse(data);
       const position = screenToFlowPosition({
         x: event.clientX,
         y: event.clientY,
       });
-
-      const newNode = {
-        id: getNodeId(),
-        type: 'customNode',
-        position,
-        data: {
-          label,
-          type: nodeType,
-          description: `${nodeType} node`,
-          status: 'idle',
-          config: {},
-        },
-      };
-
-      setNodes((nds) => [...nds, newNode]);
+      addFromPalette(JSON.parse(data), position);
     },
-    [screenToFlowPosition]
+    [screenToFlowPosition, addFromPalette, importWorkflowFile]
   );
 
+  // Palette search: Enter drops the top match in the middle of the canvas
+  const canvasRef = useRef(null);
+  const quickAdd = (nodeData) => {
+    const bounds = canvasRef.current.getBoundingClientRect();
+    const center = screenToFlowPosition({ x: bounds.left + bounds.width / 2, y: bounds.top + bounds.height / 2 });
+    addFromPalette(nodeData, { x: center.x - 110, y: center.y - 40 });
+  };
+  if (quickAddRef) quickAddRef.current = quickAdd;
+
   // Workflow management functions
-  const handleSave = () => {
-    const workflow = {
-      nodes: getNodes(),
-      edges: getEdges(),
-      timestamp: new Date().toISOString(),
-    };
-    localStorage.setItem('workflow', JSON.stringify(workflow));
-    alert('Workflow saved!');
+  const [isLibraryOpen, setIsLibraryOpen] = useState(false);
+
+  const handleSave = async () => {
+    let project = currentProject;
+    if (!project) {
+      const name = prompt('Project name:', 'Untitled contract');
+      if (!name) return;
+      project = { name };
+    }
+
+    const { nodes: currentNodes, edges: currentEdges } = getWorkflow();
+    try {
+      const saved = await saveProject({
+        ...project,
+        nodes: currentNodes,
+        edges: currentEdges,
+        thumbnail: renderThumbnail(currentNodes, currentEdges),
+      });
+      setCurrentProject({ id: saved.id, name: saved.name });
+      alert('Workflow saved!');
+    } catch (error) {
+      alert(`Could not save workflow: ${error.message}`);
+    }
   };
 
-  const handleLoad = () => {
-    const saved = localStorage.getItem('workflow');
-    if (saved) {
-      const { nodes: savedNodes, edges: savedEdges } = JSON.parse(saved);
-      setNodes(savedNodes || []);
-      setEdges(savedEdges || []);
-      setTimeout(() => fitView(), 100);
+  const handleLoad = () => setIsLibraryOpen(true);
+
+  const handleOpenProject = async (projectId) => {
+    let project;
+    let parsed;
+    try {
+      project = await getProject(projectId);
+      if (!project) throw new Error('it no longer exists');
+      parsed = parseWorkflow(project);
+    } catch (error) {
+      alert(`Could not open project: ${error.message}`);
+      return;
     }
+    const { nodes: projectNodes, edges: projectEdges } = adoptGraph(parsed.nodes, parsed.edges);
+    replaceGraph(projectNodes, projectEdges);
+    setCurrentProject({ id: project.id, name: project.name });
+    setIsLibraryOpen(false);
+    setTimeout(() => fitView(), 100);
+  };
+
+  const handleCreateProject = async (name, graph = { nodes: initialNodes, edges: [] }) => {
+    let saved;
+    try {
+      saved = await saveProject({
+        name,
+        nodes: graph.nodes,
+        edges: graph.edges,
+        thumbnail: renderThumbnail(graph.nodes, graph.edges),
+      });
+    } catch (error) {
+      alert(`Could not create project: ${error.message}`);
+      return;
+    }
+    handleOpenProject(saved.id);
+  };
+
+  // Template gallery: every new project starts from a template or the starter blocks
+  const [isGalleryOpen, setIsGalleryOpen] = useState(false);
+
+  const handleNewProject = () => {
+    setIsLibraryOpen(false);
+    setIsGalleryOpen(true);
+  };
+
+  const handleUseTemplate = async (template) => {
+    const name = prompt('Project name:', template?.name || 'Untitled contract');
+    if (!name) return;
+    setIsGalleryOpen(false);
+    if (!template) {
+      handleCreateProject(name);
+      return;
+    }
+    const { nodes: templateNodes, edges: templateEdges } = instantiateTemplate(template);
+    handleCreateProject(name, {
+      nodes: templateNodes,
+      edges: templateEdges.map((edge) => ({ ...edgeOptions, ...edge })),
+    });
   };
 
   const handleClear = () => {
     if (confirm('Clear all nodes and connections?')) {
+      takeSnapshot();
       setNodes([]);
       setEdges([]);
     }
   };
 
-  const handleExport = () => {
-    const workflow = {
-      nodes: getNodes(),
-      edges: getEdges(),
-      contractType: 'ERC-20', // or detect from nodes
-      network: 'ethereum',
+  // One file per export: browsers block several downloads from one click
+  const handleExport = (format = 'json') => {
+    const root = getWorkflow();
+    const flat = withoutAnnotations(flattenSubflows(root));
+    if (format === 'json') {
+      const { standard } = classifyContract(flat.nodes);
+      const deployNode = flat.nodes.find((node) => node.data.type === 'Deploy');
+      const workflow = serializeWorkflow(root.nodes, root.edges, {
+        contractType: standard ? standard.label : 'Custom',
+        network: deployNode?.data.config?.network || 'ethereum',
+      });
+      downloadFile(`smart-contract-${Date.now()}.json`, JSON.stringify(workflow, null, 2), 'application/json');
+      return;
+    }
+
+    // Contract source generated from the same graph
+    const generated = format === 'solidity'
+      ? generateSolidity(flat.nodes, flat.edges)
+      : generateCadence(flat.nodes, flat.edges);
+    downloadFile(generated.fileName, generated.source);
+    if (generated.unsupported.length > 0) {
+      alert([
+        `Contract exported as ${generated.fileName}!`,
+        `\nBlocks without ${format === 'solidity' ? 'a Solidity mapping' : 'a Cadence equivalent'}:`,
+        ...generated.unsupported.map((node) => `• ${node.data.label} (${node.data.type})`),
+      ].join('\n'));
+    }
+  };
+
+  // Image export of this level: the whole graph or the selection, drawn from
+  // the graph with handles where React Flow measured them
+  const [isImageExportOpen, setIsImageExportOpen] = useState(false);
+
+  const handleExportImage = async ({ format, scope, scale, transparent }) => {
+    const levelNodes = getNodes().map((node) => ({ ...node, handleBounds: node[internalsSymbol]?.handleBounds }));
+    const exported = scope === 'selection' ? levelNodes.filter((node) => node.selected) : levelNodes;
+    const levelEdges = getEdges();
+    const deployNode = getFlatWorkflow().nodes.find((node) => node.data.type === 'Deploy');
+    const contractName = deployNode?.data.config?.contractName || 'Contract';
+    const fileName = `${contractName}-${scope === 'selection' ? 'selection' : 'diagram'}`;
+
+    if (format === 'svg') {
+      downloadFile(`${fileName}.svg`, renderDiagramSvg(exported, levelEdges, { transparent }).svg, 'image/svg+xml');
+      return;
+    }
+    if (format === 'png') {
+      const canvas = await rasterizeSvg(renderDiagramSvg(exported, levelEdges, { transparent }), { scale });
+      downloadFile(`${fileName}.png`, await canvasToBlob(canvas));
+      return;
+    }
+
+    // PDF: the diagram as a JPEG, then every block the exported nodes stand for
+    const canvas = await rasterizeSvg(renderDiagramSvg(exported, levelEdges), { scale: 2, background: '#030712' });
+    const jpeg = Uint8Array.from(atob(canvas.toDataURL('image/jpeg', 0.92).split(',')[1]), (char) => char.charCodeAt(0));
+    const blocks = withoutAnnotations(flattenSubflows({ nodes: exported, edges: levelEdges })).nodes;
+    const pdf = renderSpecSheet({
+      title: `${contractName} spec sheet`,
+      subtitle: `${blocks.length} blocks · exported ${new Date().toLocaleString()}`,
+      diagram: { jpeg, width: canvas.width, height: canvas.height },
+      nodes: blocks,
+    });
+    downloadFile(`${fileName}.pdf`, pdf, 'application/pdf');
+  };
+
+  // Compare mode works on a snapshot of the root workflow taken when it opens
+  const [compareSnapshot, setCompareSnapshot] = useState(null);
+
+  const handleCompare = () => setCompareSnapshot(getWorkflow());
+
+  // Auto-arrange the whole graph, or just the selection when several nodes are selected.
+  // Notes and frames stay where they are.
+  const cancelLayoutAnimation = useRef(null);
+
+  const handleAutoLayout = () => {
+    const allNodes = getNodes().filter((node) => !isAnnotationNode(node));
+    const selected = allNodes.filter((node) => node.selected);
+    const targets = selected.length > 1 ? selected : allNodes;
+    if (targets.length === 0) return;
+
+    const origin = {
+      x: Math.min(...targets.map((node) => node.position.x)),
+      y: Math.min(...targets.map((node) => node.position.y)),
     };
-    const dataStr = JSON.stringify(workflow, null, 2);
-    const dataUri = 'data:application/json;charset=utf-8,' + encodeURIComponent(dataStr);
+    const positions = computeLayeredLayout(targets, getEdges(), origin);
+
+    takeSnapshot();
+    cancelLayoutAnimation.current?.();
+    cancelLayoutAnimation.current = animatePositions(positions, {
+      getNodes,
+      setNodes,
+      onDone: () => fitView({
+        duration: 400,
+        padding: 0.2,
+        nodes: selected.length > 1 ? selected.map((node) => ({ id: node.id })) : undefined,
+      }),
+    });
+  };
+
+  useEffect(() => () => cancelLayoutAnimation.current?.(), []);
+
+  // Graph linter: flags nodes through `data.status` and lists the findings
+  const [diagnostics, setDiagnostics] = useState(null);
+
+  // Findings name blocks of the flattened workflow; on the canvas a block
+  // inside a group is shown by the group on the open level
+  const toLevelIds = (levelNodes, nodeIds) => {
+    const owners = levelOwners(levelNodes);
+    return [...new Set(nodeIds.map((id) => owners.get(id)).filter(Boolean))];
+  };
+
+  const handleValidate = () => {
+    const flat = getFlatWorkflow();
+    const found = lintWorkflow(flat.nodes, flat.edges);
+    setNodes((nds) => applyDiagnostics(nds, found.map((diagnostic) => ({
+      ...diagnostic,
+      nodeIds: toLevelIds(nds, diagnostic.nodeIds),
+    }))));
+    setDiagnostics(found);
+  };
+
+  const focusNodes = (nodeIds) => {
+    const levelIds = toLevelIds(getNodes(), nodeIds);
+    if (levelIds.length === 0) return;
+    setNodes((nds) => nds.map((node) => ({ ...node, selected: levelIds.includes(node.id) })));
+    fitView({ nodes: levelIds.map((id) => ({ id })), duration: 500, padding: 0.5, maxZoom: 1.5 });
+  };
+
+  // Simulation: node statuses mirror the run; the next block to execute is 'running'
+  const [simulation, setSimulation] = useState(null);
+  const [simulationRunning, setSimulationRunning] = useState(false);
+
+  // Set `data.status` from an id -> status map; unlisted nodes go back to idle.
+  // Ids may name blocks inside groups: a group on the open level shows the
+  // most pressing status of what it holds (error, then running, then success).
+  const applyStatuses = useCallback((statuses) => {
+    setNodes((nds) => {
+      const owners = levelOwners(nds);
+      const levelStatuses = {};
+      Object.entries(statuses).forEach(([id, status]) => {
+        const owner = owners.get(id);
+        if (!owner) return;
+        const current = levelStatuses[owner];
+        if (!current || STATUS_PRIORITY.indexOf(status) < STATUS_PRIORITY.indexOf(current)) levelStatuses[owner] = status;
+      });
+      return nds.map((node) => {
+        const status = levelStatuses[node.id] || 'idle';
+        return node.data.status === status ? node : { ...node, data: { ...node.data, status } };
+      });
+    });
+  }, []);
+
+  const showSimulation = useCallback((next) => {
+    setSimulation(next);
+    applyStatuses(next ? next.statuses : {});
+  }, [applyStatuses]);
+
+  const handleSimulate = () => {
+    setDiagnostics(null);
+    setDeployment(null);
+    setShowGas(false);
+    setShowStandards(false);
+    setSimulationRunning(false);
+    const flat = getFlatWorkflow();
+    showSimulation(markNextRunning(startSimulation(flat.nodes, flat.edges)));
+  };
+
+  const stepOnce = useCallback(() => {
+    showSimulation(markNextRunning(stepSimulation(simulation)));
+  }, [simulation, showSimulation]);
+
+  useEffect(() => {
+    if (!simulationRunning || !simulation) return undefined;
+    if (isSimulationFinished(simulation)) {
+      setSimulationRunning(false);
+      return undefined;
+    }
+    const timer = setTimeout(stepOnce, 400);
+    return () => clearTimeout(timer);
+  }, [simulationRunning, simulation, stepOnce]);
+
+  const closeSimulation = () => {
+    setSimulationRunning(false);
+    showSimulation(null);
+  };
 
-    const exportFileDefaultName = `smart-contract-${Date.now()}.json`;
-    const linkElement = document.createElement('a');
-    linkElement.setAttribute('href', dataUri);
-    linkElement.setAttribute('download', exportFileDefaultName);
-    linkElement.click();
+  // Deployment: compile through /api/compile, then send through the chosen provider.
+  // The Deploy block runs while work is in flight; the result is stored on it.
+  const [deployment, setDeployment] = useState(null);
 
-    // You could also add export to Solidity/.sol file functionality here
-    alert('Contract structure exported! Next: Generate Solidity/Cadence code');
+  const compileForDeploy = async () => {
+    const flat = getFlatWorkflow();
+    const deployNode = flat.nodes.find((node) => node.data.type === 'Deploy');
+    if (!deployNode) {
+      alert('Add a Deploy block before deploying.');
+      return;
+    }
+    if (!getNodes().some((node) => node.id === deployNode.id)) {
+      alert('Open the level that holds the Deploy block to deploy.');
+      return;
+    }
+    const network = deployNode.data.config?.network || 'ethereum';
+    if (listProviders(network).length === 0) {
+      alert(
+        `No chain provider can deploy to the "${network}" network. Deployment compiles Solidity and only reaches ` +
+        'EVM chains; pick an EVM network on the Deploy block, or export the Cadence source and deploy it with the Flow CLI.'
+      );
+      return;
+    }
+    const generated = generateSolidity(flat.nodes, flat.edges);
+    setDiagnostics(null);
+    closeSimulation();
+    setShowGas(false);
+    setShowStandards(false);
+    setDeployment({ stage: 'compiling', log: [`Compiling ${generated.fileName}`], deployNodeId: deployNode.id, network, generated });
+    applyStatuses({ [deployNode.id]: 'running' });
+    try {
+      const compiled = await compileContract(generated);
+      setDeployment((current) => current && {
+        ...current,
+        stage: 'compiled',
+        compiled,
+        log: [...current.log, `Compiled with solc ${compiled.compilerVersion}`],
+      });
+      applyStatuses({});
+    } catch (error) {
+      setDeployment((current) => current && {
+        ...current,
+        stage: 'error',
+        error: [error.message, ...(error.details || []).slice(1)].join('\n'),
+      });
+      applyStatuses({ [deployNode.id]: 'error' });
+    }
+  };
+
+  const handleDeploy = async ({ providerKey, url, args }) => {
+    const { deployNodeId, network, compiled, generated } = deployment;
+    const deployNode = getNodes().find((node) => node.id === deployNodeId);
+    if (!deployNode) return;
+    const includedIds = getFlatWorkflow().nodes
+      .filter((node) => !generated.unsupported.some((skipped) => skipped.id === node.id))
+      .map((node) => node.id);
+    const progress = (stage, message) =>
+      setDeployment((current) => current && { ...current, stage, log: [...current.log, message] });
+
+    setDeployment((current) => ({ ...current, error: null, result: null }));
+    applyStatuses({ [deployNodeId]: 'running' });
+    try {
+      const provider = createProvider(providerKey, { url, network });
+      const result = await deployContract({
+        provider,
+        abi: compiled.abi,
+        bytecode: compiled.bytecode,
+        args,
+        gasLimit: deployNode.data.config?.gasLimit,
+        onProgress: progress,
+      });
+      takeSnapshot();
+      setNodes((nds) => nds.map((node) => (node.id === deployNodeId
+        ? {
+          ...node,
+          data: {
+            ...node.data,
+            deployment: {
+              ...result,
+              network,
+              endpoint: providerKey === 'rpc' ? url : providerKey,
+              deployedAt: new Date().toISOString(),
+            },
+          },
+        }
+        : node
+      )));
+      setDeployment((current) => current && { ...current, result });
+      applyStatuses(Object.fromEntries(includedIds.map((id) => [id, 'success'])));
+    } catch (error) {
+      setDeployment((current) => current && { ...current, stage: 'error', error: error.message });
+      applyStatuses({ [deployNodeId]: 'error' });
+    }
+  };
+
+  const closeDeployment = () => {
+    setDeployment(null);
+    applyStatuses({});
+  };
+
+  // Gas estimates: Deploy blocks always warn about a low gasLimit; the
+  // per-node badges and totals panel are toggled from the toolbar
+  const [showGas, setShowGas] = useState(false);
+  const rootWorkflow = useMemo(() => exitSubflows(subflowPath, nodes, edges), [subflowPath, nodes, edges]);
+  const liveWorkflow = useMemo(() => withoutAnnotations(flattenSubflows(rootWorkflow)), [rootWorkflow]);
+  const gasEstimate = useMemo(() => {
+    const estimate = estimateWorkflowGas(liveWorkflow.nodes, liveWorkflow.edges);
+    // Groups show the total of the blocks inside them
+    nodes.filter(isGroupNode).forEach((group) => {
+      estimate.perNode[group.id] = collectNodeIds(group.data.subflow.nodes)
+        .reduce((sum, id) => sum + (estimate.perNode[id] || 0), 0);
+    });
+    return estimate;
+  }, [liveWorkflow, nodes]);
+  const lowLimits = useMemo(() => findLowGasLimits(nodes, gasEstimate), [nodes, gasEstimate]);
+
+  const handleToggleGas = () => {
+    if (!showGas && simulation) closeSimulation();
+    if (!showGas && deployment) closeDeployment();
+    setShowStandards(false);
+    setShowGas(!showGas);
+  };
+
+  // Token standard the design matches, with a live checklist of what is missing
+  const [showStandards, setShowStandards] = useState(false);
+  const classification = useMemo(() => classifyContract(liveWorkflow.nodes), [liveWorkflow]);
+
+  const handleToggleStandards = () => {
+    if (!showStandards && simulation) closeSimulation();
+    if (!showStandards && deployment) closeDeployment();
+    setShowGas(false);
+    setShowStandards(!showStandards);
+  };
+
+  // Live collaboration: the root workflow is shared through the relay
+  // (`npm run collab`). `?room=` in the URL joins a session on load.
+  const [collabRoom, setCollabRoom] = useState(null);
+  const [collabUser, setCollabUser] = useState(null);
+  const levelKey = subflowPath.map((entry) => entry.groupId).join('/');
+
+  const ensureCollabUser = () => {
+    const known = getCollabUser();
+    if (known) return known;
+    const name = prompt('Your name for collaborators:', 'Guest');
+    return name ? saveCollabUser(name) : null;
+  };
+
+  const setRoomParam = (room) => {
+    const url = new URL(window.location.href);
+    if (room) url.searchParams.set('room', room);
+    else url.searchParams.delete('room');
+    window.history.replaceState(null, '', url);
   };
 
+  useEffect(() => {
+    const room = new URLSearchParams(window.location.search).get('room');
+    if (!room) return;
+    const user = ensureCollabUser();
+    if (!user) return;
+    setCollabUser(user);
+    setCollabRoom(room);
+  }, []);
+
+  // Collaborators' edits replace the shared graph; the open subflows are
+  // re-entered and this user's selection and statuses kept
+  const applyRemoteWorkflow = (shared) => {
+    const view = reenterSubflows(subflowPath, shared);
+    if (view.path.length !== subflowPath.length) {
+      setSubflowPath(view.path);
+      history.reset();
+    } else if (view.path.length > 0) {
+      setSubflowPath(view.path);
+    }
+    const merged = mergeSharedGraph({ nodes: getNodes(), edges: getEdges() }, view);
+    setNodes(merged.nodes);
+    setEdges(merged.edges);
+  };
+
+  const collab = useCollaboration({
+    room: collabRoom,
+    user: collabUser,
+    graph: rootWorkflow,
+    level: levelKey,
+    selection: selectedNodes,
+    onRemoteChange: applyRemoteWorkflow,
+    onUndoManager: setSharedUndoManager,
+  });
+
+  const handleToggleLive = async () => {
+    if (collabRoom) {
+      setCollabRoom(null);
+      setRoomParam(null);
+      return;
+    }
+    const user = ensureCollabUser();
+    if (!user) return;
+    const room = currentProject ? `project-${currentProject.id}` : `room-${Math.random().toString(36).slice(2, 10)}`;
+    setCollabUser(user);
+    setCollabRoom(room);
+    setRoomParam(room);
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      alert('Live session started. The invite link is on your clipboard.');
+    } catch {
+      prompt('Live session started. Share this link:', window.location.href);
+    }
+  };
+
+  const handleCursorMove = (event) => {
+    collab.setCursor(screenToFlowPosition({ x: event.clientX, y: event.clientY }));
+  };
+
+  const collabContext = useMemo(() => {
+    const selections = {};
+    collab.peers
+      .filter((peer) => peer.view?.level === levelKey)
+      .forEach((peer) => peer.view.selection.forEach((nodeId) => {
+        selections[nodeId] = [...(selections[nodeId] || []), peer.user];
+      }));
+    return { selections };
+  }, [collab.peers, levelKey]);
+
+  // Command palette: every toolbar and node action, block, node type and node on this level
+  const handleDuplicateSelection = () => {
+    const { nodes: copied, edges: copiedEdges } = selectedGraph();
+    if (copied.length > 0) insertCopies(copied, copiedEdges, 50);
+  };
+
+  const handleDeleteSelection = () => {
+    const selectedIds = new Set(getNodes().filter((node) => node.selected).map((node) => node.id));
+    if (selectedIds.size === 0) return;
+    takeSnapshot();
+    setNodes((nds) => nds.filter((node) => !selectedIds.has(node.id)));
+    setEdges((eds) => eds.filter((edge) => !edge.selected && !selectedIds.has(edge.source) && !selectedIds.has(edge.target)));
+  };
+
+  const handleRenameSelection = () => {
+    const selected = getNodes().filter((node) => node.selected);
+    if (selected.length !== 1) {
+      alert('Select a single block to rename.');
+      return;
+    }
+    const [node] = selected;
+    const label = prompt('Edit node label:', node.data.label);
+    if (!label || label === node.data.label) return;
+    takeSnapshot();
+    setNodes((nds) => nds.map((item) => item.id === node.id ? { ...item, data: { ...item.data, label } } : item));
+  };
+
+  const selectByType = (type) => {
+    setNodes((nds) => nds.map((node) => ({ ...node, selected: node.data.type === type })));
+  };
+
+  const buildCommands = () => {
+    const action = (id, label, icon, run, keywords = []) => ({ id: `action:${id}`, label, group: 'Action', icon, run, keywords });
+    const presentTypes = [...new Set(nodes.map((node) => node.data.type))];
+    return [
+      action('save', 'Save Workflow', Save, handleSave),
+      action('load', 'Open Project Library', Upload, handleLoad, ['load', 'projects']),
+      action('templates', 'New from Template', LayoutTemplate, handleNewProject, ['new project']),
+      action('import', 'Import Workflow File', FileUp, () => importInputRef.current?.click()),
+      action('export', 'Export Workflow (JSON)', Download, () => handleExport('json'), ['json', 'download', 'save']),
+      action('export-solidity', 'Export Solidity Source', FileCode, () => handleExport('solidity'), ['sol', 'contract', 'download']),
+      action('export-cadence', 'Export Cadence Source', FileCode, () => handleExport('cadence'), ['cdc', 'flow', 'contract', 'download']),
+      action('compare', 'Compare Versions', GitCompareArrows, handleCompare, ['diff', 'changes', 'snapshot', 'history']),
+      action('export-image', 'Export Image', ImageDown, () => setIsImageExportOpen(true), ['png', 'svg', 'pdf', 'diagram', 'spec sheet']),
+      action('validate', 'Check Workflow', ShieldCheck, handleValidate, ['lint', 'validate']),
+      action('simulate', 'Simulate', Play, handleSimulate, ['run']),
+      action('deploy', 'Deploy to Local Chain', Rocket, compileForDeploy, ['compile']),
+      action('gas', showGas ? 'Hide Gas Estimates' : 'Show Gas Estimates', Fuel, handleToggleGas),
+      action('standards', showStandards ? 'Hide Standard Compliance' : 'Show Standard Compliance', ShieldCheck, handleToggleStandards, ['erc20', 'erc721']),
+      action('layout', 'Auto-arrange', Network, handleAutoLayout, ['layout', 'tidy']),
+      action('group', 'Group Selection', Boxes, handleGroup, ['subflow']),
+      action('rename', 'Rename Selected Block', Edit, handleRenameSelection, ['label', 'edit']),
+      action('duplicate', 'Duplicate Selection', Copy, handleDuplicateSelection, ['copy', 'clone']),
+      action('delete', 'Delete Selection', Trash2, handleDeleteSelection, ['remove']),
+      action('undo', 'Undo', Undo2, history.undo),
+      action('redo', 'Redo', Redo2, history.redo),
+      action('fit', 'Fit View', Maximize2, () => fitView({ duration: 300 }), ['zoom to fit']),
+      action('zoom-in', 'Zoom In', Plus, () => zoomIn({ duration: 200 })),
+      action('zoom-out', 'Zoom Out', Minus, () => zoomOut({ duration: 200 })),
+      action('select-all', 'Select All', Grid, () => setNodes((nds) => nds.map((node) => ({ ...node, selected: true })))),
+      action('live', collabRoom ? 'Leave Live Session' : 'Start Live Session', Radio, handleToggleLive, ['collaborate', 'share', 'multiplayer']),
+      action('clear', 'Clear Canvas', Trash2, handleClear),
+      ...Object.entries(nodeTypes)
+        .filter(([, definition]) => definition.palette !== false)
+        .map(([type, definition]) => ({
+          id: `add:${type}`,
+          label: `Add ${type}`,
+          group: 'Add block',
+          hint: definition.description,
+          icon: definition.icon,
+          keywords: definition.keywords,
+          run: () => quickAdd({ type: 'customNode', label: `New ${type}`, nodeType: type }),
+        })),
+      ...presentTypes.map((type) => ({
+        id: `select:${type}`,
+        label: `Select all ${type} blocks`,
+        group: 'Select',
+        icon: (nodeTypes[type] || UNKNOWN_BLOCK).icon,
+        run: () => selectByType(type),
+      })),
+      ...nodes.map((node) => ({
+        id: `goto:${node.id}`,
+        label: node.data.label || node.id,
+        group: 'Go to',
+        hint: node.data.type,
+        icon: (nodeTypes[node.data.type] || UNKNOWN_BLOCK).icon,
+        run: () => focusNodes([node.id]),
+      })),
+    ];
+  };
+
+  // Inspector edits: `config` keys are merged, other data fields replaced
+  const updateNodeData = useCallback((nodeId, { config, ...patch }) => {
+    // Typing into one field is a single history step
+    takeSnapshot(`inspect:${nodeId}:${Object.keys({ ...config, ...patch }).join(',')}`);
+    setNodes((nds) =>
+      nds.map((node) =>
+        node.id === nodeId
+          ? {
+            ...node,
+            data: {
+              ...node.data,
+              ...patch,
+              ...(config ? { config: { ...node.data.config, ...config } } : {}),
+            },
+          }
+          : node
+      )
+    );
+  }, [takeSnapshot]);
+
+  const inspectedNode = selectedNodes.length === 1
+    ? nodes.find((node) => node.id === selectedNodes[0])
+    : null;
+
+  // Edge edits: fields are merged into `data`
+  const updateEdgeData = useCallback((edgeId, patch) => {
+    takeSnapshot(`edge:${edgeId}:${Object.keys(patch).join(',')}`);
+    setEdges((eds) => eds.map((edge) => (edge.id === edgeId ? { ...edge, data: { ...edge.data, ...patch } } : edge)));
+  }, [takeSnapshot]);
+
+  const inspectedEdge = selectedNodes.length === 0 && selectedEdgeIds.length === 1
+    ? edges.find((edge) => edge.id === selectedEdgeIds[0])
+    : null;
+
+  // Edges are drawn from their kind, branch, label and condition
+  const displayEdges = useMemo(() => {
+    const byId = new Map(nodes.map((node) => [node.id, node]));
+    return edges.map((edge) => styleEdge(edge, byId.get(edge.source)));
+  }, [nodes, edges]);
+
   const nodeTypesMemo = useMemo(() => ({
     customNode: CustomNode,
+    [ANNOTATION_NODE]: AnnotationNode,
   }), []);
 
+  const historyContext = useMemo(() => ({ takeSnapshot }), [takeSnapshot]);
+  const gasContext = useMemo(() => ({ estimate: gasEstimate, lowLimits, visible: showGas }), [gasEstimate, lowLimits, showGas]);
+
   return (
-    <div className="flex-1 h-full relative">
-      <ReactFlow
-        nodes={nodes}
-        edges={edges}
-        onNodesChange={onNodesChange}
-        onEdgesChange={onEdgesChange}
-        onConnect={onConnect}
-        onDrop={onDrop}
-        onDragOver={onDragOver}
-        nodeTypes={nodeTypesMemo}
-        defaultEdgeOptions={edgeOptions}
-        fitView
-        className="bg-gray-950"
-        proOptions={{ hideAttribution: true }}
-        deleteKeyCode={['Delete', 'Backspace']}
-        multiSelectionKeyCode={['Meta', 'Control']}
-      >
-        {/* Grid Background */}
-        <Background
-          variant="dots"
-          gap={20}
-          size={1.5}
-          color="#374151"
-        />
+    <HistoryContext.Provider value={historyContext}>
+      <GasEstimateContext.Provider value={gasContext}>
+        <CollaborationContext.Provider value={collabContext}>
+          <div className="flex-1 h-full flex">
+            <div
+              ref={canvasRef}
+              className="flex-1 h-full relative"
+              onMouseMove={collabRoom ? handleCursorMove : undefined}
+              onMouseLeave={collabRoom ? () => collab.setCursor(null) : undefined}
+            >
+              <ReactFlow
+                nodes={nodes}
+                edges={displayEdges}
+                onNodesChange={onNodesChange}
+                onNodeDoubleClick={onNodeDoubleClick}
+                onEdgesChange={onEdgesChange}
+                onConnect={onConnect}
+                onNodeDragStart={onNodeDragStart}
+                onNodeDrag={onNodeDrag}
+                onNodeDragStop={onDragStop}
+                onSelectionDragStart={onSelectionDragStart}
+                onSelectionDragStop={onDragStop}
+                onConnectStart={onConnectStart}
+                onConnectEnd={onConnectEnd}
+                isValidConnection={isValidConnection}
+                onDrop={onDrop}
+                onDragOver={onDragOver}
+                nodeTypes={nodeTypesMemo}
+                defaultEdgeOptions={edgeOptions}
+                fitView
+                className="bg-gray-950"
+                proOptions={{ hideAttribution: true }}
+                deleteKeyCode={null}
+                multiSelectionKeyCode={['Meta', 'Control']}
+              >
+                {/* Grid Background */}
+                <Background
+                  variant="dots"
+                  gap={20}
+                  size={1.5}
+                  color="#374151"
+                />
+
+                {/* Collaborators' pointers */}
+                {collabRoom && <RemoteCursors peers={collab.peers} level={levelKey} />}
+
+                {/* Mini Map */}
+                <MiniMap
+                  className="!bg-gray-900 !border-gray-800 rounded-xl shadow-2xl"
+                  maskColor="rgba(0, 0, 0, 0.8)"
+                  position='top-right'
+                  nodeColor={(node) => minimapColor(node.data?.type)}
+                  nodeStrokeWidth={3}
+                  pannable
+                  zoomable
+                />
+
+                {/* Controls */}
+                <Controls
+                  className="!bg-gray-900 !border-gray-800 !rounded-xl !shadow-2xl"
+                  showInteractive={false}
+                />
+
+                {/* Header */}
+                <Panel position="top-left" className="bg-gray-900/95 backdrop-blur-xl rounded-2xl p-5 shadow-2xl border border-gray-800">
+                  <div>
+                    <h1 className="text-2xl font-black text-transparent bg-clip-text bg-gradient-to-r from-purple-400 via-pink-400 to-indigo-400">
+                      Smart Contract Builder
+                    </h1>
+                    <p className="text-xs text-gray-500 mt-1 flex items-center gap-2">
+                      <Wallet className="w-3 h-3" />
+                      {currentProject ? currentProject.name : 'Visual Web3 Development Platform'}
+                    </p>
+                    <div className="mt-2 flex items-center gap-2">
+                      <button
+                        onClick={handleToggleStandards}
+                        className={`
+                          flex items-center gap-1.5 px-2 py-0.5 rounded-full text-[10px] font-medium transition-all
+                          ${showStandards ? 'bg-emerald-500 text-white' : 'bg-gray-800 text-gray-400 hover:bg-gray-700 hover:text-white'}
+                        `}
+                        title="Standard Compliance"
+                      >
+                        <ShieldCheck className="w-3 h-3" />
+                        <span>
+                          {classification.standard
+                            ? `${classification.standard.label} · ${classification.standard.met}/${classification.standard.total}`
+                            : 'No standard detected'}
+                        </span>
+                      </button>
+                      <button
+                        onClick={handleToggleLive}
+                        className={`
+                          flex items-center gap-1.5 px-2 py-0.5 rounded-full text-[10px] font-medium transition-all
+                          ${collabRoom ? 'bg-purple-500/20 text-purple-300 hover:bg-purple-500/30' : 'bg-gray-800 text-gray-400 hover:bg-gray-700 hover:text-white'}
+                        `}
+                        title={collabRoom ? 'Leave Live Session' : 'Start Live Session'}
+                      >
+                        <Radio className={`w-3 h-3 ${collab.status === 'connected' ? 'text-green-400' : collab.status === 'connecting' ? 'text-yellow-400 animate-pulse' : ''}`} />
+                        <span>{collabRoom ? (collab.status === 'connected' ? 'Live' : 'Connecting…') : 'Go Live'}</span>
+                      </button>
+                      {collabRoom && collabUser && <PresenceAvatars user={collabUser} peers={collab.peers} />}
+                    </div>
+                    {subflowPath.length > 0 && (
+                      <nav className="flex items-center flex-wrap gap-1 mt-3 text-xs">
+                        <button onClick={() => navigateToLevel(0)} className="text-gray-400 hover:text-white transition-colors">
+                          Workflow
+                        </button>
+                        {subflowPath.map((entry, depth) => (
+                          <React.Fragment key={entry.groupId}>
+                            <ChevronRight className="w-3 h-3 text-gray-600" />
+                            {depth === subflowPath.length - 1 ? (
+                              <span className="text-fuchsia-400 font-semibold">{entry.label}</span>
+                            ) : (
+                              <button onClick={() => navigateToLevel(depth + 1)} className="text-gray-400 hover:text-white transition-colors">
+                                {entry.label}
+                              </button>
+                            )}
+                          </React.Fragment>
+                        ))}
+                      </nav>
+                    )}
+                  </div>
+                </Panel>
+
+                {/* Toolbar */}
+                <Toolbar
+                  onSave={handleSave}
+                  onLoad={handleLoad}
+                  onTemplates={handleNewProject}
+                  onImport={() => importInputRef.current?.click()}
+                  onClear={handleClear}
+                  onExport={handleExport}
+                  onExportImage={() => setIsImageExportOpen(true)}
+                  onCompare={handleCompare}
+                  onValidate={handleValidate}
+                  onSimulate={handleSimulate}
+                  onDeploy={compileForDeploy}
+                  onToggleGas={handleToggleGas}
+                  showGas={showGas}
+                  onGroup={handleGroup}
+                  onAutoLayout={handleAutoLayout}
+                  onUndo={history.undo}
+                  onRedo={history.redo}
+                  canUndo={history.canUndo}
+                  canRedo={history.canRedo}
+                />
+
+                {/* Stats Panel */}
+                {/* <Panel position="bottom-left" className="bg-gray-900/95 backdrop-blur-xl rounded-xl px-4 py-2 ml-[100px] shadow-xl border border-gray-800">
+                  <div className="flex items-center space-x-4 text-xs">
+                    <div className="flex items-center space-x-2 text-gray-400">
+                      <Box className="w-3 h-3" />
+                      <span>{nodes.length} nodes</span>
+                    </div>
+                    <div className="flex items-center space-x-2 text-gray-400">
+                      <GitBranch className="w-3 h-3" />
+                      <span>{edges.length} connections</span>
+                    </div>
+                    {selectedNodes.length > 0 && (
+                      <div className="flex items-center space-x-2 text-purple-400">
+                        <Activity className="w-3 h-3" />
+                        <span>{selectedNodes.length} selected</span>
+                      </div>
+                    )}
+                  </div>
+                </Panel> */}
+
+                {/* Linter findings */}
+                {diagnostics && (
+                  <DiagnosticsPanel
+                    diagnostics={diagnostics}
+                    onSelect={(diagnostic) => focusNodes(diagnostic.nodeIds)}
+                    onRerun={handleValidate}
+                    onClose={() => setDiagnostics(null)}
+                  />
+                )}
 
-        {/* Mini Map */}
-        <MiniMap
-          className="!bg-gray-900 !border-gray-800 rounded-xl shadow-2xl"
-          maskColor="rgba(0, 0, 0, 0.8)"
-          position='top-right'
-          nodeColor={(node) => {
-            const type = nodeTypes[node.data?.type];
-            return type ? '#6366f1' : '#374151';
-          }}
-          nodeStrokeWidth={3}
-          pannable
-          zoomable
-        />
+                {/* Simulation controls and resulting state */}
+                {simulation && (
+                  <SimulationPanel
+                    simulation={simulation}
+                    running={simulationRunning}
+                    onStep={stepOnce}
+                    onRun={() => setSimulationRunning(true)}
+                    onPause={() => setSimulationRunning(false)}
+                    onReset={handleSimulate}
+                    onSelect={(nodeId) => focusNodes([nodeId])}
+                    onClose={closeSimulation}
+                  />
+                )}
 
-        {/* Controls */}
-        <Controls
-          className="!bg-gray-900 !border-gray-800 !rounded-xl !shadow-2xl"
-          showInteractive={false}
-        />
+                {/* Compile and deploy progress */}
+                {deployment && (
+                  <DeployPanel
+                    deployment={deployment}
+                    onDeploy={handleDeploy}
+                    onRecompile={compileForDeploy}
+                    onClose={closeDeployment}
+                  />
+                )}
 
-        {/* Header */}
-        <Panel position="top-left" className="bg-gray-900/95 backdrop-blur-xl rounded-2xl p-5 shadow-2xl border border-gray-800">
-          <div>
-            <h1 className="text-2xl font-black text-transparent bg-clip-text bg-gradient-to-r from-purple-400 via-pink-400 to-indigo-400">
-              Smart Contract Builder
-            </h1>
-            <p className="text-xs text-gray-500 mt-1 flex items-center gap-2">
-              <Wallet className="w-3 h-3" />
-              Visual Web3 Development Platform
-            </p>
-          </div>
-        </Panel>
-
-        {/* Toolbar */}
-        <Toolbar
-          onSave={handleSave}
-          onLoad={handleLoad}
-          onClear={handleClear}
-          onExport={handleExport}
-        />
+                {/* Gas totals */}
+                {showGas && (
+                  <GasPanel
+                    estimate={gasEstimate}
+                    lowLimits={lowLimits}
+                    onSelect={(nodeId) => focusNodes([nodeId])}
+                    onClose={() => setShowGas(false)}
+                  />
+                )}
 
-        {/* Stats Panel */}
-        {/* <Panel position="bottom-left" className="bg-gray-900/95 backdrop-blur-xl rounded-xl px-4 py-2 ml-[100px] shadow-xl border border-gray-800">
-          <div className="flex items-center space-x-4 text-xs">
-            <div className="flex items-center space-x-2 text-gray-400">
-              <Box className="w-3 h-3" />
-              <span>{nodes.length} nodes</span>
-            </div>
-            <div className="flex items-center space-x-2 text-gray-400">
-              <GitBranch className="w-3 h-3" />
-              <span>{edges.length} connections</span>
+                {/* Standard compliance checklist */}
+                {showStandards && (
+                  <StandardsPanel
+                    classification={classification}
+                    onClose={() => setShowStandards(false)}
+                  />
+                )}
+
+                {/* Rejected connection reason */}
+                {connectionError && (
+                  <Panel position="bottom-center" className="bg-red-950/90 backdrop-blur-xl rounded-full px-4 py-2 shadow-xl border border-red-800">
+                    <div className="flex items-center space-x-2 text-xs text-red-300">
+                      <AlertCircle className="w-3.5 h-3.5 flex-shrink-0" />
+                      <span>{connectionError}</span>
+                    </div>
+                  </Panel>
+                )}
+
+                {/* Help Panel */}
+                <Panel position="bottom-right" className="bg-gray-900/95 backdrop-blur-xl rounded-xl px-4 py-2 shadow-xl border border-gray-800 max-w-xs">
+                  <div className="text-xs text-gray-500 space-y-1">
+                    <p>• Drag contract blocks from sidebar</p>
+                    <p>• Ctrl/Cmd+K for the command palette</p>
+                    <p>• Connect to build contract flow</p>
+                    <p>• Export as Solidity/Cadence</p>
+                    <p>• Test on local blockchain</p>
+                  </div>
+                </Panel>
+              </ReactFlow>
             </div>
-            {selectedNodes.length > 0 && (
-              <div className="flex items-center space-x-2 text-purple-400">
-                <Activity className="w-3 h-3" />
-                <span>{selectedNodes.length} selected</span>
-              </div>
+
+            {/* Property inspector for the selected node */}
+            {inspectedNode && (
+              <NodeInspector
+                key={inspectedNode.id}
+                node={inspectedNode}
+                onUpdate={updateNodeData}
+                onClose={() => setNodes((nds) => nds.map((node) => ({ ...node, selected: false })))}
+              />
+            )}
+            {inspectedEdge && (
+              <EdgeInspector
+                key={inspectedEdge.id}
+                edge={inspectedEdge}
+                source={nodes.find((node) => node.id === inspectedEdge.source)}
+                target={nodes.find((node) => node.id === inspectedEdge.target)}
+                onUpdate={updateEdgeData}
+                onClose={() => setEdges((eds) => eds.map((edge) => ({ ...edge, selected: false })))}
+              />
             )}
           </div>
-        </Panel> */}
-
-        {/* Help Panel */}
-        <Panel position="bottom-right" className="bg-gray-900/95 backdrop-blur-xl rounded-xl px-4 py-2 shadow-xl border border-gray-800 max-w-xs">
-          <div className="text-xs text-gray-500 space-y-1">
-            <p>• Drag contract blocks from sidebar</p>
-            <p>• Connect to build contract flow</p>
-            <p>• Export as Solidity/Cadence</p>
-            <p>• Test on local blockchain</p>
-          </div>
-        </Panel>
-      </ReactFlow>
-    </div>
+
+          {isPaletteOpen && (
+            <CommandPalette commands={buildCommands()} onClose={() => setIsPaletteOpen(false)} />
+          )}
+
+          <input
+            ref={importInputRef}
+            type="file"
+            accept=".json,application/json"
+            className="hidden"
+            onChange={handleImportChange}
+          />
+
+          {/* Project library picker */}
+          {isLibraryOpen && (
+            <ProjectLibrary
+              currentProjectId={currentProject?.id}
+              onOpen={handleOpenProject}
+              onCreate={handleNewProject}
+              onRenamed={(projectId, name) => {
+                if (currentProject?.id === projectId) setCurrentProject({ id: projectId, name });
+              }}
+              onDeleted={(projectId) => {
+                if (currentProject?.id === projectId) setCurrentProject(null);
+              }}
+              onClose={() => setIsLibraryOpen(false)}
+            />
+          )}
+
+          {/* New project from a template */}
+          {isGalleryOpen && (
+            <TemplateGallery
+              onSelect={handleUseTemplate}
+              onClose={() => setIsGalleryOpen(false)}
+            />
+          )}
+
+          {compareSnapshot && (
+            <WorkflowCompare
+              current={compareSnapshot}
+              nodeTypes={nodeTypesMemo}
+              onClose={() => setCompareSnapshot(null)}
+            />
+          )}
+
+          {isImageExportOpen && (
+            <ImageExportDialog
+              hasSelection={nodes.some((node) => node.selected)}
+              onExport={handleExportImage}
+              onClose={() => setIsImageExportOpen(false)}
+            />
+          )}
+        </CollaborationContext.Provider>
+      </GasEstimateContext.Provider>
+    </HistoryContext.Provider>
   );
 };
 
 // Main Application Component
 const WorkflowWhiteboard = () => {
   const [isSidebarExpanded, setIsSidebarExpanded] = useState(true);
+  const quickAddRef = useRef(null);
 
   return (
     <ReactFlowProvider>
@@ -790,8 +2270,9 @@ const WorkflowWhiteboard = () => {
         <Sidebar
           isExpanded={isSidebarExpanded}
           toggle={() => setIsSidebarExpanded(!isSidebarExpanded)}
+          onQuickAdd={(nodeData) => quickAddRef.current?.(nodeData)}
         />
-        <Flow />
+        <Flow quickAddRef={quickAddRef} />
       </div>
     </ReactFlowProvider>
   );
@@ -0,0 +1,47 @@
+import solc from 'solc';
+
+// Compiles generated Solidity with the bundled solc, so deployment needs no
+// network access. Responds with { abi, bytecode, warnings } or { errors }.
+
+export const runtime = 'nodejs';
+
+export async function POST(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return Response.json({ errors: ['Request body is not JSON'] }, { status: 400 });
+  }
+
+  const { source, fileName = 'Contract.sol', contractName } = body || {};
+  if (typeof source !== 'string' || !contractName) {
+    return Response.json({ errors: ['Expected "source" and "contractName"'] }, { status: 400 });
+  }
+
+  const output = JSON.parse(solc.compile(JSON.stringify({
+    language: 'Solidity',
+    sources: { [fileName]: { content: source } },
+    settings: {
+      // Paris bytecode (no PUSH0/MCOPY) runs on every common local devnet
+      evmVersion: 'paris',
+      optimizer: { enabled: true, runs: 200 },
+      outputSelection: { '*': { '*': ['abi', 'evm.bytecode.object'] } },
+    },
+  })));
+
+  const messages = output.errors || [];
+  const errors = messages.filter((message) => message.severity === 'error').map((message) => message.formattedMessage);
+  if (errors.length > 0) return Response.json({ errors }, { status: 422 });
+
+  const contract = output.contracts?.[fileName]?.[contractName];
+  if (!contract) {
+    return Response.json({ errors: [`Contract "${contractName}" not found in compiler output`] }, { status: 422 });
+  }
+
+  return Response.json({
+    abi: contract.abi,
+    bytecode: `0x${contract.evm.bytecode.object}`,
+    warnings: messages.filter((message) => message.severity !== 'error').map((message) => message.formattedMessage),
+    compilerVersion: solc.version(),
+  });
+}
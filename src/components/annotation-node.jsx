@@ -0,0 +1,135 @@
+"use client";
+
+import React, { useState } from 'react';
+import { NodeResizer, useReactFlow } from 'reactflow';
+import { useHistoryContext } from '@/hooks/use-history';
+import { useRemoteSelection } from '@/hooks/use-collaboration';
+import { annotationKind } from '@/lib/annotations';
+
+const NOTE_COLORS = {
+  yellow: 'bg-yellow-200 border-yellow-300 text-yellow-950',
+  pink: 'bg-pink-200 border-pink-300 text-pink-950',
+  blue: 'bg-sky-200 border-sky-300 text-sky-950',
+  green: 'bg-emerald-200 border-emerald-300 text-emerald-950',
+  purple: 'bg-violet-200 border-violet-300 text-violet-950',
+  gray: 'bg-gray-200 border-gray-300 text-gray-900',
+};
+
+const FRAME_COLORS = {
+  yellow: 'bg-yellow-400/5 border-yellow-400/50 text-yellow-300',
+  pink: 'bg-pink-400/5 border-pink-400/50 text-pink-300',
+  blue: 'bg-sky-400/5 border-sky-400/50 text-sky-300',
+  green: 'bg-emerald-400/5 border-emerald-400/50 text-emerald-300',
+  purple: 'bg-violet-400/5 border-violet-400/50 text-violet-300',
+  gray: 'bg-gray-400/5 border-gray-400/50 text-gray-300',
+};
+
+// Text that turns into an input on double-click; Enter (or Ctrl+Enter when
+// `multiline`) and blur commit, Escape cancels
+const InlineText = ({ value, placeholder, multiline, className, onCommit }) => {
+  const [draft, setDraft] = useState(null);
+
+  if (draft === null) {
+    return (
+      <div
+        className={`${className} ${value ? '' : 'opacity-50'}`}
+        onDoubleClick={(e) => {
+          e.stopPropagation();
+          setDraft(value || '');
+        }}
+        title="Double-click to edit"
+      >
+        {value || placeholder}
+      </div>
+    );
+  }
+
+  const commit = () => {
+    if (draft !== (value || '')) onCommit(draft);
+    setDraft(null);
+  };
+  const onKeyDown = (e) => {
+    if (e.key === 'Escape') setDraft(null);
+    if (e.key === 'Enter' && (!multiline || e.ctrlKey || e.metaKey)) commit();
+  };
+  const Input = multiline ? 'textarea' : 'input';
+
+  return (
+    <Input
+      autoFocus
+      value={draft}
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={onKeyDown}
+      className={`${className} nodrag nowheel w-full bg-transparent outline-none resize-none`}
+    />
+  );
+};
+
+// Sticky notes and frames. Both are resizable, titled (`data.label`) and
+// coloured (`config.color`); notes also hold free text (`config.text`).
+const AnnotationNode = ({ id, data, selected }) => {
+  const { setNodes } = useReactFlow();
+  const { takeSnapshot } = useHistoryContext();
+  const remoteSelection = useRemoteSelection(id);
+  const kind = annotationKind({ data });
+  const config = data.config || {};
+
+  const update = (patch, configPatch) => {
+    takeSnapshot();
+    setNodes((nodes) => nodes.map((node) => (node.id === id
+      ? { ...node, data: { ...node.data, ...patch, config: { ...node.data.config, ...configPatch } } }
+      : node)));
+  };
+
+  const remoteOutline = remoteSelection.length > 0 ? { outline: `2px solid ${remoteSelection[0].color}`, outlineOffset: 4 } : undefined;
+
+  if (kind === 'frame') {
+    return (
+      <>
+        <NodeResizer isVisible={selected} minWidth={160} minHeight={100} lineClassName="!border-purple-500" handleClassName="!bg-purple-500 !border-gray-900" />
+        <div
+          className={`w-full h-full rounded-2xl border-2 border-dashed ${FRAME_COLORS[config.color] || FRAME_COLORS.purple} ${selected ? 'border-solid' : ''}`}
+          style={remoteOutline}
+        >
+          <InlineText
+            value={data.label}
+            placeholder="Untitled frame"
+            className="px-4 py-2 text-sm font-bold tracking-wide"
+            onCommit={(label) => update({ label })}
+          />
+        </div>
+      </>
+    );
+  }
+
+  return (
+    <>
+      <NodeResizer isVisible={selected} minWidth={140} minHeight={90} lineClassName="!border-amber-500" handleClassName="!bg-amber-500 !border-gray-900" />
+      <div
+        className={`
+          w-full h-full flex flex-col rounded-lg border shadow-xl overflow-hidden
+          ${NOTE_COLORS[config.color] || NOTE_COLORS.yellow}
+          ${selected ? 'ring-2 ring-amber-400' : ''}
+        `}
+        style={remoteOutline}
+      >
+        <InlineText
+          value={data.label}
+          placeholder="Note"
+          className="px-3 pt-2 text-xs font-bold"
+          onCommit={(label) => update({ label })}
+        />
+        <InlineText
+          value={config.text}
+          placeholder="Double-click to write…"
+          multiline
+          className="flex-1 px-3 py-1.5 text-xs leading-relaxed whitespace-pre-wrap overflow-auto"
+          onCommit={(text) => update({}, { text })}
+        />
+      </div>
+    </>
+  );
+};
+
+export default React.memo(AnnotationNode);
@@ -0,0 +1,52 @@
+"use client";
+
+import React from 'react';
+import { useStore } from 'reactflow';
+import { MousePointer2 } from 'lucide-react';
+import { initialsOf } from '@/lib/collab/identity';
+
+// Avatars of everyone in the live session, this user first
+export const PresenceAvatars = ({ user, peers }) => (
+  <div className="flex items-center -space-x-1.5">
+    {[{ clientID: 'self', user }, ...peers].map(({ clientID, user: peer }) => (
+      <div
+        key={clientID}
+        className="w-5 h-5 rounded-full flex items-center justify-center text-[9px] font-bold text-white ring-2 ring-gray-900"
+        style={{ backgroundColor: peer.color }}
+        title={clientID === 'self' ? `${peer.name} (you)` : peer.name}
+      >
+        {initialsOf(peer.name)}
+      </div>
+    ))}
+  </div>
+);
+
+const selectTransform = (state) => state.transform;
+
+// Other users' pointers on the canvas; must render inside <ReactFlow>.
+// Only cursors on the subflow `level` this user is viewing are shown.
+export const RemoteCursors = ({ peers, level }) => {
+  const [x, y, zoom] = useStore(selectTransform);
+
+  return (
+    <div className="absolute inset-0 pointer-events-none overflow-hidden z-10">
+      {peers
+        .filter((peer) => peer.cursor && peer.cursor.level === level)
+        .map(({ clientID, user, cursor }) => (
+          <div
+            key={clientID}
+            className="absolute top-0 left-0 transition-transform duration-75 ease-linear"
+            style={{ transform: `translate(${cursor.x * zoom + x}px, ${cursor.y * zoom + y}px)` }}
+          >
+            <MousePointer2 className="w-4 h-4 drop-shadow" style={{ color: user.color, fill: user.color }} />
+            <span
+              className="ml-3 px-1.5 py-0.5 rounded-md text-[10px] font-medium text-white whitespace-nowrap"
+              style={{ backgroundColor: user.color }}
+            >
+              {user.name}
+            </span>
+          </div>
+        ))}
+    </div>
+  );
+};
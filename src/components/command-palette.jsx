@@ -0,0 +1,104 @@
+"use client";
+
+import React, { useState, useEffect, useRef } from 'react';
+import { Search, CornerDownLeft } from 'lucide-react';
+import { searchBlocks } from '@/lib/block-search';
+
+const MAX_RESULTS = 50;
+
+// Keyboard-driven launcher (Ctrl/Cmd+K). `commands` are
+// { id, label, group, hint?, icon?, keywords?, run }; the dialog closes before
+// `run` is called so commands are free to prompt or open other dialogs.
+const CommandPalette = ({ commands, onClose }) => {
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const listRef = useRef(null);
+
+  // Commands ranked with the palette's block search
+  const entries = commands.map((command) => ({
+    type: command.label,
+    definition: { keywords: command.keywords, description: command.hint },
+    categoryLabel: command.group,
+    command,
+  }));
+  const results = searchBlocks(query, entries).slice(0, MAX_RESULTS).map((entry) => entry.command);
+
+  useEffect(() => setActiveIndex(0), [query]);
+
+  useEffect(() => {
+    listRef.current?.children[activeIndex]?.scrollIntoView({ block: 'nearest' });
+  }, [activeIndex]);
+
+  const runCommand = (command) => {
+    onClose();
+    command.run();
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'ArrowDown') {
+      event.preventDefault();
+      setActiveIndex((index) => Math.min(index + 1, results.length - 1));
+    } else if (event.key === 'ArrowUp') {
+      event.preventDefault();
+      setActiveIndex((index) => Math.max(index - 1, 0));
+    } else if (event.key === 'Enter') {
+      event.preventDefault();
+      if (results[activeIndex]) runCommand(results[activeIndex]);
+    } else if (event.key === 'Escape') {
+      event.preventDefault();
+      onClose();
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-[1000] flex items-start justify-center pt-[15vh] bg-black/60 backdrop-blur-sm" onClick={onClose}>
+      <div
+        className="w-full max-w-xl flex flex-col bg-gray-900/95 backdrop-blur-xl rounded-2xl shadow-2xl border border-gray-800 overflow-hidden"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center space-x-3 px-4 py-3 border-b border-gray-800">
+          <Search className="w-4 h-4 text-gray-500" />
+          <input
+            autoFocus
+            type="text"
+            placeholder="Type a command, block or node…"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={handleKeyDown}
+            className="flex-1 bg-transparent text-sm text-white placeholder-gray-500 focus:outline-none"
+          />
+          <kbd className="px-1.5 py-0.5 rounded bg-gray-800 text-[10px] text-gray-500">Esc</kbd>
+        </div>
+
+        <div ref={listRef} className="max-h-[50vh] overflow-y-auto p-2 custom-scrollbar">
+          {results.map((command, index) => {
+            const Icon = command.icon;
+            const active = index === activeIndex;
+            return (
+              <button
+                key={command.id}
+                onClick={() => runCommand(command)}
+                onMouseMove={() => setActiveIndex(index)}
+                className={`
+                  w-full flex items-center space-x-3 px-3 py-2 rounded-lg text-left text-sm transition-colors
+                  ${active ? 'bg-purple-500/20 text-white' : 'text-gray-400'}
+                `}
+              >
+                {Icon && <Icon className={`w-4 h-4 flex-shrink-0 ${active ? 'text-purple-400' : 'text-gray-500'}`} />}
+                <span className="truncate">{command.label}</span>
+                {command.hint && <span className="text-xs text-gray-600 truncate">{command.hint}</span>}
+                <span className="ml-auto flex-shrink-0 text-[10px] uppercase tracking-wider text-gray-600">{command.group}</span>
+                {active && <CornerDownLeft className="w-3.5 h-3.5 flex-shrink-0 text-gray-500" />}
+              </button>
+            );
+          })}
+          {results.length === 0 && (
+            <p className="px-3 py-6 text-center text-xs text-gray-500">No matching commands</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CommandPalette;
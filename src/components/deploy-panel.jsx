@@ -0,0 +1,156 @@
+"use client";
+
+import React, { useState } from 'react';
+import { Panel } from 'reactflow';
+import { X, Rocket, RefreshCw, CheckCircle2, AlertCircle, Loader2 } from 'lucide-react';
+import { listProviders } from '@/lib/chain/providers';
+import { constructorInputs } from '@/lib/chain/deploy';
+
+const SETTINGS_KEY = 'deploy-settings';
+
+const loadSettings = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+const BUSY_STAGES = ['compiling', 'connecting', 'sending', 'mining'];
+
+const inputClass = 'w-full px-2 py-1.5 bg-gray-800 border border-gray-700 rounded-lg text-xs text-white font-mono focus:outline-none focus:border-purple-500';
+
+// Endpoint settings, constructor arguments and live progress of a deployment
+const DeployPanel = ({ deployment, onDeploy, onRecompile, onClose }) => {
+  const { stage, log, network, compiled, error, result } = deployment;
+  const providers = listProviders(network);
+  const [settings, setSettings] = useState(() => {
+    const saved = loadSettings();
+    const providerKey = providers.some((provider) => provider.key === saved.providerKey) ? saved.providerKey : providers[0]?.key;
+    return { providerKey, url: saved.url || providers.find((provider) => provider.needsUrl)?.defaultUrl || '' };
+  });
+  const [args, setArgs] = useState({});
+
+  const provider = providers.find((item) => item.key === settings.providerKey);
+  const inputs = compiled ? constructorInputs(compiled.abi) : [];
+  const busy = BUSY_STAGES.includes(stage);
+
+  const updateSettings = (patch) => {
+    const next = { ...settings, ...patch };
+    setSettings(next);
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(next));
+  };
+
+  const handleDeploy = () => {
+    onDeploy({ ...settings, args: inputs.map((input) => args[input.name] ?? '') });
+  };
+
+  return (
+    <Panel position="top-right" className="bg-gray-900/95 backdrop-blur-xl rounded-xl shadow-2xl border border-gray-800 !mt-[180px] w-80">
+      <div className="flex items-center justify-between px-4 py-3 border-b border-gray-800">
+        <span className="text-xs font-bold text-white">
+          Deploy{network && <span className="ml-1.5 font-normal text-gray-500">to {network}</span>}
+        </span>
+        <div className="flex items-center space-x-1">
+          <button
+            onClick={onRecompile}
+            disabled={busy}
+            className="p-1.5 rounded-lg hover:bg-gray-800 text-gray-400 hover:text-white transition-all disabled:opacity-30 disabled:pointer-events-none"
+            title="Recompile"
+          >
+            <RefreshCw className="w-3.5 h-3.5" />
+          </button>
+          <button
+            onClick={onClose}
+            disabled={busy}
+            className="p-1.5 rounded-lg hover:bg-gray-800 text-gray-400 hover:text-white transition-all disabled:opacity-30 disabled:pointer-events-none"
+            title="Close"
+          >
+            <X className="w-3.5 h-3.5" />
+          </button>
+        </div>
+      </div>
+
+      <div className="max-h-[50vh] overflow-y-auto p-3 space-y-3 text-xs custom-scrollbar">
+        <div className="space-y-1.5">
+          <label className="block text-[10px] uppercase tracking-wider text-gray-500">Provider</label>
+          <select
+            value={settings.providerKey}
+            onChange={(event) => updateSettings({ providerKey: event.target.value })}
+            disabled={busy}
+            className={inputClass}
+          >
+            {providers.map((item) => (
+              <option key={item.key} value={item.key}>{item.label}</option>
+            ))}
+          </select>
+          {provider?.needsUrl && (
+            <input
+              value={settings.url}
+              onChange={(event) => updateSettings({ url: event.target.value })}
+              disabled={busy}
+              placeholder={provider.defaultUrl}
+              className={inputClass}
+            />
+          )}
+        </div>
+
+        {inputs.length > 0 && (
+          <div className="space-y-1.5">
+            <label className="block text-[10px] uppercase tracking-wider text-gray-500">Constructor arguments</label>
+            {inputs.map((input) => (
+              <input
+                key={input.name}
+                value={args[input.name] ?? ''}
+                onChange={(event) => setArgs((current) => ({ ...current, [input.name]: event.target.value }))}
+                disabled={busy}
+                placeholder={`${input.type} ${input.name.replace(/^_/, '')}`}
+                className={inputClass}
+              />
+            ))}
+          </div>
+        )}
+
+        <button
+          onClick={handleDeploy}
+          disabled={!compiled || busy}
+          className="w-full flex items-center justify-center space-x-2 py-2 rounded-lg bg-gradient-to-r from-violet-500 to-purple-600
+                   text-white font-semibold transition-all hover:opacity-90 disabled:opacity-40 disabled:pointer-events-none"
+        >
+          {busy ? <Loader2 className="w-3.5 h-3.5 animate-spin" /> : <Rocket className="w-3.5 h-3.5" />}
+          <span>{busy ? 'Working…' : result ? 'Deploy Again' : 'Deploy'}</span>
+        </button>
+
+        {error && (
+          <div className="flex items-start space-x-2 p-2 rounded-lg bg-red-500/10 border border-red-500/30">
+            <AlertCircle className="w-3.5 h-3.5 mt-0.5 flex-shrink-0 text-red-400" />
+            <span className="text-red-300 whitespace-pre-wrap break-words">{error}</span>
+          </div>
+        )}
+
+        {result && (
+          <div className="space-y-1 p-2 rounded-lg bg-green-500/10 border border-green-500/30 text-green-300">
+            <div className="flex items-center space-x-2">
+              <CheckCircle2 className="w-3.5 h-3.5" />
+              <span>Deployed on chain {result.chainId}</span>
+            </div>
+            <div className="font-mono break-all text-gray-300">{result.address}</div>
+            <div className="font-mono break-all text-gray-500">tx {result.txHash}</div>
+          </div>
+        )}
+
+        <div className="space-y-1">
+          <div className="text-[10px] uppercase tracking-wider text-gray-500">Progress</div>
+          {log.map((line, index) => (
+            <div key={index} className="text-gray-400 break-words">{line}</div>
+          ))}
+          {compiled?.warnings?.length > 0 && (
+            <div className="text-amber-400">{compiled.warnings.length} compiler warning(s)</div>
+          )}
+        </div>
+      </div>
+    </Panel>
+  );
+};
+
+export default DeployPanel;
@@ -0,0 +1,69 @@
+"use client";
+
+import React from 'react';
+import { Panel } from 'reactflow';
+import { X, AlertCircle, AlertTriangle, CheckCircle2, RefreshCw } from 'lucide-react';
+
+// Findings from the graph linter; clicking one focuses its node(s)
+const DiagnosticsPanel = ({ diagnostics, onSelect, onRerun, onClose }) => {
+  const errorCount = diagnostics.filter((diagnostic) => diagnostic.severity === 'error').length;
+  const warningCount = diagnostics.length - errorCount;
+
+  return (
+    <Panel position="bottom-left" className="bg-gray-900/95 backdrop-blur-xl rounded-xl shadow-2xl border border-gray-800 ml-[60px] w-96">
+      <div className="flex items-center justify-between px-4 py-3 border-b border-gray-800">
+        <div className="flex items-center space-x-3 text-xs">
+          <span className="font-bold text-white">Diagnostics</span>
+          <span className="flex items-center space-x-1 text-red-400">
+            <AlertCircle className="w-3 h-3" />
+            <span>{errorCount}</span>
+          </span>
+          <span className="flex items-center space-x-1 text-amber-400">
+            <AlertTriangle className="w-3 h-3" />
+            <span>{warningCount}</span>
+          </span>
+        </div>
+        <div className="flex items-center space-x-1">
+          <button
+            onClick={onRerun}
+            className="p-1.5 rounded-lg hover:bg-gray-800 text-gray-400 hover:text-white transition-all"
+            title="Re-run Checks"
+          >
+            <RefreshCw className="w-3.5 h-3.5" />
+          </button>
+          <button
+            onClick={onClose}
+            className="p-1.5 rounded-lg hover:bg-gray-800 text-gray-400 hover:text-white transition-all"
+            title="Close"
+          >
+            <X className="w-3.5 h-3.5" />
+          </button>
+        </div>
+      </div>
+
+      <div className="max-h-64 overflow-y-auto p-2 space-y-1 custom-scrollbar">
+        {diagnostics.length === 0 ? (
+          <div className="flex items-center space-x-2 px-2 py-3 text-xs text-green-400">
+            <CheckCircle2 className="w-4 h-4" />
+            <span>No problems found</span>
+          </div>
+        ) : diagnostics.map((diagnostic) => {
+          const Icon = diagnostic.severity === 'error' ? AlertCircle : AlertTriangle;
+          return (
+            <button
+              key={diagnostic.id}
+              onClick={() => onSelect(diagnostic)}
+              className="w-full flex items-start space-x-2 px-2 py-2 rounded-lg text-left
+                       hover:bg-gray-800 transition-colors"
+            >
+              <Icon className={`w-3.5 h-3.5 mt-0.5 flex-shrink-0 ${diagnostic.severity === 'error' ? 'text-red-400' : 'text-amber-400'}`} />
+              <span className="text-xs text-gray-300">{diagnostic.message}</span>
+            </button>
+          );
+        })}
+      </div>
+    </Panel>
+  );
+};
+
+export default DiagnosticsPanel;
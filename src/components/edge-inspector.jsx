@@ -0,0 +1,94 @@
+"use client";
+
+import React from 'react';
+import { X, ArrowRight } from 'lucide-react';
+import { EDGE_KINDS, edgeKind, edgeBranch } from '@/lib/edge-types';
+
+const inputClass = `
+  w-full px-3 py-2 bg-gray-900 border border-gray-800 rounded-lg text-sm text-white placeholder-gray-500
+  focus:outline-none focus:border-purple-500 transition-colors
+`;
+
+// Side panel for the selected edge: its kind, label and condition
+const EdgeInspector = ({ edge, source, target, onUpdate, onClose }) => {
+  const data = edge.data || {};
+  const branch = edgeBranch(edge, source);
+
+  return (
+    <aside className="w-80 bg-gray-950 border-l border-gray-800 flex flex-col shadow-2xl relative overflow-hidden">
+      <div className="absolute inset-0 bg-gradient-to-b from-sky-900/10 to-transparent pointer-events-none" />
+
+      {/* Header */}
+      <div className="relative p-4 border-b border-gray-800">
+        <div className="flex items-center justify-between">
+          <div className="min-w-0">
+            <h2 className="flex items-center space-x-1.5 text-sm font-bold text-white">
+              <span className="truncate">{source?.data.label || edge.source}</span>
+              <ArrowRight className="w-3.5 h-3.5 text-gray-500 flex-shrink-0" />
+              <span className="truncate">{target?.data.label || edge.target}</span>
+            </h2>
+            <p className="text-xs text-gray-500">
+              Connection{branch && <> · <span className={branch === 'fail' ? 'text-red-400' : 'text-green-400'}>{branch} branch</span></>}
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 rounded-lg bg-gray-800 hover:bg-gray-700 cursor-pointer
+                     text-gray-400 hover:text-white transition-all duration-200"
+            title="Close Inspector"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      {/* Fields */}
+      <div className="relative flex-1 overflow-y-auto p-4 space-y-4 custom-scrollbar">
+        <div className="space-y-1.5">
+          <span className="text-xs font-medium text-gray-400">Kind</span>
+          <div className="grid grid-cols-2 gap-2">
+            {Object.entries(EDGE_KINDS).map(([kind, { label, description, color }]) => (
+              <button
+                key={kind}
+                type="button"
+                onClick={() => onUpdate(edge.id, { kind })}
+                className={`
+                  p-2 rounded-lg border text-left transition-colors cursor-pointer
+                  ${edgeKind(edge) === kind ? 'border-purple-500 bg-purple-500/10' : 'border-gray-800 hover:border-gray-700'}
+                `}
+              >
+                <span className="flex items-center space-x-1.5 text-xs font-semibold text-white">
+                  <span className="w-3 h-0.5 rounded" style={{ backgroundColor: color }} />
+                  <span>{label}</span>
+                </span>
+                <span className="block text-[10px] text-gray-500 mt-0.5">{description}</span>
+              </button>
+            ))}
+          </div>
+        </div>
+        <label className="block space-y-1.5">
+          <span className="text-xs font-medium text-gray-400">Label</span>
+          <input
+            type="text"
+            value={data.label || ''}
+            onChange={(e) => onUpdate(edge.id, { label: e.target.value })}
+            className={inputClass}
+          />
+        </label>
+        <label className="block space-y-1.5">
+          <span className="text-xs font-medium text-gray-400">Condition</span>
+          <input
+            type="text"
+            value={data.condition || ''}
+            placeholder="e.g. amount > 100"
+            onChange={(e) => onUpdate(edge.id, { condition: e.target.value })}
+            className={`${inputClass} font-mono`}
+          />
+          <p className="text-xs text-gray-600">The simulator follows this edge only while the condition holds</p>
+        </label>
+      </div>
+    </aside>
+  );
+};
+
+export default EdgeInspector;
@@ -0,0 +1,87 @@
+"use client";
+
+import React, { useState } from 'react';
+import { Panel } from 'reactflow';
+import { X, Fuel, AlertTriangle, ChevronRight } from 'lucide-react';
+import { formatGas } from '@/lib/gas-estimator';
+
+// Estimated gas per generated function and for deployment
+const GasPanel = ({ estimate, lowLimits, onSelect, onClose }) => {
+  const [expanded, setExpanded] = useState(null);
+  const { functions, deployment } = estimate;
+
+  return (
+    <Panel position="top-right" className="bg-gray-900/95 backdrop-blur-xl rounded-xl shadow-2xl border border-gray-800 !mt-[180px] w-80">
+      <div className="flex items-center justify-between px-4 py-3 border-b border-gray-800">
+        <div className="flex items-center space-x-2 text-xs">
+          <Fuel className="w-3.5 h-3.5 text-amber-400" />
+          <span className="font-bold text-white">Gas Estimates</span>
+        </div>
+        <button
+          onClick={onClose}
+          className="p-1.5 rounded-lg hover:bg-gray-800 text-gray-400 hover:text-white transition-all"
+          title="Close"
+        >
+          <X className="w-3.5 h-3.5" />
+        </button>
+      </div>
+
+      <div className="max-h-[50vh] overflow-y-auto p-3 space-y-3 text-xs custom-scrollbar">
+        <div className="space-y-1">
+          <div className="text-[10px] uppercase tracking-wider text-gray-500">Deployment</div>
+          <div className="flex justify-between text-gray-300">
+            <span>~{deployment.codeSize} bytes of code</span>
+            <span className="font-mono text-white">{formatGas(deployment.gas)}</span>
+          </div>
+          {lowLimits.map(({ nodeId, gasLimit, required }) => (
+            <button
+              key={nodeId}
+              onClick={() => onSelect(nodeId)}
+              className="w-full flex items-start space-x-2 p-2 rounded-lg bg-amber-500/10 border border-amber-500/30 text-left"
+            >
+              <AlertTriangle className="w-3.5 h-3.5 mt-0.5 flex-shrink-0 text-amber-400" />
+              <span className="text-amber-300">Gas limit {formatGas(gasLimit)} is below the estimated {formatGas(required)}</span>
+            </button>
+          ))}
+        </div>
+
+        <div className="space-y-1">
+          <div className="text-[10px] uppercase tracking-wider text-gray-500">Functions</div>
+          {functions.length === 0 && <div className="text-gray-600">No token operations yet</div>}
+          {functions.map((fn) => (
+            <div key={fn.nodeId}>
+              <button
+                onClick={() => setExpanded(expanded === fn.nodeId ? null : fn.nodeId)}
+                className="w-full flex items-center justify-between px-1 py-1 rounded-lg hover:bg-gray-800 transition-colors"
+              >
+                <span className="flex items-center space-x-1 text-gray-300">
+                  <ChevronRight className={`w-3 h-3 transition-transform ${expanded === fn.nodeId ? 'rotate-90' : ''}`} />
+                  <span className="font-mono">{fn.name}()</span>
+                </span>
+                <span className="font-mono text-white">{formatGas(fn.gas)}</span>
+              </button>
+              {expanded === fn.nodeId && (
+                <div className="ml-5 space-y-0.5">
+                  {fn.parts.map((part, index) => (
+                    <button
+                      key={`${part.nodeId || 'tx'}:${index}`}
+                      onClick={() => part.nodeId && onSelect(part.nodeId)}
+                      className="w-full flex justify-between text-gray-500 hover:text-gray-300"
+                    >
+                      <span className="truncate">{part.label}</span>
+                      <span className="font-mono">{formatGas(part.gas)}</span>
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+
+        <p className="text-[10px] text-gray-600">Worst-case figures: cold storage and first-time writes.</p>
+      </div>
+    </Panel>
+  );
+};
+
+export default GasPanel;
@@ -0,0 +1,137 @@
+"use client";
+
+import React, { useState } from 'react';
+import { X, ImageDown, Loader2 } from 'lucide-react';
+
+const FORMATS = [
+  { id: 'png', label: 'PNG', description: 'Bitmap at a chosen scale' },
+  { id: 'svg', label: 'SVG', description: 'Vector, scales without blur' },
+  { id: 'pdf', label: 'PDF', description: 'Diagram plus a table of every block' },
+];
+
+const SCALES = [1, 2, 3, 4];
+
+const optionClass = (active) => `
+  px-3 py-2 rounded-lg border text-left transition-colors cursor-pointer
+  ${active ? 'border-purple-500 bg-purple-500/10 text-white' : 'border-gray-800 hover:border-gray-700 text-gray-400'}
+  disabled:opacity-40 disabled:pointer-events-none
+`;
+
+// Options for exporting the canvas as an image or PDF spec sheet.
+// `onExport({ format, scope, scale, transparent })` may return a promise.
+const ImageExportDialog = ({ hasSelection, onExport, onClose }) => {
+  const [format, setFormat] = useState('png');
+  const [scope, setScope] = useState(hasSelection ? 'selection' : 'all');
+  const [scale, setScale] = useState(2);
+  const [transparent, setTransparent] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    setError(null);
+    try {
+      await onExport({ format, scope, scale, transparent: transparent && format !== 'pdf' });
+      onClose();
+    } catch (exportError) {
+      setError(exportError.message);
+      setIsExporting(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-[1000] flex items-center justify-center bg-black/60 backdrop-blur-sm" onClick={onClose}>
+      <div
+        className="w-full max-w-md flex flex-col bg-gray-900/95 backdrop-blur-xl rounded-2xl shadow-2xl border border-gray-800"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div className="flex items-center justify-between p-5 border-b border-gray-800">
+          <div>
+            <h2 className="text-xl font-bold text-transparent bg-clip-text bg-gradient-to-r from-purple-400 to-pink-400">
+              Export Image
+            </h2>
+            <p className="text-xs text-gray-500 mt-1">Diagrams for audits and design docs</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 rounded-lg bg-gray-800 hover:bg-gray-700 text-gray-400 hover:text-white transition-all"
+            title="Close"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        {/* Options */}
+        <div className="p-5 space-y-5">
+          <div className="space-y-1.5">
+            <span className="text-xs font-medium text-gray-400">Format</span>
+            <div className="grid grid-cols-3 gap-2">
+              {FORMATS.map((item) => (
+                <button key={item.id} type="button" onClick={() => setFormat(item.id)} className={optionClass(format === item.id)}>
+                  <span className="block text-sm font-semibold">{item.label}</span>
+                  <span className="block text-[10px] text-gray-500 mt-0.5">{item.description}</span>
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="space-y-1.5">
+            <span className="text-xs font-medium text-gray-400">Include</span>
+            <div className="grid grid-cols-2 gap-2">
+              <button type="button" onClick={() => setScope('all')} className={optionClass(scope === 'all')}>
+                <span className="text-sm">Whole graph</span>
+              </button>
+              <button type="button" onClick={() => setScope('selection')} disabled={!hasSelection} className={optionClass(scope === 'selection')}>
+                <span className="text-sm">Selection</span>
+              </button>
+            </div>
+          </div>
+
+          {format === 'png' && (
+            <div className="space-y-1.5">
+              <span className="text-xs font-medium text-gray-400">Scale</span>
+              <div className="grid grid-cols-4 gap-2">
+                {SCALES.map((value) => (
+                  <button key={value} type="button" onClick={() => setScale(value)} className={`${optionClass(scale === value)} text-center`}>
+                    <span className="text-sm">{value}×</span>
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {format !== 'pdf' && (
+            <label className="flex items-center justify-between cursor-pointer">
+              <span className="text-xs font-medium text-gray-400">Transparent background</span>
+              <button
+                type="button"
+                onClick={() => setTransparent(!transparent)}
+                className={`relative w-10 h-5 rounded-full transition-colors ${transparent ? 'bg-purple-500' : 'bg-gray-700'}`}
+              >
+                <span className={`absolute top-0.5 w-4 h-4 rounded-full bg-white transition-all ${transparent ? 'left-5' : 'left-0.5'}`} />
+              </button>
+            </label>
+          )}
+
+          {error && <p className="text-xs text-red-400">{error}</p>}
+        </div>
+
+        {/* Footer */}
+        <div className="flex justify-end p-5 border-t border-gray-800">
+          <button
+            onClick={handleExport}
+            disabled={isExporting}
+            className="flex items-center space-x-2 px-4 py-2 rounded-lg bg-gradient-to-r from-purple-500 to-pink-500
+                     text-sm font-semibold text-white hover:opacity-90 transition-all disabled:opacity-60"
+          >
+            {isExporting ? <Loader2 className="w-4 h-4 animate-spin" /> : <ImageDown className="w-4 h-4" />}
+            <span>Export {format.toUpperCase()}</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImageExportDialog;
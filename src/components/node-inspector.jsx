@@ -0,0 +1,251 @@
+"use client";
+
+import React, { useEffect, useRef, useState } from 'react';
+import { X, Settings, AlertCircle } from 'lucide-react';
+import { useBlockTypes } from '@/hooks/use-block-types';
+import { validateField, validateConfig, parseFieldInput } from '@/lib/config-schema';
+
+const inputClass = `
+  w-full px-3 py-2 bg-gray-900 border rounded-lg text-sm text-white placeholder-gray-500
+  focus:outline-none transition-colors
+`;
+
+// Text shown in the form for a stored config value
+const toDraft = (field, value) => {
+  if (field.type === 'stringList') return (value || []).join('\n');
+  if (field.type === 'boolean') return Boolean(value);
+  return value ?? '';
+};
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const FieldInput = ({ field, value, error, onChange }) => {
+  const borderClass = error ? 'border-red-500 focus:border-red-400' : 'border-gray-800 focus:border-purple-500';
+
+  if (field.multiline) {
+    return (
+      <textarea
+        rows={4}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className={`${inputClass} ${borderClass} resize-y`}
+      />
+    );
+  }
+
+  switch (field.type) {
+    case 'enum':
+      return (
+        <select
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          className={`${inputClass} ${borderClass}`}
+        >
+          {!field.required && <option value="">—</option>}
+          {field.options.map((option) => (
+            <option key={option} value={option}>{option}</option>
+          ))}
+        </select>
+      );
+    case 'boolean':
+      return (
+        <button
+          type="button"
+          onClick={() => onChange(!value)}
+          className={`
+            relative w-10 h-5 rounded-full transition-colors
+            ${value ? 'bg-purple-500' : 'bg-gray-700'}
+          `}
+        >
+          <span className={`
+            absolute top-0.5 w-4 h-4 rounded-full bg-white transition-all
+            ${value ? 'left-5' : 'left-0.5'}
+          `} />
+        </button>
+      );
+    case 'stringList':
+      return (
+        <textarea
+          rows={4}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          className={`${inputClass} ${borderClass} font-mono resize-y`}
+        />
+      );
+    default:
+      return (
+        <input
+          type="text"
+          value={value}
+          inputMode={field.type === 'uint' ? 'numeric' : undefined}
+          placeholder={field.type === 'address' ? '0x…' : undefined}
+          onChange={(e) => onChange(e.target.value)}
+          className={`${inputClass} ${borderClass} ${field.type === 'address' || field.type === 'uint' ? 'font-mono' : ''}`}
+        />
+      );
+  }
+};
+
+// Side panel that edits the selected node's label and typed `data.config`.
+// Mount with `key={node.id}` so drafts reset when the selection changes.
+// Values changed from elsewhere (undo, a collaborator, a plugin) replace the
+// drafts of every field except the one being typed into.
+const NodeInspector = ({ node, onUpdate, onClose }) => {
+  const registry = useBlockTypes();
+  const nodeType = registry[node.data.type];
+  const schema = nodeType?.schema || [];
+  const config = node.data.config || {};
+
+  const [drafts, setDrafts] = useState(() =>
+    Object.fromEntries(schema.map((field) => [field.key, toDraft(field, config[field.key])]))
+  );
+  const [errors, setErrors] = useState(() => validateConfig(schema, config));
+  const editingKey = useRef(null);
+  const lastConfig = useRef(config);
+
+  const resetFields = (fields) => {
+    if (fields.length === 0) return;
+    setDrafts((current) => ({
+      ...current,
+      ...Object.fromEntries(fields.map((field) => [field.key, toDraft(field, config[field.key])])),
+    }));
+    setErrors((current) => {
+      const next = { ...current };
+      fields.forEach((field) => {
+        delete next[field.key];
+        const error = validateField(field, config[field.key]);
+        if (error) next[field.key] = error;
+      });
+      return next;
+    });
+  };
+
+  useEffect(() => {
+    const previous = lastConfig.current;
+    lastConfig.current = config;
+    resetFields(schema.filter((field) =>
+      field.key !== editingKey.current && !sameValue(previous[field.key], config[field.key])));
+  }, [config, schema]);
+
+  // Leaving a valid field picks up any change that arrived while typing
+  const handleFieldBlur = (field) => {
+    editingKey.current = null;
+    if (errors[field.key]) return;
+    if (!sameValue(parseFieldInput(field, drafts[field.key]), config[field.key])) resetFields([field]);
+  };
+
+  const handleFieldChange = (field, raw) => {
+    setDrafts((current) => ({ ...current, [field.key]: raw }));
+    const value = parseFieldInput(field, raw);
+    const error = validateField(field, value);
+    setErrors((current) => {
+      const { [field.key]: _, ...rest } = current;
+      return error ? { ...rest, [field.key]: error } : rest;
+    });
+    // Only valid values are written back to the graph
+    if (!error) {
+      onUpdate(node.id, { config: { [field.key]: value } });
+    }
+  };
+
+  const Icon = nodeType?.icon || Settings;
+  const issueCount = Object.keys(errors).length;
+
+  return (
+    <aside className="w-80 bg-gray-950 border-l border-gray-800 flex flex-col shadow-2xl relative overflow-hidden">
+      <div className="absolute inset-0 bg-gradient-to-b from-purple-900/10 to-transparent pointer-events-none" />
+
+      {/* Header */}
+      <div className="relative p-4 border-b border-gray-800">
+        <div className="flex items-center justify-between">
+          <div className="flex items-center space-x-3 min-w-0">
+            <div className={`p-2 rounded-lg bg-gradient-to-r ${nodeType?.color || 'from-gray-500 to-gray-600'} shadow-lg flex-shrink-0`}>
+              <Icon className="w-4 h-4 text-white" />
+            </div>
+            <div className="min-w-0">
+              <h2 className="text-sm font-bold text-white truncate">{node.data.label}</h2>
+              <p className="text-xs text-gray-500">{node.data.type}</p>
+            </div>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 rounded-lg bg-gray-800 hover:bg-gray-700 cursor-pointer
+                     text-gray-400 hover:text-white transition-all duration-200"
+            title="Close Inspector"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+      </div>
+
+      {/* Fields */}
+      <div className="relative flex-1 overflow-y-auto p-4 space-y-4 custom-scrollbar">
+        <label className="block space-y-1.5">
+          <span className="text-xs font-medium text-gray-400">Label</span>
+          <input
+            type="text"
+            value={node.data.label}
+            onChange={(e) => onUpdate(node.id, { label: e.target.value })}
+            className={`${inputClass} border-gray-800 focus:border-purple-500`}
+          />
+        </label>
+        <label className="block space-y-1.5">
+          <span className="text-xs font-medium text-gray-400">Description</span>
+          <input
+            type="text"
+            value={node.data.description || ''}
+            onChange={(e) => onUpdate(node.id, { description: e.target.value })}
+            className={`${inputClass} border-gray-800 focus:border-purple-500`}
+          />
+        </label>
+
+        {schema.length > 0 && <div className="h-px bg-gray-800" />}
+
+        {schema.map((field) => (
+          <div
+            key={field.key}
+            className="space-y-1.5"
+            onFocus={() => { editingKey.current = field.key; }}
+            onBlur={() => handleFieldBlur(field)}
+          >
+            <div className="flex items-center justify-between">
+              <span className="text-xs font-medium text-gray-400">
+                {field.label}
+                {field.required && <span className="text-purple-400 ml-0.5">*</span>}
+              </span>
+              <span className="text-[10px] uppercase tracking-wide text-gray-600">{field.type}</span>
+            </div>
+            <FieldInput
+              field={field}
+              value={drafts[field.key]}
+              error={errors[field.key]}
+              onChange={(raw) => handleFieldChange(field, raw)}
+            />
+            {errors[field.key] ? (
+              <p className="text-xs text-red-400">{errors[field.key]}</p>
+            ) : field.help && (
+              <p className="text-xs text-gray-600">{field.help}</p>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {/* Footer */}
+      <div className="relative p-4 border-t border-gray-800">
+        <div className="flex items-center justify-between text-xs text-gray-500">
+          <span>{schema.length} config fields</span>
+          {issueCount > 0 ? (
+            <span className="flex items-center space-x-1 text-red-400">
+              <AlertCircle className="w-3 h-3" />
+              <span>{issueCount} invalid</span>
+            </span>
+          ) : (
+            <span className="text-green-500">Valid</span>
+          )}
+        </div>
+      </div>
+    </aside>
+  );
+};
+
+export default NodeInspector;
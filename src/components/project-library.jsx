@@ -0,0 +1,200 @@
+"use client";
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { X, Plus, Edit, Copy, Trash2, FolderOpen, Check } from 'lucide-react';
+import {
+  listProjects, renameProject, duplicateProject, deleteProject, migrateLegacyWorkflow,
+} from '@/lib/project-store';
+import { renderThumbnail, thumbnailSrc } from '@/lib/thumbnail';
+import { cn } from '@/lib/utils';
+
+const formatModified = (iso) => {
+  const minutes = Math.round((Date.now() - new Date(iso).getTime()) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  if (minutes < 60 * 24) return `${Math.round(minutes / 60)} h ago`;
+  return new Date(iso).toLocaleDateString();
+};
+
+const actionClass = 'p-1.5 rounded-lg bg-gray-800 hover:bg-gray-700 text-gray-400 hover:text-white transition-all';
+
+// Picker dialog for the IndexedDB project library
+const ProjectLibrary = ({ currentProjectId, onOpen, onCreate, onRenamed, onDeleted, onClose }) => {
+  const [projects, setProjects] = useState(null);
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameValue, setRenameValue] = useState('');
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    try {
+      await migrateLegacyWorkflow(renderThumbnail);
+    } catch (err) {
+      setError(err.message);
+    }
+    try {
+      setProjects(await listProjects());
+    } catch (err) {
+      setError(`Could not open the project library: ${err.message}`);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const startRename = (project) => {
+    setRenamingId(project.id);
+    setRenameValue(project.name);
+  };
+
+  const commitRename = async () => {
+    const name = renameValue.trim();
+    setError(null);
+    if (name) {
+      try {
+        await renameProject(renamingId, name);
+        onRenamed?.(renamingId, name);
+      } catch (err) {
+        setError(`Could not rename the project: ${err.message}`);
+      }
+    }
+    setRenamingId(null);
+    refresh();
+  };
+
+  const handleDuplicate = async (project) => {
+    setError(null);
+    try {
+      await duplicateProject(project.id);
+    } catch (err) {
+      setError(`Could not duplicate "${project.name}": ${err.message}`);
+    }
+    refresh();
+  };
+
+  const handleDelete = async (project) => {
+    if (confirm(`Delete "${project.name}"? This cannot be undone.`)) {
+      setError(null);
+      try {
+        await deleteProject(project.id);
+        onDeleted?.(project.id);
+      } catch (err) {
+        setError(`Could not delete "${project.name}": ${err.message}`);
+      }
+      refresh();
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-[1000] flex items-center justify-center bg-black/60 backdrop-blur-sm" onClick={onClose}>
+      <div
+        className="w-full max-w-3xl max-h-[80vh] flex flex-col bg-gray-900/95 backdrop-blur-xl rounded-2xl shadow-2xl border border-gray-800"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div className="flex items-center justify-between p-5 border-b border-gray-800">
+          <div>
+            <h2 className="text-xl font-bold text-transparent bg-clip-text bg-gradient-to-r from-purple-400 to-pink-400">
+              Project Library
+            </h2>
+            <p className="text-xs text-gray-500 mt-1">
+              {projects ? `${projects.length} saved workflows` : 'Loading…'}
+            </p>
+          </div>
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={onCreate}
+              className="flex items-center space-x-1.5 px-3 py-2 rounded-lg bg-purple-500 hover:bg-purple-600 text-white text-xs font-medium transition-all"
+            >
+              <Plus className="w-3.5 h-3.5" />
+              <span>New Project</span>
+            </button>
+            <button
+              onClick={onClose}
+              className="p-2 rounded-lg bg-gray-800 hover:bg-gray-700 text-gray-400 hover:text-white transition-all"
+              title="Close"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+
+        {/* Projects */}
+        <div className="flex-1 overflow-y-auto p-5 custom-scrollbar">
+          {error && (
+            <p className="text-sm text-red-400 text-center py-12">{error}</p>
+          )}
+          {projects && projects.length === 0 && (
+            <p className="text-sm text-gray-500 text-center py-12">
+              No saved projects yet. Save the current canvas or start a new project.
+            </p>
+          )}
+          <div className="grid grid-cols-3 gap-4">
+            {projects?.map((project) => (
+              <div
+                key={project.id}
+                className={`
+                  group rounded-xl border bg-gray-950 overflow-hidden transition-all
+                  ${project.id === currentProjectId ? 'border-purple-500' : 'border-gray-800 hover:border-gray-700'}
+                `}
+              >
+                <button onClick={() => onOpen(project.id)} className="block w-full" title="Open">
+                  {project.thumbnail ? (
+                    <img src={thumbnailSrc(project.thumbnail)} alt="" className="w-full aspect-[12/7] object-cover" />
+                  ) : (
+                    <div className="w-full aspect-[12/7] bg-gray-950" />
+                  )}
+                </button>
+                <div className="p-3 space-y-2">
+                  {renamingId === project.id ? (
+                    <div className="flex items-center space-x-1">
+                      <input
+                        autoFocus
+                        value={renameValue}
+                        onChange={(e) => setRenameValue(e.target.value)}
+                        onKeyDown={(e) => {
+                          if (e.key === 'Enter') commitRename();
+                          if (e.key === 'Escape') setRenamingId(null);
+                        }}
+                        className="flex-1 min-w-0 px-2 py-1 bg-gray-900 border border-gray-800 rounded text-sm text-white
+                                 focus:outline-none focus:border-purple-500"
+                      />
+                      <button onClick={commitRename} className={actionClass} title="Save Name">
+                        <Check className="w-3.5 h-3.5" />
+                      </button>
+                    </div>
+                  ) : (
+                    <h3 className="text-sm font-semibold text-white truncate">{project.name}</h3>
+                  )}
+                  <p className="text-xs text-gray-500">
+                    {project.nodeCount} nodes · {formatModified(project.updatedAt)}
+                  </p>
+                  <div className="flex items-center space-x-1">
+                    <button onClick={() => onOpen(project.id)} className={actionClass} title="Open">
+                      <FolderOpen className="w-3.5 h-3.5" />
+                    </button>
+                    <button onClick={() => startRename(project)} className={actionClass} title="Rename">
+                      <Edit className="w-3.5 h-3.5" />
+                    </button>
+                    <button onClick={() => handleDuplicate(project)} className={actionClass} title="Duplicate">
+                      <Copy className="w-3.5 h-3.5" />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(project)}
+                      className={cn(actionClass, 'hover:bg-red-900 hover:text-red-400')}
+                      title="Delete"
+                    >
+                      <Trash2 className="w-3.5 h-3.5" />
+                    </button>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ProjectLibrary;
@@ -0,0 +1,165 @@
+"use client";
+
+import React from 'react';
+import { Panel } from 'reactflow';
+import { X, Play, Pause, StepForward, RotateCcw, CheckCircle2, AlertCircle, MinusCircle } from 'lucide-react';
+
+const shortAddress = (value) => (value && value.length > 14 ? `${value.slice(0, 8)}…${value.slice(-4)}` : value || '—');
+
+const formatArgs = (args) =>
+  Object.entries(args).map(([key, value]) => `${key}: ${typeof value === 'string' ? shortAddress(value) : String(value)}`).join(', ');
+
+const Section = ({ title, children }) => (
+  <div className="space-y-1">
+    <div className="text-[10px] uppercase tracking-wider text-gray-500">{title}</div>
+    {children}
+  </div>
+);
+
+// Controls and resulting ledger state for a simulation run
+const SimulationPanel = ({ simulation, running, onStep, onRun, onPause, onReset, onSelect, onClose }) => {
+  const { state, log, halted, order, index } = simulation;
+  const finished = Boolean(halted) || index >= order.length;
+  const balances = Object.entries(state.balances);
+  const allowances = Object.entries(state.allowances).flatMap(([owner, spenders]) =>
+    Object.entries(spenders).map(([spender, amount]) => ({ owner, spender, amount }))
+  );
+
+  return (
+    <Panel position="top-right" className="bg-gray-900/95 backdrop-blur-xl rounded-xl shadow-2xl border border-gray-800 !mt-[180px] w-80">
+      <div className="flex items-center justify-between px-4 py-3 border-b border-gray-800">
+        <div className="flex items-center space-x-2 text-xs">
+          <span className="font-bold text-white">Simulation</span>
+          <span className="text-gray-500">{Math.min(index, order.length)}/{order.length}</span>
+        </div>
+        <div className="flex items-center space-x-1">
+          <button
+            onClick={onStep}
+            disabled={finished || running}
+            className="p-1.5 rounded-lg hover:bg-gray-800 text-gray-400 hover:text-white transition-all disabled:opacity-30 disabled:pointer-events-none"
+            title="Step"
+          >
+            <StepForward className="w-3.5 h-3.5" />
+          </button>
+          <button
+            onClick={running ? onPause : onRun}
+            disabled={finished}
+            className="p-1.5 rounded-lg hover:bg-gray-800 text-gray-400 hover:text-white transition-all disabled:opacity-30 disabled:pointer-events-none"
+            title={running ? 'Pause' : 'Run to End'}
+          >
+            {running ? <Pause className="w-3.5 h-3.5" /> : <Play className="w-3.5 h-3.5" />}
+          </button>
+          <button
+            onClick={onReset}
+            className="p-1.5 rounded-lg hover:bg-gray-800 text-gray-400 hover:text-white transition-all"
+            title="Restart"
+          >
+            <RotateCcw className="w-3.5 h-3.5" />
+          </button>
+          <button
+            onClick={onClose}
+            className="p-1.5 rounded-lg hover:bg-gray-800 text-gray-400 hover:text-white transition-all"
+            title="Close"
+          >
+            <X className="w-3.5 h-3.5" />
+          </button>
+        </div>
+      </div>
+
+      <div className="max-h-[50vh] overflow-y-auto p-3 space-y-3 text-xs custom-scrollbar">
+        {halted && (
+          <button
+            onClick={() => onSelect(halted.nodeId)}
+            className="w-full flex items-start space-x-2 p-2 rounded-lg bg-red-500/10 border border-red-500/30 text-left"
+          >
+            <AlertCircle className="w-3.5 h-3.5 mt-0.5 flex-shrink-0 text-red-400" />
+            <span className="text-red-300">Reverted: {halted.reason}</span>
+          </button>
+        )}
+        {!halted && finished && (
+          <div className="flex items-center space-x-2 p-2 rounded-lg bg-green-500/10 border border-green-500/30 text-green-300">
+            <CheckCircle2 className="w-3.5 h-3.5" />
+            <span>Completed without reverts</span>
+          </div>
+        )}
+
+        <Section title="Contract">
+          <div className="flex justify-between text-gray-300">
+            <span className="text-gray-500">Owner</span>
+            <span className="font-mono">{shortAddress(state.owner)}</span>
+          </div>
+          <div className="flex justify-between text-gray-300">
+            <span className="text-gray-500">Total supply</span>
+            <span className="font-mono">{String(state.totalSupply)}</span>
+          </div>
+        </Section>
+
+        <Section title="Balances">
+          {balances.length === 0
+            ? <div className="text-gray-600">None</div>
+            : balances.map(([account, amount]) => (
+              <div key={account} className="flex justify-between text-gray-300">
+                <span className="font-mono" title={account}>{shortAddress(account)}</span>
+                <span className="font-mono">{String(amount)}</span>
+              </div>
+            ))}
+        </Section>
+
+        {allowances.length > 0 && (
+          <Section title="Allowances">
+            {allowances.map(({ owner, spender, amount }) => (
+              <div key={`${owner}:${spender}`} className="flex justify-between text-gray-300">
+                <span className="font-mono">{shortAddress(owner)} → {shortAddress(spender)}</span>
+                <span className="font-mono">{String(amount)}</span>
+              </div>
+            ))}
+          </Section>
+        )}
+
+        {Object.keys(state.mappings).length > 0 && (
+          <Section title="Mappings">
+            {Object.entries(state.mappings).map(([name, entries]) => (
+              <div key={name} className="flex justify-between text-gray-300">
+                <span className="font-mono">{name}</span>
+                <span className="text-gray-500">{Object.keys(entries).length} entries</span>
+              </div>
+            ))}
+          </Section>
+        )}
+
+        {state.events.length > 0 && (
+          <Section title="Events">
+            {state.events.map((event, position) => (
+              <div key={`${event.nodeId}:${position}`} className="text-gray-300 font-mono truncate">
+                {event.name}({formatArgs(event.args)})
+              </div>
+            ))}
+          </Section>
+        )}
+
+        <Section title="Trace">
+          {log.length === 0
+            ? <div className="text-gray-600">Press step or run to start</div>
+            : log.map((entry, position) => {
+              const Icon = !entry.ok ? AlertCircle : entry.skipped ? MinusCircle : CheckCircle2;
+              const color = !entry.ok ? 'text-red-400' : entry.skipped ? 'text-gray-500' : 'text-green-400';
+              return (
+                <button
+                  key={`${entry.nodeId}:${position}`}
+                  onClick={() => onSelect(entry.nodeId)}
+                  className="w-full flex items-start space-x-2 px-1 py-1 rounded-lg text-left hover:bg-gray-800 transition-colors"
+                >
+                  <Icon className={`w-3.5 h-3.5 mt-0.5 flex-shrink-0 ${color}`} />
+                  <span className="text-gray-300">
+                    <span className="font-semibold text-white">{entry.label}</span> — {entry.message}
+                  </span>
+                </button>
+              );
+            })}
+        </Section>
+      </div>
+    </Panel>
+  );
+};
+
+export default SimulationPanel;
@@ -0,0 +1,70 @@
+"use client";
+
+import React, { useState } from 'react';
+import { Panel } from 'reactflow';
+import { X, ShieldCheck, Check, Circle } from 'lucide-react';
+
+// Detected token standard with a checklist of its required members.
+// Other candidates can be picked to see what they would still need.
+const StandardsPanel = ({ classification, onClose }) => {
+  const [pickedId, setPickedId] = useState(null);
+  const { standard, closest, candidates } = classification;
+  const shown = candidates.find((candidate) => candidate.id === pickedId) || closest;
+
+  return (
+    <Panel position="top-right" className="bg-gray-900/95 backdrop-blur-xl rounded-xl shadow-2xl border border-gray-800 !mt-[180px] w-80">
+      <div className="flex items-center justify-between px-4 py-3 border-b border-gray-800">
+        <div className="flex items-center space-x-2 text-xs">
+          <ShieldCheck className="w-3.5 h-3.5 text-emerald-400" />
+          <span className="font-bold text-white">{standard ? standard.label : 'No standard detected'}</span>
+        </div>
+        <button
+          onClick={onClose}
+          className="p-1.5 rounded-lg hover:bg-gray-800 text-gray-400 hover:text-white transition-all"
+          title="Close"
+        >
+          <X className="w-3.5 h-3.5" />
+        </button>
+      </div>
+
+      <div className="max-h-[50vh] overflow-y-auto p-3 space-y-3 text-xs custom-scrollbar">
+        <div className="flex flex-wrap gap-1.5">
+          {candidates.map((candidate) => (
+            <button
+              key={candidate.id}
+              onClick={() => setPickedId(candidate.id)}
+              className={`
+                px-2 py-0.5 rounded-full text-[10px] font-medium transition-all
+                ${candidate.id === shown.id
+                  ? 'bg-emerald-500 text-white'
+                  : 'bg-gray-800 text-gray-400 hover:bg-gray-700 hover:text-white'
+                }
+              `}
+            >
+              {candidate.label} {candidate.met}/{candidate.total}
+            </button>
+          ))}
+        </div>
+
+        <div className="space-y-1">
+          <div className="text-[10px] uppercase tracking-wider text-gray-500">{shown.label} checklist</div>
+          {shown.checklist.map((item) => (
+            <div key={item.label} className="flex items-start space-x-2">
+              {item.met
+                ? <Check className="w-3.5 h-3.5 mt-0.5 flex-shrink-0 text-emerald-400" />
+                : <Circle className="w-3.5 h-3.5 mt-0.5 flex-shrink-0 text-gray-600" />}
+              <span className={`font-mono break-all ${item.met ? 'text-gray-300' : 'text-gray-500'}`}>{item.label}</span>
+              <span className="ml-auto text-[10px] text-gray-600">{item.kind}</span>
+            </div>
+          ))}
+        </div>
+
+        <p className="text-[10px] text-gray-600">
+          Functions come from token blocks (by function name), state from Mapping and Struct blocks, events from Event blocks.
+        </p>
+      </div>
+    </Panel>
+  );
+};
+
+export default StandardsPanel;
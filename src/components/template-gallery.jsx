@@ -0,0 +1,70 @@
+"use client";
+
+import React from 'react';
+import { X, FilePlus } from 'lucide-react';
+import { listTemplates, templatePreview } from '@/lib/templates';
+
+// Picker dialog for starting a project from a template (or a blank canvas)
+const TemplateGallery = ({ onSelect, onClose }) => {
+  const templates = listTemplates();
+
+  return (
+    <div className="fixed inset-0 z-[1000] flex items-center justify-center bg-black/60 backdrop-blur-sm" onClick={onClose}>
+      <div
+        className="w-full max-w-3xl max-h-[80vh] flex flex-col bg-gray-900/95 backdrop-blur-xl rounded-2xl shadow-2xl border border-gray-800"
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Header */}
+        <div className="flex items-center justify-between p-5 border-b border-gray-800">
+          <div>
+            <h2 className="text-xl font-bold text-transparent bg-clip-text bg-gradient-to-r from-purple-400 to-pink-400">
+              New Project
+            </h2>
+            <p className="text-xs text-gray-500 mt-1">Start from a template or a blank canvas</p>
+          </div>
+          <button
+            onClick={onClose}
+            className="p-2 rounded-lg bg-gray-800 hover:bg-gray-700 text-gray-400 hover:text-white transition-all"
+            title="Close"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+
+        {/* Templates */}
+        <div className="flex-1 overflow-y-auto p-5 custom-scrollbar">
+          <div className="grid grid-cols-3 gap-4">
+            <button
+              onClick={() => onSelect(null)}
+              className="group rounded-xl border border-gray-800 hover:border-purple-500 bg-gray-950 overflow-hidden text-left transition-all"
+            >
+              <div className="w-full aspect-[12/7] flex items-center justify-center bg-gray-950 text-gray-600 group-hover:text-purple-400">
+                <FilePlus className="w-8 h-8" />
+              </div>
+              <div className="p-3">
+                <h3 className="text-sm font-semibold text-white">Blank Contract</h3>
+                <p className="text-xs text-gray-500 mt-1">Deploy and constructor blocks only</p>
+              </div>
+            </button>
+            {templates.map((template) => (
+              <button
+                key={template.id}
+                onClick={() => onSelect(template)}
+                className="group rounded-xl border border-gray-800 hover:border-purple-500 bg-gray-950 overflow-hidden text-left transition-all"
+              >
+                <img src={templatePreview(template)} alt="" className="w-full aspect-[12/7] object-cover" />
+                <div className="p-3">
+                  <h3 className="text-sm font-semibold text-white truncate">{template.name}</h3>
+                  <p className="text-xs text-gray-500 mt-1 line-clamp-2">{template.description}</p>
+                  <p className="text-[10px] text-gray-600 mt-1">{template.nodes.length} blocks</p>
+                </div>
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TemplateGallery;
@@ -0,0 +1,300 @@
+"use client";
+
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import ReactFlow, { Background, Controls, ReactFlowProvider, useReactFlow } from 'reactflow';
+import { X, GitCompareArrows, FileUp, ArrowRight, Loader2 } from 'lucide-react';
+import { listProjects, getProject } from '@/lib/project-store';
+import { parseWorkflow, readWorkflowFile } from '@/lib/workflow-schema';
+import { flattenSubflows } from '@/lib/subflows';
+import { DIFF_STATUSES, diffWorkflows, diffOverlay } from '@/lib/workflow-diff';
+
+const CURRENT = 'current';
+
+const formatValue = (value) => {
+  if (value === undefined || value === null || value === '') return '—';
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const selectClass = `
+  w-full px-3 py-2 bg-gray-900 border border-gray-800 rounded-lg text-sm text-white
+  focus:outline-none focus:border-purple-500 transition-colors
+`;
+
+const StatusBadge = ({ status }) => (
+  <span
+    className="px-1.5 py-0.5 rounded text-[10px] font-semibold uppercase tracking-wide"
+    style={{ color: DIFF_STATUSES[status].color, backgroundColor: `${DIFF_STATUSES[status].color}22` }}
+  >
+    {DIFF_STATUSES[status].label}
+  </span>
+);
+
+// One entry in the change list; selecting it focuses the item on the canvas
+// and shows its field-level differences
+const ChangeItem = ({ title, subtitle, change, isOpen, onSelect }) => (
+  <li>
+    <button
+      onClick={onSelect}
+      className={`w-full text-left px-3 py-2 rounded-lg transition-colors ${isOpen ? 'bg-gray-800' : 'hover:bg-gray-800/60'}`}
+    >
+      <div className="flex items-center justify-between space-x-2">
+        <span className="text-sm text-white truncate">{title}</span>
+        <span className="flex items-center space-x-1 flex-shrink-0">
+          <StatusBadge status={change.status} />
+          {change.moved && <StatusBadge status="moved" />}
+        </span>
+      </div>
+      <p className="text-[10px] text-gray-500 truncate">{subtitle}</p>
+    </button>
+    {isOpen && change.fields.length > 0 && (
+      <table className="w-full mt-1 mb-2 text-[11px]">
+        <tbody>
+          {change.fields.map((field) => (
+            <tr key={field.key} className="align-top">
+              <td className="px-3 py-0.5 text-gray-400 whitespace-nowrap">{field.label}</td>
+              <td className="py-0.5 font-mono break-all">
+                <span className="text-red-400 line-through">{formatValue(field.before)}</span>
+                <ArrowRight className="inline w-3 h-3 mx-1 text-gray-600" />
+                <span className="text-green-400">{formatValue(field.after)}</span>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    )}
+  </li>
+);
+
+const CompareView = ({ current, nodeTypes, onClose }) => {
+  const { fitView } = useReactFlow();
+  const fileInputRef = useRef(null);
+  const rootRef = useRef(null);
+  const [sources, setSources] = useState([{ id: CURRENT, label: 'Current canvas' }]);
+  const [beforeId, setBeforeId] = useState(null);
+  const [afterId, setAfterId] = useState(CURRENT);
+  const [versions, setVersions] = useState({});
+  const [error, setError] = useState(null);
+  const [openChange, setOpenChange] = useState(null);
+  const requested = useRef(new Set());
+
+  useEffect(() => {
+    rootRef.current?.focus();
+    listProjects()
+      .then((projects) => {
+        setSources((list) => [...list, ...projects.map((project) => ({ id: `project:${project.id}`, label: project.name, projectId: project.id }))]);
+        if (projects.length > 0) setBeforeId((id) => id ?? `project:${projects[0].id}`);
+      })
+      .catch((listError) => setError(listError.message));
+  }, []);
+
+  // Load (and migrate) each chosen snapshot once
+  useEffect(() => {
+    [beforeId, afterId].filter((id) => id && !versions[id] && !requested.current.has(id)).forEach((id) => {
+      const source = sources.find((item) => item.id === id);
+      requested.current.add(id);
+      if (id === CURRENT) {
+        setVersions((loaded) => ({ ...loaded, [id]: current }));
+      } else if (source?.projectId) {
+        getProject(source.projectId)
+          .then((project) => {
+            if (!project) throw new Error(`Project "${source.label}" no longer exists`);
+            const { nodes, edges } = parseWorkflow({ schemaVersion: project.schemaVersion, nodes: project.nodes, edges: project.edges });
+            setVersions((loaded) => ({ ...loaded, [id]: { nodes, edges } }));
+          })
+          .catch((loadError) => {
+            requested.current.delete(id);
+            setError(loadError.message);
+          });
+      }
+    });
+  }, [beforeId, afterId, sources, versions, current]);
+
+  const handleFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const { nodes, edges } = await readWorkflowFile(file);
+      const id = `file:${file.name}:${Date.now()}`;
+      setSources((list) => [...list, { id, label: file.name }]);
+      setVersions((loaded) => ({ ...loaded, [id]: { nodes, edges } }));
+      setBeforeId(id);
+      setError(null);
+    } catch (fileError) {
+      setError(`Could not read ${file.name}: ${fileError.message}`);
+    }
+  };
+
+  // Groups are inlined so changes inside them show up too
+  const comparison = useMemo(() => {
+    const before = versions[beforeId];
+    const after = versions[afterId];
+    if (!before || !after) return null;
+    const flatBefore = flattenSubflows(before);
+    const flatAfter = flattenSubflows(after);
+    const diff = diffWorkflows(flatBefore, flatAfter);
+    return { diff, overlay: diffOverlay(flatBefore, flatAfter, diff), before: flatBefore, after: flatAfter };
+  }, [versions, beforeId, afterId]);
+
+  const labelOf = (id) => {
+    const node = comparison.after.nodes.find((item) => item.id === id) || comparison.before.nodes.find((item) => item.id === id);
+    return node?.data.label || id;
+  };
+
+  const focus = (key, nodeIds) => {
+    setOpenChange((open) => (open === key ? null : key));
+    fitView({ nodes: nodeIds.map((id) => ({ id })), duration: 300, maxZoom: 1.2, padding: 0.6 });
+  };
+
+  const changeCount = comparison ? comparison.diff.nodes.length + comparison.diff.edges.length : 0;
+
+  return (
+    <div
+      ref={rootRef}
+      tabIndex={-1}
+      className="fixed inset-0 z-[900] flex bg-gray-950 outline-none"
+      // Keys stay in the compare view so canvas shortcuts do not edit the hidden workflow
+      onKeyDown={(e) => {
+        e.stopPropagation();
+        if (e.key === 'Escape') onClose();
+      }}
+    >
+      <div className="flex-1 h-full relative">
+        {comparison ? (
+          <ReactFlow
+            key={`${beforeId}|${afterId}`}
+            defaultNodes={comparison.overlay.nodes}
+            defaultEdges={comparison.overlay.edges}
+            nodeTypes={nodeTypes}
+            nodesDraggable={false}
+            nodesConnectable={false}
+            deleteKeyCode={null}
+            fitView
+            className="bg-gray-950"
+            proOptions={{ hideAttribution: true }}
+          >
+            <Background variant="dots" gap={20} size={1.5} color="#374151" />
+            <Controls className="!bg-gray-900 !border-gray-800 !rounded-xl !shadow-2xl" showInteractive={false} />
+          </ReactFlow>
+        ) : (
+          <div className="h-full flex items-center justify-center text-sm text-gray-500">
+            {beforeId ? <Loader2 className="w-5 h-5 animate-spin" /> : 'Pick two versions to compare'}
+          </div>
+        )}
+      </div>
+
+      <aside className="w-96 h-full bg-gray-950 border-l border-gray-800 flex flex-col shadow-2xl">
+        {/* Header */}
+        <div className="p-4 border-b border-gray-800 space-y-3">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center space-x-2">
+              <GitCompareArrows className="w-4 h-4 text-purple-400" />
+              <h2 className="text-sm font-bold text-white">Compare Versions</h2>
+            </div>
+            <button
+              onClick={onClose}
+              className="p-2 rounded-lg bg-gray-800 hover:bg-gray-700 text-gray-400 hover:text-white transition-all"
+              title="Close (Esc)"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+          {[['Before', beforeId, setBeforeId], ['After', afterId, setAfterId]].map(([label, value, setValue]) => (
+            <label key={label} className="block space-y-1">
+              <span className="text-xs font-medium text-gray-400">{label}</span>
+              <select
+                value={value || ''}
+                onChange={(e) => {
+                  setValue(e.target.value || null);
+                  setOpenChange(null);
+                }}
+                className={selectClass}
+              >
+                <option value="">Choose a version…</option>
+                {sources.map((source) => <option key={source.id} value={source.id}>{source.label}</option>)}
+              </select>
+            </label>
+          ))}
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            className="flex items-center space-x-1.5 text-xs text-gray-400 hover:text-white transition-colors"
+          >
+            <FileUp className="w-3.5 h-3.5" />
+            <span>Compare with a workflow file…</span>
+          </button>
+          <input ref={fileInputRef} type="file" accept=".json,application/json" className="hidden" onChange={handleFile} />
+          {error && <p className="text-xs text-red-400">{error}</p>}
+        </div>
+
+        {/* Summary */}
+        {comparison && (
+          <div className="px-4 py-3 border-b border-gray-800 flex flex-wrap gap-2">
+            {Object.entries(DIFF_STATUSES).map(([status, { label, color }]) => (
+              <span key={status} className="flex items-center space-x-1.5 text-xs text-gray-400">
+                <span className="w-2.5 h-2.5 rounded-full" style={{ backgroundColor: color }} />
+                <span>{comparison.diff.counts[status]} {label.toLowerCase()}</span>
+              </span>
+            ))}
+          </div>
+        )}
+
+        {/* Changes */}
+        {comparison && (
+          <div className="flex-1 overflow-y-auto p-2 custom-scrollbar">
+            {changeCount === 0 && <p className="p-3 text-sm text-gray-500">No differences between these versions.</p>}
+            {comparison.diff.nodes.length > 0 && (
+              <>
+                <h3 className="px-3 pt-2 pb-1 text-[10px] font-semibold uppercase tracking-wide text-gray-500">Blocks</h3>
+                <ul>
+                  {comparison.diff.nodes.map((change) => (
+                    <ChangeItem
+                      key={`node:${change.id}`}
+                      title={(change.after || change.before).data.label || change.id}
+                      subtitle={(change.after || change.before).data.type}
+                      change={change}
+                      isOpen={openChange === `node:${change.id}`}
+                      onSelect={() => focus(`node:${change.id}`, [change.id])}
+                    />
+                  ))}
+                </ul>
+              </>
+            )}
+            {comparison.diff.edges.length > 0 && (
+              <>
+                <h3 className="px-3 pt-3 pb-1 text-[10px] font-semibold uppercase tracking-wide text-gray-500">Connections</h3>
+                <ul>
+                  {comparison.diff.edges.map((change) => {
+                    const edge = change.after || change.before;
+                    return (
+                      <ChangeItem
+                        key={`edge:${change.id}`}
+                        title={`${labelOf(edge.source)} → ${labelOf(edge.target)}`}
+                        subtitle={edge.data?.label || edge.id}
+                        change={change}
+                        isOpen={openChange === `edge:${change.id}`}
+                        onSelect={() => focus(`edge:${change.id}`, [edge.source, edge.target])}
+                      />
+                    );
+                  })}
+                </ul>
+              </>
+            )}
+          </div>
+        )}
+      </aside>
+    </div>
+  );
+};
+
+// Full-screen compare mode: two snapshots of a workflow (the current canvas,
+// saved projects or workflow files) overlaid on a read-only canvas, with the
+// list of changes beside it. `current` is the open workflow's root graph.
+const WorkflowCompare = (props) => (
+  <ReactFlowProvider>
+    <CompareView {...props} />
+  </ReactFlowProvider>
+);
+
+export default WorkflowCompare;
@@ -0,0 +1,10 @@
+"use client";
+
+import { useSyncExternalStore } from 'react';
+import { nodeTypes, subscribeBlockTypes, getBlockTypesVersion } from '@/lib/node-types';
+
+// The block registry, re-rendering the caller when a block type is registered
+export const useBlockTypes = () => {
+  useSyncExternalStore(subscribeBlockTypes, getBlockTypesVersion, getBlockTypesVersion);
+  return nodeTypes;
+};
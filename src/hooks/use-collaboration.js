@@ -0,0 +1,126 @@
+"use client";
+
+import { createContext, useContext, useCallback, useEffect, useRef, useState } from 'react';
+import * as Y from 'yjs';
+import { WebsocketProvider } from 'y-websocket';
+import { getSharedMaps, isSharedGraphEmpty, readSharedGraph, writeSharedGraph } from '@/lib/collab/shared-graph';
+
+// Transactions made by this client; everything else came from a collaborator
+const LOCAL_ORIGIN = 'local';
+
+// Cursor positions are sent at most this often (ms)
+const CURSOR_INTERVAL = 50;
+
+export const collabServerUrl = () =>
+  process.env.NEXT_PUBLIC_COLLAB_URL || `ws://${window.location.hostname}:1234`;
+
+// Blocks other users have selected (node id -> users), for the highlights on the nodes
+export const CollaborationContext = createContext({ selections: {} });
+
+export const useRemoteSelection = (nodeId) => useContext(CollaborationContext).selections[nodeId] || [];
+
+// Live session for `room` on the local relay. `graph` is the root-level
+// workflow; local changes to it are written to the shared document and
+// collaborators' changes arrive through `onRemoteChange(sharedGraph)`. The
+// first user in an empty room seeds it with their graph, later users adopt
+// the room's. Presence carries the user, the subflow `level` they are viewing,
+// their selection and cursor. Undo stays per user: once the room is synced a
+// Y.UndoManager that only tracks this client's transactions is handed to
+// `onUndoManager` (and null when the session ends), so undoing never reverts
+// a collaborator's edits.
+//
+// Returns { status, peers, setCursor }; `status` is 'offline', 'connecting'
+// or 'connected', `peers` the other users' presence states.
+export const useCollaboration = ({ room, user, graph, level, selection, onRemoteChange, onUndoManager }) => {
+  const [status, setStatus] = useState('offline');
+  const [peers, setPeers] = useState([]);
+  const session = useRef(null);
+  const latestGraph = useRef(graph);
+  latestGraph.current = graph;
+  const remoteChange = useRef(onRemoteChange);
+  remoteChange.current = onRemoteChange;
+  const undoManagerChange = useRef(onUndoManager);
+  undoManagerChange.current = onUndoManager;
+
+  useEffect(() => {
+    if (!room || !user) return undefined;
+
+    const doc = new Y.Doc();
+    const provider = new WebsocketProvider(collabServerUrl(), room, doc);
+    const current = { doc, provider, ready: false, undoManager: null };
+    session.current = current;
+    provider.awareness.setLocalStateField('user', user);
+
+    const onStatus = (event) => setStatus(event.status === 'connected' ? 'connected' : 'connecting');
+
+    const onSync = (synced) => {
+      if (!synced || current.ready) return;
+      current.ready = true;
+      if (isSharedGraphEmpty(doc)) writeSharedGraph(doc, latestGraph.current, LOCAL_ORIGIN);
+      else remoteChange.current(readSharedGraph(doc));
+      // Created after seeding so the room's first write cannot be undone
+      const { nodes, edges } = getSharedMaps(doc);
+      current.undoManager = new Y.UndoManager([nodes, edges], {
+        trackedOrigins: new Set([LOCAL_ORIGIN]),
+        captureTimeout: Infinity,
+      });
+      undoManagerChange.current?.(current.undoManager);
+    };
+
+    const onUpdate = (update, origin) => {
+      if (origin !== LOCAL_ORIGIN && current.ready) remoteChange.current(readSharedGraph(doc));
+    };
+
+    const onAwareness = () => {
+      const others = [];
+      provider.awareness.getStates().forEach((state, clientID) => {
+        if (clientID !== doc.clientID && state.user) others.push({ clientID, ...state });
+      });
+      setPeers(others);
+    };
+
+    setStatus('connecting');
+    provider.on('status', onStatus);
+    provider.on('sync', onSync);
+    doc.on('update', onUpdate);
+    provider.awareness.on('change', onAwareness);
+
+    return () => {
+      provider.awareness.off('change', onAwareness);
+      doc.off('update', onUpdate);
+      provider.off('sync', onSync);
+      provider.off('status', onStatus);
+      if (current.undoManager) {
+        current.undoManager.destroy();
+        undoManagerChange.current?.(null);
+      }
+      provider.destroy();
+      doc.destroy();
+      session.current = null;
+      setPeers([]);
+      setStatus('offline');
+    };
+  }, [room, user]);
+
+  useEffect(() => {
+    const current = session.current;
+    if (current?.ready) writeSharedGraph(current.doc, graph, LOCAL_ORIGIN);
+  }, [graph]);
+
+  useEffect(() => {
+    session.current?.provider.awareness.setLocalStateField('view', { level, selection });
+  }, [room, user, level, selection]);
+
+  // `cursor` is { x, y } in flow coordinates, or null when the pointer leaves the canvas
+  const lastCursorAt = useRef(0);
+  const setCursor = useCallback((cursor) => {
+    const current = session.current;
+    if (!current) return;
+    const now = Date.now();
+    if (cursor && now - lastCursorAt.current < CURSOR_INTERVAL) return;
+    lastCursorAt.current = now;
+    current.provider.awareness.setLocalStateField('cursor', cursor && { ...cursor, level });
+  }, [level]);
+
+  return { status, peers, setCursor };
+};
@@ -0,0 +1,8 @@
+"use client";
+
+import { createContext, useContext } from 'react';
+
+// Workflow gas estimate shared with the nodes; `visible` toggles the badges
+export const GasEstimateContext = createContext({ estimate: null, lowLimits: [], visible: false });
+
+export const useGasEstimate = () => useContext(GasEstimateContext);
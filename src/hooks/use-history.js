@@ -0,0 +1,129 @@
+"use client";
+
+import { createContext, useCallback, useContext, useEffect, useRef, useState } from 'react';
+
+const MAX_HISTORY = 100;
+const COALESCE_MS = 1000;
+
+// Lets nodes record a history step before they edit the graph
+export const HistoryContext = createContext({ takeSnapshot: () => {} });
+
+export const useHistoryContext = () => useContext(HistoryContext);
+
+// Keyboard shortcuts should not fire while the user is typing
+export const isEditableTarget = (target) =>
+  target instanceof HTMLElement &&
+  (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+
+// Undo/redo stack of { nodes, edges } snapshots.
+//
+// Call `takeSnapshot()` right before a change. Passing a `coalesceKey`
+// folds repeated calls with the same key (e.g. typing into one field)
+// into a single step as long as they arrive within a second of each other.
+//
+// In a live session `undoManager` (a Y.UndoManager tracking only this user's
+// changes) replaces the snapshots: replaying a whole-graph snapshot would
+// also revert collaborators' edits. `takeSnapshot()` then just starts a new
+// undo step.
+export const useHistory = ({ getNodes, getEdges, setNodes, setEdges, undoManager = null }) => {
+  const [past, setPast] = useState([]);
+  const [future, setFuture] = useState([]);
+  const [sharedSteps, setSharedSteps] = useState({ undo: 0, redo: 0 });
+  const lastSnapshot = useRef({ key: null, time: 0 });
+
+  // Snapshots from before or during a session would overwrite other users'
+  // work, so switching between the two modes starts from an empty history
+  useEffect(() => {
+    setPast([]);
+    setFuture([]);
+    if (!undoManager) return undefined;
+    const update = () => setSharedSteps({ undo: undoManager.undoStack.length, redo: undoManager.redoStack.length });
+    update();
+    undoManager.on('stack-item-added', update);
+    undoManager.on('stack-item-popped', update);
+    undoManager.on('stack-cleared', update);
+    return () => {
+      undoManager.off('stack-item-added', update);
+      undoManager.off('stack-item-popped', update);
+      undoManager.off('stack-cleared', update);
+    };
+  }, [undoManager]);
+
+  const takeSnapshot = useCallback((coalesceKey = null) => {
+    const now = Date.now();
+    const last = lastSnapshot.current;
+    lastSnapshot.current = { key: coalesceKey, time: now };
+    if (coalesceKey && last.key === coalesceKey && now - last.time < COALESCE_MS) return;
+
+    if (undoManager) {
+      undoManager.stopCapturing();
+      return;
+    }
+    setPast((steps) => [...steps.slice(-(MAX_HISTORY - 1)), { nodes: getNodes(), edges: getEdges() }]);
+    setFuture([]);
+  }, [getNodes, getEdges, undoManager]);
+
+  const undo = useCallback(() => {
+    if (undoManager) {
+      lastSnapshot.current = { key: null, time: 0 };
+      undoManager.undo();
+      return;
+    }
+    const previous = past[past.length - 1];
+    if (!previous) return;
+    lastSnapshot.current = { key: null, time: 0 };
+    setPast((steps) => steps.slice(0, -1));
+    setFuture((steps) => [...steps, { nodes: getNodes(), edges: getEdges() }]);
+    setNodes(previous.nodes);
+    setEdges(previous.edges);
+  }, [past, getNodes, getEdges, setNodes, setEdges, undoManager]);
+
+  const redo = useCallback(() => {
+    if (undoManager) {
+      lastSnapshot.current = { key: null, time: 0 };
+      undoManager.redo();
+      return;
+    }
+    const next = future[future.length - 1];
+    if (!next) return;
+    lastSnapshot.current = { key: null, time: 0 };
+    setFuture((steps) => steps.slice(0, -1));
+    setPast((steps) => [...steps, { nodes: getNodes(), edges: getEdges() }]);
+    setNodes(next.nodes);
+    setEdges(next.edges);
+  }, [future, getNodes, getEdges, setNodes, setEdges, undoManager]);
+
+  // Forget all steps, e.g. when the canvas switches to a different graph
+  const reset = useCallback(() => {
+    lastSnapshot.current = { key: null, time: 0 };
+    setPast([]);
+    setFuture([]);
+    undoManager?.clear();
+  }, [undoManager]);
+
+  // Ctrl/Cmd+Z, Ctrl/Cmd+Shift+Z and Ctrl+Y
+  useEffect(() => {
+    const onKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || isEditableTarget(event.target)) return;
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undo();
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        redo();
+      }
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [undo, redo]);
+
+  return {
+    takeSnapshot,
+    undo,
+    redo,
+    reset,
+    canUndo: undoManager ? sharedSteps.undo > 0 : past.length > 0,
+    canRedo: undoManager ? sharedSteps.redo > 0 : future.length > 0,
+  };
+};
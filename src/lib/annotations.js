@@ -0,0 +1,62 @@
+import { nodeTypes } from './node-types';
+
+// Notes and frames live on the canvas and in saved workflows but are not part
+// of the contract: they are dropped before code generation, linting,
+// simulation and analysis. Both render with the `annotationNode` component.
+
+export const ANNOTATION_NODE = 'annotationNode';
+
+const DEFAULT_SIZES = {
+  note: { width: 220, height: 160 },
+  frame: { width: 480, height: 320 },
+};
+
+// Frames sit behind blocks, and stay there while selected (selection adds 1000)
+const FRAME_Z_INDEX = -1000;
+
+export const annotationKind = (node) => nodeTypes[node?.data?.type]?.annotation || null;
+
+export const isAnnotationNode = (node) => Boolean(annotationKind(node));
+
+export const isFrameNode = (node) => annotationKind(node) === 'frame';
+
+// React Flow node fields for a new block of `type`
+export const canvasNodeProps = (type) => {
+  const kind = nodeTypes[type]?.annotation;
+  if (!kind) return { type: 'customNode' };
+  return {
+    type: ANNOTATION_NODE,
+    style: DEFAULT_SIZES[kind],
+    ...(kind === 'frame' ? { zIndex: FRAME_Z_INDEX } : {}),
+  };
+};
+
+// The graph without annotations (and any edges that touch one)
+export const withoutAnnotations = ({ nodes, edges }) => {
+  if (!nodes.some(isAnnotationNode)) return { nodes, edges };
+  const kept = nodes.filter((node) => !isAnnotationNode(node));
+  const keptIds = new Set(kept.map((node) => node.id));
+  return {
+    nodes: kept,
+    edges: edges.filter((edge) => keptIds.has(edge.source) && keptIds.has(edge.target)),
+  };
+};
+
+const boundsOf = (node) => ({
+  x: node.position.x,
+  y: node.position.y,
+  width: node.width ?? node.style?.width ?? 0,
+  height: node.height ?? node.style?.height ?? 0,
+});
+
+// Nodes lying entirely inside `frame`; they move along when it is dragged
+export const nodesInFrame = (frame, nodes) => {
+  const outer = boundsOf(frame);
+  return nodes.filter((node) => {
+    if (node.id === frame.id || isFrameNode(node)) return false;
+    const inner = boundsOf(node);
+    return inner.x >= outer.x && inner.y >= outer.y &&
+      inner.x + inner.width <= outer.x + outer.width &&
+      inner.y + inner.height <= outer.y + outer.height;
+  });
+};
@@ -0,0 +1,188 @@
+// Left-to-right layered layout (a small Sugiyama-style pass).
+//
+// 1. split the graph into connected components, which are stacked vertically
+// 2. within a component, rank nodes by longest path from the sources
+//    (back edges of cycles are ignored)
+// 3. order each rank with a few barycenter sweeps to reduce crossings
+// 4. place ranks in columns, each column centered on the tallest one
+
+const DEFAULT_WIDTH = 220;
+const DEFAULT_HEIGHT = 90;
+const COLUMN_GAP = 100;
+const ROW_GAP = 40;
+const COMPONENT_GAP = 120;
+const SWEEPS = 4;
+
+const sizeOf = (node) => ({
+  width: node.width || DEFAULT_WIDTH,
+  height: node.height || DEFAULT_HEIGHT,
+});
+
+const connectedComponents = (nodes, neighbours) => {
+  const seen = new Set();
+  const components = [];
+  nodes.forEach((node) => {
+    if (seen.has(node.id)) return;
+    const component = [];
+    const stack = [node.id];
+    seen.add(node.id);
+    while (stack.length > 0) {
+      const id = stack.pop();
+      component.push(id);
+      neighbours.get(id).forEach((next) => {
+        if (!seen.has(next)) {
+          seen.add(next);
+          stack.push(next);
+        }
+      });
+    }
+    components.push(component);
+  });
+  return components;
+};
+
+// Drop edges that close a cycle so ranking terminates
+const acyclicEdges = (ids, outgoing) => {
+  const state = new Map(); // 1 = on stack, 2 = done
+  const kept = [];
+  const visit = (id) => {
+    state.set(id, 1);
+    outgoing.get(id).forEach((next) => {
+      if (state.get(next) === 1) return;
+      kept.push([id, next]);
+      if (!state.has(next)) visit(next);
+    });
+    state.set(id, 2);
+  };
+  ids.forEach((id) => {
+    if (!state.has(id)) visit(id);
+  });
+  return kept;
+};
+
+const rankComponent = (ids, outgoing, byId) => {
+  const edges = acyclicEdges(ids, outgoing);
+  const preds = new Map(ids.map((id) => [id, []]));
+  edges.forEach(([source, target]) => preds.get(target).push(source));
+
+  const ranks = new Map();
+  const rankOf = (id) => {
+    if (ranks.has(id)) return ranks.get(id);
+    ranks.set(id, 0); // guards against re-entry
+    const rank = preds.get(id).reduce((max, pred) => Math.max(max, rankOf(pred) + 1), 0);
+    ranks.set(id, rank);
+    return rank;
+  };
+  ids.forEach(rankOf);
+
+  // Initial order inside each rank follows the current vertical position
+  const layers = [];
+  ids.forEach((id) => {
+    const rank = ranks.get(id);
+    (layers[rank] = layers[rank] || []).push(id);
+  });
+  layers.forEach((layer) => layer.sort((a, b) => byId.get(a).position.y - byId.get(b).position.y));
+
+  // Barycenter sweeps, alternating direction
+  const succs = new Map(ids.map((id) => [id, []]));
+  edges.forEach(([source, target]) => succs.get(source).push(target));
+  for (let sweep = 0; sweep < SWEEPS; sweep += 1) {
+    const downward = sweep % 2 === 0;
+    const range = downward
+      ? layers.map((_, index) => index).slice(1)
+      : layers.map((_, index) => index).slice(0, -1).reverse();
+    range.forEach((index) => {
+      const reference = layers[downward ? index - 1 : index + 1];
+      const positions = new Map(reference.map((id, position) => [id, position]));
+      const neighbours = downward ? preds : succs;
+      const weight = new Map(layers[index].map((id, position) => {
+        const linked = neighbours.get(id).filter((other) => positions.has(other));
+        return [id, linked.length > 0
+          ? linked.reduce((sum, other) => sum + positions.get(other), 0) / linked.length
+          : position];
+      }));
+      layers[index].sort((a, b) => weight.get(a) - weight.get(b));
+    });
+  }
+
+  return layers;
+};
+
+// Returns a Map of node id -> { x, y } for `nodes`, laid out from `origin`.
+// Only edges between the given nodes are considered.
+export const computeLayeredLayout = (nodes, edges, origin = { x: 0, y: 0 }) => {
+  const byId = new Map(nodes.map((node) => [node.id, node]));
+  const outgoing = new Map(nodes.map((node) => [node.id, []]));
+  const neighbours = new Map(nodes.map((node) => [node.id, []]));
+  edges.forEach((edge) => {
+    if (!byId.has(edge.source) || !byId.has(edge.target) || edge.source === edge.target) return;
+    outgoing.get(edge.source).push(edge.target);
+    neighbours.get(edge.source).push(edge.target);
+    neighbours.get(edge.target).push(edge.source);
+  });
+
+  // Largest components first, ties by current position
+  const components = connectedComponents(nodes, neighbours).sort((a, b) =>
+    b.length - a.length ||
+    Math.min(...a.map((id) => byId.get(id).position.y)) - Math.min(...b.map((id) => byId.get(id).position.y))
+  );
+
+  const positions = new Map();
+  let top = origin.y;
+
+  components.forEach((ids) => {
+    const layers = rankComponent(ids, outgoing, byId);
+    const layerHeights = layers.map((layer) =>
+      layer.reduce((sum, id) => sum + sizeOf(byId.get(id)).height, 0) + ROW_GAP * (layer.length - 1)
+    );
+    const componentHeight = Math.max(...layerHeights);
+
+    let x = origin.x;
+    layers.forEach((layer, index) => {
+      let y = top + (componentHeight - layerHeights[index]) / 2;
+      layer.forEach((id) => {
+        positions.set(id, { x, y });
+        y += sizeOf(byId.get(id)).height + ROW_GAP;
+      });
+      x += Math.max(...layer.map((id) => sizeOf(byId.get(id)).width)) + COLUMN_GAP;
+    });
+
+    top += componentHeight + COMPONENT_GAP;
+  });
+
+  return positions;
+};
+
+const easeInOut = (t) => (t < 0.5 ? 2 * t * t : 1 - (-2 * t + 2) ** 2 / 2);
+
+// Tween node positions towards `targets` (Map id -> { x, y }).
+// Returns a function that cancels the animation.
+export const animatePositions = (targets, { getNodes, setNodes, duration = 450, onDone }) => {
+  const starts = new Map(
+    getNodes().filter((node) => targets.has(node.id)).map((node) => [node.id, { ...node.position }])
+  );
+  const startTime = performance.now();
+  let frame = null;
+
+  const step = (now) => {
+    const progress = Math.min(1, (now - startTime) / duration);
+    const t = easeInOut(progress);
+    setNodes((nds) => nds.map((node) => {
+      const from = starts.get(node.id);
+      if (!from) return node;
+      const to = targets.get(node.id);
+      return { ...node, position: { x: from.x + (to.x - from.x) * t, y: from.y + (to.y - from.y) * t } };
+    }));
+    if (progress < 1) {
+      frame = requestAnimationFrame(step);
+    } else {
+      frame = null;
+      onDone?.();
+    }
+  };
+  frame = requestAnimationFrame(step);
+
+  return () => {
+    if (frame) cancelAnimationFrame(frame);
+  };
+};
@@ -0,0 +1,73 @@
+// Ranked palette search over block names, keywords, descriptions and
+// categories. Every word of the query must match some field; exact and
+// prefix matches beat substrings, which beat fuzzy (in-order, typo-tolerant)
+// matches, and matches on the name beat matches in the description.
+
+const normalize = (value) =>
+  String(value || '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+const compact = (value) => normalize(value).replace(/ /g, '');
+
+// Characters of `token` appear in order within a short window of `text`
+const isFuzzyMatch = (token, text) => {
+  for (let start = text.indexOf(token[0]); start !== -1; start = text.indexOf(token[0], start + 1)) {
+    let index = start;
+    let matched = 0;
+    while (index < text.length && matched < token.length) {
+      if (text[index] === token[matched]) matched += 1;
+      index += 1;
+    }
+    if (matched === token.length && index - start <= token.length * 1.5 + 1) return true;
+  }
+  return false;
+};
+
+const scoreToken = (token, field) => {
+  const { text, packed } = field;
+  if (text === token || packed === token) return 10;
+  if (text.startsWith(token) || packed.startsWith(token)) return 8;
+  if (text.includes(` ${token}`)) return 6;
+  if (text.includes(token)) return 4;
+  if (token.length >= 3 && field.weight > 1 && isFuzzyMatch(token, packed)) return 2;
+  return 0;
+};
+
+const fieldsOf = ({ type, definition, categoryLabel }) => [
+  { value: type, weight: 3 },
+  ...(definition.keywords || []).map((keyword) => ({ value: keyword, weight: 2 })),
+  { value: definition.description, weight: 1 },
+  { value: categoryLabel, weight: 1 },
+].map((field) => ({ ...field, text: normalize(field.value), packed: compact(field.value) }));
+
+// 0 when some word of the query matches nothing
+export const scoreBlock = (query, entry) => {
+  const tokens = normalize(query).split(' ').filter(Boolean);
+  if (tokens.length === 0) return 0;
+  const fields = fieldsOf(entry);
+
+  let total = 0;
+  for (const token of tokens) {
+    const best = Math.max(...fields.map((field) => scoreToken(token, field) * field.weight));
+    if (best === 0) return 0;
+    total += best;
+  }
+  // The whole query naming a field, e.g. "price feed" or "erc20"
+  const phrase = compact(query);
+  if (fields.some((field) => field.weight > 1 && field.packed === phrase)) total += 15;
+  return total;
+};
+
+// `entries` are { type, definition, categoryLabel }; returns the matches best
+// first (ties keep palette order), or every entry for an empty query
+export const searchBlocks = (query, entries) => {
+  if (!normalize(query)) return entries;
+  return entries
+    .map((entry, index) => ({ entry, index, score: scoreBlock(query, entry) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(({ entry }) => entry);
+};
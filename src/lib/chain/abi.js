@@ -0,0 +1,87 @@
+// Minimal ABI encoder for constructor arguments.
+// Supports the value types the generators emit: address, uintN, intN, bool,
+// bytesN, string and bytes.
+
+const WORD_BITS = 256n;
+
+const word = (hex) => hex.padStart(64, '0');
+
+const padRight = (hex) => hex.padEnd(Math.ceil(hex.length / 64) * 64, '0');
+
+const toBigInt = (value, type) => {
+  try {
+    return BigInt(String(value).trim() || '0');
+  } catch {
+    throw new Error(`"${value}" is not a valid ${type}`);
+  }
+};
+
+const bytesToHex = (bytes) => Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+
+const encodeStatic = (type, value) => {
+  if (type === 'address') {
+    if (!/^0x[0-9a-fA-F]{40}$/.test(String(value))) throw new Error(`"${value}" is not a valid address`);
+    return word(String(value).slice(2).toLowerCase());
+  }
+  if (type === 'bool') {
+    if (!['true', 'false', true, false].includes(value)) throw new Error(`"${value}" is not true or false`);
+    return word(value === true || value === 'true' ? '1' : '0');
+  }
+  if (/^uint\d*$/.test(type)) {
+    const number = toBigInt(value, type);
+    const bits = BigInt(type.slice(4) || 256);
+    if (number < 0n || number >= 1n << bits) throw new Error(`${value} does not fit in ${type}`);
+    return word(number.toString(16));
+  }
+  if (/^int\d*$/.test(type)) {
+    const number = toBigInt(value, type);
+    const bits = BigInt(type.slice(3) || 256);
+    if (number < -(1n << (bits - 1n)) || number >= 1n << (bits - 1n)) throw new Error(`${value} does not fit in ${type}`);
+    return word((number < 0n ? (1n << WORD_BITS) + number : number).toString(16));
+  }
+  if (/^bytes\d+$/.test(type)) {
+    const size = Number(type.slice(5));
+    const hex = String(value || '0x').replace(/^0x/, '');
+    if (!/^[0-9a-fA-F]*$/.test(hex) || hex.length > size * 2) throw new Error(`"${value}" is not a valid ${type}`);
+    return hex.padEnd(64, '0').toLowerCase();
+  }
+  return null;
+};
+
+const encodeDynamic = (type, value) => {
+  let hex;
+  if (type === 'string') {
+    hex = bytesToHex(new TextEncoder().encode(String(value ?? '')));
+  } else if (type === 'bytes') {
+    hex = String(value || '0x').replace(/^0x/, '');
+    if (!/^([0-9a-fA-F]{2})*$/.test(hex)) throw new Error(`"${value}" is not valid hex bytes`);
+  } else {
+    throw new Error(`Unsupported constructor argument type "${type}"`);
+  }
+  return word((hex.length / 2).toString(16)) + padRight(hex);
+};
+
+// ABI-encode `values` for the `inputs` of an ABI entry; returns hex without 0x
+export const encodeParameters = (inputs, values) => {
+  const heads = [];
+  const tails = [];
+  inputs.forEach((input, index) => {
+    const head = encodeStatic(input.type, values[index]);
+    if (head !== null) {
+      heads.push(head);
+      tails.push('');
+    } else {
+      heads.push(null);
+      tails.push(encodeDynamic(input.type, values[index]));
+    }
+  });
+
+  let offset = inputs.length * 32;
+  const encodedHeads = heads.map((head, index) => {
+    if (head !== null) return head;
+    const pointer = word(offset.toString(16));
+    offset += tails[index].length / 2;
+    return pointer;
+  });
+  return encodedHeads.join('') + tails.join('');
+};
@@ -0,0 +1,74 @@
+import { encodeParameters } from './abi';
+
+// Compile and deploy a generated contract. Progress is reported through
+// `onProgress(stage, message)` with stage one of
+// 'compiling' | 'compiled' | 'connecting' | 'sending' | 'mining' | 'deployed'.
+
+const RECEIPT_POLL_MS = 500;
+const RECEIPT_TIMEOUT_MS = 60000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Compile through the local /api/compile route; returns { abi, bytecode, warnings }
+export const compileContract = async ({ source, fileName, contractName }) => {
+  const response = await fetch('/api/compile', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ source, fileName, contractName }),
+  });
+  const result = await response.json().catch(() => ({ errors: [`Compiler answered ${response.status}`] }));
+  if (!response.ok) {
+    const error = new Error(result.errors?.[0] || 'Compilation failed');
+    error.details = result.errors || [];
+    throw error;
+  }
+  return result;
+};
+
+export const constructorInputs = (abi) => abi.find((entry) => entry.type === 'constructor')?.inputs || [];
+
+const waitForReceipt = async (provider, txHash) => {
+  const started = Date.now();
+  while (Date.now() - started < RECEIPT_TIMEOUT_MS) {
+    const receipt = await provider.request({ method: 'eth_getTransactionReceipt', params: [txHash] });
+    if (receipt) return receipt;
+    await sleep(RECEIPT_POLL_MS);
+  }
+  throw new Error(`No receipt for ${txHash} after ${RECEIPT_TIMEOUT_MS / 1000}s`);
+};
+
+// Send the creation transaction from the provider's first account.
+// Returns { address, txHash, chainId, from, gasUsed, blockNumber }.
+export const deployContract = async ({ provider, abi, bytecode, args = [], gasLimit, onProgress = () => {} }) => {
+  onProgress('connecting', 'Connecting to the node');
+  const chainId = Number(await provider.request({ method: 'eth_chainId' }));
+  let accounts = await provider.request({ method: 'eth_accounts' });
+  if (!accounts?.length) accounts = await provider.request({ method: 'eth_requestAccounts' });
+  const from = accounts?.[0];
+  if (!from) throw new Error('The node exposes no unlocked account to deploy from');
+
+  const inputs = constructorInputs(abi);
+  const data = bytecode + encodeParameters(inputs, inputs.map((_, index) => args[index]));
+
+  onProgress('sending', `Sending deployment from ${from} on chain ${chainId}`);
+  const transaction = { from, data };
+  transaction.gas = gasLimit
+    ? `0x${BigInt(gasLimit).toString(16)}`
+    : await provider.request({ method: 'eth_estimateGas', params: [transaction] });
+  const txHash = await provider.request({ method: 'eth_sendTransaction', params: [transaction] });
+
+  onProgress('mining', `Waiting for ${txHash}`);
+  const receipt = await waitForReceipt(provider, txHash);
+  if (receipt.status === '0x0') throw new Error(`Deployment reverted in transaction ${txHash}`);
+  if (!receipt.contractAddress) throw new Error(`Transaction ${txHash} did not create a contract`);
+
+  onProgress('deployed', `Deployed at ${receipt.contractAddress}`);
+  return {
+    address: receipt.contractAddress,
+    txHash,
+    chainId,
+    from,
+    gasUsed: String(BigInt(receipt.gasUsed)),
+    blockNumber: Number(receipt.blockNumber),
+  };
+};
@@ -0,0 +1,78 @@
+// Pluggable chain providers. Every provider exposes the EIP-1193 shape
+// `request({ method, params })`, so a local devnet reached over HTTP and an
+// injected browser wallet are interchangeable.
+//
+// Register another transport with `registerProvider(key, definition)`;
+// `definition.create(settings)` must return such a provider and
+// `definition.platform` names the chains it reaches ('evm' when left out).
+// The Deploy block's network decides which providers may be used.
+
+const FLOW_NETWORKS = ['flow', 'flow-testnet'];
+
+let nextRequestId = 1;
+
+// 'flow' for Flow networks, 'evm' for everything else
+export const networkPlatform = (network) => (FLOW_NETWORKS.includes(network) ? 'flow' : 'evm');
+
+// Plain JSON-RPC 2.0 over HTTP, e.g. Anvil, Hardhat or Ganache on localhost
+export const createJsonRpcProvider = (url) => ({
+  async request({ method, params = [] }) {
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: nextRequestId++, method, params }),
+      });
+    } catch {
+      throw new Error(`Cannot reach ${url}; is the local node running?`);
+    }
+    if (!response.ok) throw new Error(`${url} answered ${response.status} ${response.statusText}`);
+    const payload = await response.json();
+    if (payload.error) throw new Error(payload.error.message || `RPC error ${payload.error.code}`);
+    return payload.result;
+  },
+});
+
+const providers = {
+  rpc: {
+    label: 'JSON-RPC endpoint',
+    platform: 'evm',
+    needsUrl: true,
+    defaultUrl: 'http://127.0.0.1:8545',
+    create: ({ url }) => createJsonRpcProvider(url),
+  },
+  injected: {
+    label: 'Browser wallet',
+    platform: 'evm',
+    needsUrl: false,
+    create: () => {
+      if (typeof window === 'undefined' || !window.ethereum) {
+        throw new Error('No browser wallet found');
+      }
+      return window.ethereum;
+    },
+  },
+};
+
+export const registerProvider = (key, definition) => {
+  providers[key] = definition;
+};
+
+const platformOf = (definition) => definition.platform || 'evm';
+
+// Providers able to deploy to `network`, or all of them when it is left out
+export const listProviders = (network) => Object.entries(providers)
+  .filter(([, definition]) => !network || platformOf(definition) === networkPlatform(network))
+  .map(([key, definition]) => ({ key, ...definition }));
+
+// `settings.network`, when given, must be reachable through the provider
+export const createProvider = (key, settings = {}) => {
+  const definition = providers[key];
+  if (!definition) throw new Error(`Unknown provider "${key}"`);
+  if (settings.network && platformOf(definition) !== networkPlatform(settings.network)) {
+    throw new Error(`${definition.label} cannot deploy to the "${settings.network}" network`);
+  }
+  if (definition.needsUrl && !settings.url) throw new Error('Enter an RPC endpoint URL');
+  return definition.create(settings);
+};
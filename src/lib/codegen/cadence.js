@@ -0,0 +1,407 @@
+import {
+  buildGraph, topologicalSort, collectUpstream, collectDownstream, branchesToward, isFailBranchOnly,
+} from '../graph';
+import {
+  toPascalCase, toCamelCase, createNamer, parseParams, uniqueParams, describeNode,
+} from './common';
+import { nodeTypes } from '../node-types';
+
+// Cadence backend: turns a whiteboard graph into a Flow contract (.cdc).
+//
+// Deploy      -> `access(all) contract`
+// Constructor -> `init` parameters (stored as contract fields)
+// Mapping, Array, Struct -> dictionary / array fields and structs
+// MintToken, BurnToken, Transfer -> a `Vault` resource plus mint/burn functions
+// Modifier    -> guarded functions move onto an `Administrator` resource
+// Require     -> `pre` conditions
+// Event       -> `access(all) event` declarations and `emit` statements
+// Interface   -> `access(all) resource interface`
+// Registered blocks with a `codegen.cadence` hook add their own members
+//
+// Everything else has no Cadence equivalent and is reported in `unsupported`.
+
+const INDENT = '    ';
+
+const FUNCTION_TYPES = ['MintToken', 'BurnToken', 'Transfer'];
+const HANDLED_TYPES = [
+  'Deploy', 'Constructor', 'Mapping', 'Array', 'Struct',
+  'Require', 'Modifier', 'Event', 'Interface', ...FUNCTION_TYPES,
+];
+
+// Token operations: default name, parameters, body and the expressions that
+// event parameters with a matching name resolve to. `$` is the contract name.
+const TOKEN_FUNCTIONS = {
+  MintToken: {
+    name: 'mintTokens',
+    params: [{ name: 'amount', type: 'UFix64' }],
+    returns: '@Vault',
+    body: [
+      '$.totalSupply = $.totalSupply + amount',
+    ],
+    result: 'return <-create Vault(balance: amount)',
+    context: { amount: 'amount', value: 'amount', to: 'nil', from: 'nil' },
+  },
+  BurnToken: {
+    name: 'burnTokens',
+    params: [{ name: 'from', type: '@Vault' }],
+    body: [
+      'let amount = from.balance',
+      '$.totalSupply = $.totalSupply - amount',
+      'destroy from',
+    ],
+    context: { amount: 'amount', value: 'amount', to: 'nil', from: 'nil' },
+  },
+  Transfer: {
+    name: 'withdraw',
+    params: [{ name: 'amount', type: 'UFix64' }],
+    returns: '@Vault',
+    access: 'access(Withdraw)',
+    body: [
+      'self.balance = self.balance - amount',
+    ],
+    result: 'return <-create Vault(balance: amount)',
+    context: { amount: 'amount', value: 'amount', from: 'self.owner?.address', to: 'nil' },
+  },
+};
+
+// Solidity-flavoured parameter types used in block configs -> Cadence types
+const toCadenceType = (type) => {
+  const trimmed = String(type).trim();
+  if (trimmed.endsWith('[]')) return `[${toCadenceType(trimmed.slice(0, -2))}]`;
+  if (trimmed === 'address') return 'Address';
+  if (trimmed === 'uint256' || trimmed === 'uint') return 'UFix64';
+  if (/^uint(8|16|32|64|128)$/.test(trimmed)) return `UInt${trimmed.slice(4)}`;
+  if (/^int\d*$/.test(trimmed)) return 'Int';
+  if (trimmed === 'bool') return 'Bool';
+  if (trimmed === 'string') return 'String';
+  if (/^bytes\d*$/.test(trimmed)) return '[UInt8]';
+  return toPascalCase(trimmed, 'AnyStruct');
+};
+
+const DEFAULT_VALUES = {
+  Address: 'nil',
+  UFix64: '0.0',
+  Bool: 'false',
+  String: '""',
+};
+
+const escapeString = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+
+const isFunctionNode = (node) => FUNCTION_TYPES.includes(node.data.type);
+
+export const generateCadence = (nodes, edges, options = {}) => {
+  const ordered = topologicalSort(nodes, edges);
+  const graph = buildGraph(nodes, edges);
+  const ofType = (type) => ordered.filter((node) => node.data.type === type);
+  const configOf = (node) => node.data.config || {};
+
+  const deploy = ofType('Deploy')[0];
+  const deployConfig = deploy ? configOf(deploy) : {};
+  const contractName = toPascalCase(
+    deployConfig.contractName || options.contractName || 'GeneratedContract',
+    'Contract'
+  );
+  const pathPrefix = toCamelCase(contractName, 'contract');
+  const name = createNamer([contractName, 'Vault', 'Administrator', 'Withdraw', 'createEmptyVault']);
+
+  // Requires written against Solidity globals cannot be translated
+  const isSolidityOnly = (node) =>
+    node.data.type === 'Require' && /\bmsg\.|\btx\.origin\b/.test(configOf(node).condition || '');
+  const hookOf = (node) => nodeTypes[node.data.type]?.codegen?.cadence;
+  const unsupported = ordered.filter((node) =>
+    (!HANDLED_TYPES.includes(node.data.type) && !hookOf(node)) || isSolidityOnly(node)
+  );
+
+  const functionNodes = ordered.filter(isFunctionNode);
+  const hasVault = functionNodes.length > 0;
+  const orderIndex = new Map(ordered.map((node, index) => [node.id, index]));
+  const byOrder = (a, b) => orderIndex.get(a.id) - orderIndex.get(b.id);
+
+  // Contract fields and their initial values in `init`
+  const fields = [];
+  const fieldNames = new Set();
+  const addField = (kind, base, type, initial, comment) => {
+    const fieldName = name(base);
+    fieldNames.add(fieldName);
+    fields.push({ kind, name: fieldName, type, initial, comment });
+    return fieldName;
+  };
+
+  const constructorParams = uniqueParams(ofType('Constructor').flatMap((node) => parseParams(configOf(node).params)))
+    .map((param) => ({ ...param, type: toCadenceType(param.type) }));
+
+  if (hasVault) addField('var', 'totalSupply', 'UFix64', '0.0');
+  const constructorFields = constructorParams.map((param) =>
+    fieldNames.has(param.name) ? param.name : addField('let', param.name, param.type, null)
+  );
+
+  const structs = ofType('Struct').map((node) => {
+    const config = configOf(node);
+    const structName = name(toPascalCase(config.name || node.data.label, 'Record'));
+    const structFields = parseParams(config.fields?.length ? config.fields : ['address account', 'uint256 amount'])
+      .map((field) => ({ ...field, type: toCadenceType(field.type) }));
+    return { node, name: structName, fields: structFields };
+  });
+
+  ofType('Mapping').forEach((node) => {
+    const config = configOf(node);
+    const keyType = toCadenceType(config.keyType || 'address');
+    const valueType = toCadenceType(config.valueType || 'uint256');
+    addField('var', toCamelCase(config.name || node.data.label, 'map'), `{${keyType}: ${valueType}}`, '{}', node.data.label);
+  });
+
+  ofType('Array').forEach((node) => {
+    const config = configOf(node);
+    const elementType = toCadenceType(config.elementType || 'uint256');
+    addField('var', toCamelCase(config.name || node.data.label, 'list'), `[${elementType}]`, '[]', node.data.label);
+  });
+
+  structs.forEach((struct) => {
+    const config = configOf(struct.node);
+    if (config.storeAs === 'none') return;
+    addField('var', toCamelCase(config.storeAs || `${struct.name}s`, 'records'), `[${struct.name}]`, '[]', struct.node.data.label);
+  });
+
+  const paths = hasVault
+    ? [
+      { name: 'VaultStoragePath', type: 'StoragePath', value: `/storage/${pathPrefix}Vault` },
+      { name: 'AdminStoragePath', type: 'StoragePath', value: `/storage/${pathPrefix}Admin` },
+    ]
+    : [];
+  paths.forEach((path) => name(path.name));
+
+  // Registered blocks declare their fields now and emit members before `init`
+  const pluginMembers = ordered
+    .filter((node) => !HANDLED_TYPES.includes(node.data.type) && hookOf(node))
+    .map((node) => ({
+      node,
+      lines: hookOf(node)(node, {
+        config: configOf(node),
+        name,
+        addField: (base, type, initial, comment) => addField('var', base, type, initial, comment),
+      }) || [],
+    }));
+
+  // Functions; anything downstream of a Modifier belongs to the Administrator.
+  // Every Transfer block feeds the single `Vault.withdraw`.
+  const upstreamOf = (node) => collectUpstream(graph, node.id, isFunctionNode);
+  // Functions reached only through a guard's fail branch run when its condition does not hold
+  const onFailBranch = (guard, sources) =>
+    isFailBranchOnly(branchesToward(graph, guard.id, sources.map((node) => node.id), isFunctionNode));
+  const transferNodes = functionNodes.filter((node) => node.data.type === 'Transfer');
+  const functions = functionNodes
+    .filter((node) => node.data.type !== 'Transfer' || node === transferNodes[0])
+    .map((node) => {
+      const template = TOKEN_FUNCTIONS[node.data.type];
+      const merged = node.data.type === 'Transfer' ? transferNodes : [node];
+      const upstream = [...new Set(merged.flatMap(upstreamOf))].sort(byOrder);
+      return {
+        nodes: merged,
+        template,
+        upstream,
+        guarded: upstream.some((guard) => guard.data.type === 'Modifier' && !onFailBranch(guard, merged)),
+        name: template.access
+          ? template.name
+          : name(toCamelCase(configOf(node).functionName || template.name, template.name)),
+      };
+    });
+  const hasAdmin = functions.some((fn) => fn.guarded);
+
+  // Events; parameters default to those of the first function that emits them
+  const events = ofType('Event').map((node) => {
+    const config = configOf(node);
+    let params = parseParams(config.params).map((param) => ({ ...param, type: toCadenceType(param.type) }));
+    if (params.length === 0) {
+      const emitter = collectUpstream(graph, node.id).find(isFunctionNode);
+      if (emitter) params = [{ name: 'amount', type: 'UFix64' }];
+    }
+    // Flow has no msg.sender, so addresses are optional in events
+    params = params.map((param) => (param.type === 'Address' ? { ...param, type: 'Address?' } : param));
+    return { node, name: name(toPascalCase(config.name || node.data.label, 'Event')), params };
+  });
+  const eventById = new Map(events.map((event) => [event.node.id, event]));
+
+  const interfaces = ofType('Interface').map((node) => {
+    const config = configOf(node);
+    return {
+      node,
+      name: name(toPascalCase(config.name || node.data.label, 'Interface')),
+      functions: (config.functions || []).filter(Boolean),
+    };
+  });
+
+  const indent = (depth, body) => body.map((line) => (line ? `${INDENT.repeat(depth)}${line}` : line));
+
+  const renderFunction = ({ nodes: sources, template, upstream, name: functionName }, access = 'access(all)') => {
+    const downstream = [...new Set(sources.flatMap((node) => collectDownstream(graph, node.id, isFunctionNode)))]
+      .sort(byOrder);
+    const paramNames = template.params.map((param) => param.name);
+
+    const conditions = upstream
+      .filter((guard) => guard.data.type === 'Require' && !isSolidityOnly(guard))
+      .map((guard) => {
+        const config = configOf(guard);
+        const condition = config.condition ||
+          (paramNames.includes('amount') ? 'amount > 0.0' : 'from.balance > 0.0');
+        const required = onFailBranch(guard, sources) ? `!(${condition})` : condition;
+        return `${required}: "${escapeString(config.message || guard.data.label)}"`;
+      });
+
+    const emits = downstream
+      .filter((target) => eventById.has(target.id))
+      .map((target) => {
+        const event = eventById.get(target.id);
+        const args = event.params.map((param) => {
+          const value = template.context[param.name] ??
+            DEFAULT_VALUES[param.type.replace('?', '')] ??
+            (param.type.endsWith('?') ? 'nil' : `${param.type}()`);
+          return `${param.name}: ${value}`;
+        });
+        return `emit ${event.name}(${args.join(', ')})`;
+      });
+
+    const params = template.params.map((param) => `${param.name}: ${param.type}`).join(', ');
+    const returns = template.returns ? `: ${template.returns}` : '';
+    const body = template.body.map((line) => line.replace(/\$/g, contractName));
+
+    return [
+      `// ${sources.map((node) => node.data.label).join(', ')}`,
+      `${access} fun ${functionName}(${params})${returns} {`,
+      ...(conditions.length > 0
+        ? indent(1, ['pre {', ...indent(1, conditions), '}'])
+        : []),
+      ...indent(1, [...body, ...emits, ...(template.result ? [template.result] : [])]),
+      '}',
+    ];
+  };
+
+  // Assemble the source
+  const lines = [
+    `// Generated by Smart Contract Builder from ${nodes.length} blocks`,
+  ];
+  if (unsupported.length > 0) {
+    lines.push('// Blocks without a Cadence equivalent (not generated):');
+    unsupported.forEach((node) => lines.push(`//   - ${describeNode(node)}`));
+  }
+  lines.push(`access(all) contract ${contractName} {`);
+
+  const section = (body) => {
+    if (body.length === 0) return;
+    if (lines[lines.length - 1] !== `access(all) contract ${contractName} {`) lines.push('');
+    lines.push(...indent(1, body));
+  };
+
+  section(events.map((event) =>
+    `access(all) event ${event.name}(${event.params.map((param) => `${param.name}: ${param.type}`).join(', ')})`
+  ));
+
+  section([
+    ...fields.map((field) =>
+      `access(all) ${field.kind} ${field.name}: ${field.type}${field.comment ? ` // ${field.comment}` : ''}`
+    ),
+    ...paths.map((path) => `access(all) let ${path.name}: ${path.type}`),
+  ]);
+
+  section(structs.flatMap((struct) => [
+    `access(all) struct ${struct.name} {`,
+    ...indent(1, struct.fields.map((field) => `access(all) let ${field.name}: ${field.type}`)),
+    '',
+    ...indent(1, [
+      `init(${struct.fields.map((field) => `${field.name}: ${field.type}`).join(', ')}) {`,
+      ...indent(1, struct.fields.map((field) => `self.${field.name} = ${field.name}`)),
+      '}',
+    ]),
+    '}',
+  ]));
+
+  section(interfaces.flatMap((iface) => [
+    `access(all) resource interface ${iface.name} {`,
+    ...indent(1, iface.functions.map((signature) =>
+      signature.startsWith('access(') ? signature : `access(all) fun ${signature}`
+    )),
+    '}',
+  ]));
+
+  if (hasVault) {
+    const transfers = functions.filter((fn) => fn.template.access);
+    section([
+      'access(all) entitlement Withdraw',
+      '',
+      'access(all) resource Vault {',
+      ...indent(1, [
+        'access(all) var balance: UFix64',
+        '',
+        'init(balance: UFix64) {',
+        ...indent(1, ['self.balance = balance']),
+        '}',
+        ...transfers.flatMap((fn) => ['', ...renderFunction(fn, fn.template.access)]),
+        '',
+        'access(all) fun deposit(from: @Vault) {',
+        ...indent(1, [
+          'self.balance = self.balance + from.balance',
+          'from.balance = 0.0',
+          'destroy from',
+        ]),
+        '}',
+      ]),
+      '}',
+      '',
+      'access(all) fun createEmptyVault(): @Vault {',
+      ...indent(1, ['return <-create Vault(balance: 0.0)']),
+      '}',
+    ]);
+
+    const contractFunctions = functions.filter((fn) => !fn.template.access && !fn.guarded);
+    contractFunctions.forEach((fn) => section(renderFunction(fn)));
+
+    if (hasAdmin) {
+      const adminFunctions = functions.filter((fn) => !fn.template.access && fn.guarded);
+      section([
+        '// Held by the deploying account; replaces Solidity-style modifiers',
+        'access(all) resource Administrator {',
+        ...indent(1, adminFunctions.flatMap((fn, index) => [
+          ...(index > 0 ? [''] : []),
+          ...renderFunction(fn),
+        ])),
+        '}',
+      ]);
+    }
+  }
+
+  pluginMembers.forEach(({ node, lines: members }) => {
+    section([`// ${node.data.label}`, ...members]);
+  });
+
+  // init
+  const initBody = [];
+  fields.forEach((field) => {
+    const paramIndex = constructorFields.indexOf(field.name);
+    if (paramIndex !== -1) {
+      initBody.push(`self.${field.name} = ${constructorParams[paramIndex].name}`);
+    } else {
+      initBody.push(`self.${field.name} = ${field.initial}`);
+    }
+  });
+  paths.forEach((path) => initBody.push(`self.${path.name} = ${path.value}`));
+  if (hasVault) {
+    initBody.push('', 'self.account.storage.save(<-create Vault(balance: self.totalSupply), to: self.VaultStoragePath)');
+    if (hasAdmin) {
+      initBody.push('self.account.storage.save(<-create Administrator(), to: self.AdminStoragePath)');
+    }
+  }
+
+  section([
+    `init(${constructorParams.map((param) => `${param.name}: ${param.type}`).join(', ')}) {`,
+    ...indent(1, initBody),
+    '}',
+  ]);
+
+  lines.push('}', '');
+
+  return {
+    source: lines.join('\n'),
+    fileName: `${contractName}.cdc`,
+    contractName,
+    unsupported,
+  };
+};
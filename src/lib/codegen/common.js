@@ -0,0 +1,83 @@
+// Helpers shared by the code generation backends
+
+const RESERVED = new Set([
+  'address', 'bool', 'string', 'bytes', 'uint', 'int', 'mapping', 'struct', 'event',
+  'function', 'modifier', 'contract', 'return', 'returns', 'emit', 'public', 'private',
+  'internal', 'external', 'view', 'pure', 'payable', 'memory', 'storage', 'calldata',
+  'pub', 'access', 'all', 'self', 'let', 'var', 'fun', 'init', 'resource', 'import',
+  'create', 'destroy', 'if', 'else', 'while', 'for', 'in', 'true', 'false',
+]);
+
+const words = (value) =>
+  String(value || '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean);
+
+export const toPascalCase = (value, fallback = 'Unnamed') => {
+  const result = words(value)
+    .map((word) => word[0].toUpperCase() + word.slice(1))
+    .join('');
+  if (!result) return fallback;
+  return /^[0-9]/.test(result) ? `${fallback}${result}` : result;
+};
+
+export const toCamelCase = (value, fallback = 'unnamed') => {
+  const pascal = toPascalCase(value, '');
+  if (!pascal) return fallback;
+  const result = pascal[0].toLowerCase() + pascal.slice(1);
+  return /^[0-9]/.test(result) || RESERVED.has(result) ? `${fallback}${pascal}` : result;
+};
+
+// Returns a function that hands out identifiers, suffixing repeats with 2, 3, ...
+export const createNamer = (taken = []) => {
+  const used = new Set(taken);
+  return (base) => {
+    let name = base;
+    let suffix = 2;
+    while (used.has(name)) name = `${base}${suffix++}`;
+    used.add(name);
+    return name;
+  };
+};
+
+// Parameter types understood by every backend
+export const PARAM_TYPES = ['address', 'uint256', 'bool', 'string', 'bytes32'];
+
+const inferParamType = (name) => {
+  const lower = name.toLowerCase();
+  if (/(owner|address|account|recipient|spender|sender|admin|to|from|wallet)$/.test(lower)) return 'address';
+  if (/(supply|amount|balance|value|price|count|rate|fee|decimals|id|time|duration|limit)$/.test(lower)) return 'uint256';
+  if (/^(is|has|can|enabled|paused)/.test(lower)) return 'bool';
+  if (/(name|symbol|uri|description|memo)$/.test(lower)) return 'string';
+  return 'uint256';
+};
+
+// Accepts `'owner'`, `'address owner'` or `{ name, type }` and returns `{ name, type }`.
+// Types outside PARAM_TYPES are kept as written (e.g. `uint8`).
+export const parseParam = (entry) => {
+  if (entry && typeof entry === 'object') {
+    const name = toCamelCase(entry.name, 'param');
+    return { name, type: entry.type || inferParamType(name) };
+  }
+  const parts = String(entry || '').trim().split(/\s+/).filter(Boolean);
+  if (parts.length >= 2) {
+    return { name: toCamelCase(parts[parts.length - 1], 'param'), type: parts[0] };
+  }
+  const name = toCamelCase(parts[0], 'param');
+  return { name, type: inferParamType(name) };
+};
+
+export const parseParams = (list) =>
+  (Array.isArray(list) ? list : String(list || '').split(','))
+    .filter((entry) => entry && (typeof entry === 'object' || String(entry).trim()))
+    .map(parseParam);
+
+// Drops repeated parameter names (e.g. `owner` declared by two Constructor
+// blocks); the first declaration wins
+export const uniqueParams = (params) => {
+  const seen = new Set();
+  return params.filter((param) => !seen.has(param.name) && seen.add(param.name));
+};
+
+export const describeNode = (node) => `${node.data.label} (${node.data.type})`;
@@ -0,0 +1,472 @@
+import {
+  buildGraph, topologicalSort, collectUpstream, collectDownstream, branchesToward, isFailBranchOnly,
+} from '../graph';
+import {
+  toPascalCase, toCamelCase, createNamer, parseParams, uniqueParams, describeNode,
+} from './common';
+import { nodeTypes } from '../node-types';
+
+// Solidity backend: turns a whiteboard graph into a single-contract .sol file.
+//
+// Deploy      -> contract name, pragma and license
+// Constructor -> constructor arguments (stored as public state)
+// Mapping, Array, Struct -> state variables / struct definitions
+// MintToken, BurnToken, Transfer, Approve -> functions; fungible by default,
+//                      token-id based (ERC-721) when the graph keeps an
+//                      `ownerOf` mapping from token id to address. Some
+//                      function names pick a variant (transferFrom,
+//                      safeTransferFrom, setApprovalForAll).
+// Require, Modifier -> guards on every downstream function; functions reached
+//                      only through the fail branch require the negation
+// Event       -> `event` declarations, emitted by every upstream function
+// Registered blocks with a `codegen.solidity` hook add their own members
+
+const DEFAULT_PRAGMA = '^0.8.20';
+const INDENT = '    ';
+
+const FUNCTION_TYPES = ['MintToken', 'BurnToken', 'Transfer', 'Approve'];
+const HANDLED_TYPES = [
+  'Deploy', 'Constructor', 'Mapping', 'Array', 'Struct',
+  'Require', 'Modifier', 'Event', ...FUNCTION_TYPES,
+];
+
+// Token operations: default name, parameters, body and the expressions that
+// event parameters with a matching name resolve to.
+const TOKEN_FUNCTIONS = {
+  MintToken: {
+    name: 'mint',
+    params: [{ name: 'to', type: 'address' }, { name: 'amount', type: 'uint256' }],
+    body: [
+      'balanceOf[to] += amount;',
+      'totalSupply += amount;',
+    ],
+    context: { from: 'address(0)', to: 'to', amount: 'amount', value: 'amount' },
+  },
+  BurnToken: {
+    name: 'burn',
+    params: [{ name: 'amount', type: 'uint256' }],
+    body: [
+      'require(balanceOf[msg.sender] >= amount, "Insufficient balance");',
+      'balanceOf[msg.sender] -= amount;',
+      'totalSupply -= amount;',
+    ],
+    context: { from: 'msg.sender', to: 'address(0)', account: 'msg.sender', amount: 'amount', value: 'amount' },
+  },
+  Transfer: {
+    name: 'transfer',
+    params: [{ name: 'to', type: 'address' }, { name: 'amount', type: 'uint256' }],
+    returns: 'bool',
+    body: [
+      'require(to != address(0), "Transfer to the zero address");',
+      'require(balanceOf[msg.sender] >= amount, "Insufficient balance");',
+      'balanceOf[msg.sender] -= amount;',
+      'balanceOf[to] += amount;',
+    ],
+    context: { from: 'msg.sender', to: 'to', amount: 'amount', value: 'amount' },
+  },
+  Approve: {
+    name: 'approve',
+    params: [{ name: 'spender', type: 'address' }, { name: 'amount', type: 'uint256' }],
+    returns: 'bool',
+    uses: ['allowance'],
+    body: [
+      'allowance[msg.sender][spender] = amount;',
+    ],
+    context: { owner: 'msg.sender', spender: 'spender', amount: 'amount', value: 'amount' },
+  },
+};
+
+// Fungible variants chosen by the function name a block is given
+const NAMED_FUNCTIONS = {
+  Transfer: {
+    transferFrom: {
+      name: 'transferFrom',
+      params: [{ name: 'from', type: 'address' }, { name: 'to', type: 'address' }, { name: 'amount', type: 'uint256' }],
+      returns: 'bool',
+      uses: ['allowance'],
+      body: [
+        'require(to != address(0), "Transfer to the zero address");',
+        'require(balanceOf[from] >= amount, "Insufficient balance");',
+        'require(allowance[from][msg.sender] >= amount, "Insufficient allowance");',
+        'allowance[from][msg.sender] -= amount;',
+        'balanceOf[from] -= amount;',
+        'balanceOf[to] += amount;',
+      ],
+      context: { from: 'from', to: 'to', amount: 'amount', value: 'amount' },
+    },
+  },
+};
+
+// Moves token `tokenId` from `from` to `to` once the caller may do so
+const NFT_TRANSFER_BODY = [
+  'require(ownerOf[tokenId] == from, "Sender does not own the token");',
+  'require(to != address(0), "Transfer to the zero address");',
+  'require(msg.sender == from || getApproved[tokenId] == msg.sender || isApprovedForAll[from][msg.sender], "Caller is not owner nor approved");',
+  'delete getApproved[tokenId];',
+  'balanceOf[from] -= 1;',
+  'balanceOf[to] += 1;',
+  'ownerOf[tokenId] = to;',
+];
+const NFT_TRANSFER_PARAMS = [
+  { name: 'from', type: 'address' }, { name: 'to', type: 'address' }, { name: 'tokenId', type: 'uint256' },
+];
+
+// Token operations on individually owned token ids (ERC-721)
+const NFT_FUNCTIONS = {
+  MintToken: {
+    name: 'mint',
+    params: [{ name: 'to', type: 'address' }, { name: 'tokenId', type: 'uint256' }],
+    body: [
+      'require(to != address(0), "Mint to the zero address");',
+      'require(ownerOf[tokenId] == address(0), "Token already minted");',
+      'ownerOf[tokenId] = to;',
+      'balanceOf[to] += 1;',
+      'totalSupply += 1;',
+    ],
+    context: { from: 'address(0)', to: 'to', tokenId: 'tokenId' },
+  },
+  BurnToken: {
+    name: 'burn',
+    params: [{ name: 'tokenId', type: 'uint256' }],
+    uses: ['getApproved'],
+    body: [
+      'require(ownerOf[tokenId] == msg.sender, "Caller does not own the token");',
+      'delete getApproved[tokenId];',
+      'delete ownerOf[tokenId];',
+      'balanceOf[msg.sender] -= 1;',
+      'totalSupply -= 1;',
+    ],
+    context: { from: 'msg.sender', to: 'address(0)', tokenId: 'tokenId' },
+  },
+  Transfer: {
+    name: 'transferFrom',
+    params: NFT_TRANSFER_PARAMS,
+    uses: ['getApproved', 'isApprovedForAll'],
+    body: NFT_TRANSFER_BODY,
+    context: { from: 'from', to: 'to', tokenId: 'tokenId' },
+  },
+  Approve: {
+    name: 'approve',
+    params: [{ name: 'spender', type: 'address' }, { name: 'tokenId', type: 'uint256' }],
+    uses: ['getApproved', 'isApprovedForAll'],
+    body: [
+      'require(msg.sender == ownerOf[tokenId] || isApprovedForAll[ownerOf[tokenId]][msg.sender], "Caller is not owner nor approved for all");',
+      'getApproved[tokenId] = spender;',
+    ],
+    context: { owner: 'ownerOf[tokenId]', spender: 'spender', approved: 'spender', tokenId: 'tokenId' },
+  },
+};
+
+const NFT_NAMED_FUNCTIONS = {
+  Transfer: {
+    // Contracts receiving a token must accept it (IERC721Receiver.onERC721Received)
+    safeTransferFrom: {
+      name: 'safeTransferFrom',
+      params: NFT_TRANSFER_PARAMS,
+      uses: ['getApproved', 'isApprovedForAll'],
+      body: [
+        ...NFT_TRANSFER_BODY,
+        'if (to.code.length > 0) {',
+        `${INDENT}(bool accepted, bytes memory answer) = to.call(abi.encodeWithSelector(0x150b7a02, msg.sender, from, tokenId, ""));`,
+        `${INDENT}require(accepted && answer.length == 32 && abi.decode(answer, (bytes4)) == bytes4(0x150b7a02), "Receiver rejected the token");`,
+        '}',
+      ],
+      context: { from: 'from', to: 'to', tokenId: 'tokenId' },
+    },
+  },
+  Approve: {
+    setApprovalForAll: {
+      name: 'setApprovalForAll',
+      params: [{ name: 'operator', type: 'address' }, { name: 'approved', type: 'bool' }],
+      uses: ['isApprovedForAll'],
+      body: [
+        'require(operator != msg.sender, "Approve to caller");',
+        'isApprovedForAll[msg.sender][operator] = approved;',
+      ],
+      context: { owner: 'msg.sender', operator: 'operator', approved: 'approved' },
+    },
+  },
+};
+
+// State the token functions share, declared when a chosen function uses it
+const SHARED_STATE = {
+  allowance: 'mapping(address => mapping(address => uint256))',
+  getApproved: 'mapping(uint256 => address)',
+  isApprovedForAll: 'mapping(address => mapping(address => bool))',
+};
+
+const isOwnerOfMapping = (config) =>
+  toCamelCase(config.name || '', '') === 'ownerOf' &&
+  /^u?int(\d+)?$/.test(config.keyType || 'address') &&
+  config.valueType === 'address';
+
+const ZERO_VALUES = {
+  address: 'address(0)',
+  bool: 'false',
+  string: '""',
+  bytes32: 'bytes32(0)',
+};
+
+const needsMemory = (type) => type === 'string' || type === 'bytes' || type.endsWith(']');
+
+const formatArg = ({ name, type }) => `${type}${needsMemory(type) ? ' memory' : ''} ${name}`;
+
+const escapeString = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+
+const isFunctionNode = (node) => FUNCTION_TYPES.includes(node.data.type);
+
+export const generateSolidity = (nodes, edges, options = {}) => {
+  const ordered = topologicalSort(nodes, edges);
+  const graph = buildGraph(nodes, edges);
+  const ofType = (type) => ordered.filter((node) => node.data.type === type);
+  const configOf = (node) => node.data.config || {};
+
+  const deploy = ofType('Deploy')[0];
+  const deployConfig = deploy ? configOf(deploy) : {};
+  const contractName = toPascalCase(
+    deployConfig.contractName || options.contractName || 'GeneratedContract',
+    'Contract'
+  );
+  const pragma = deployConfig.compilerVersion || options.compilerVersion || DEFAULT_PRAGMA;
+  const license = deployConfig.license || 'MIT';
+
+  const name = createNamer([contractName]);
+  const functionNodes = ordered.filter(isFunctionNode);
+  const nonFungible = ofType('Mapping').some((node) => isOwnerOfMapping(configOf(node)));
+  const templateOf = (node) => {
+    const named = (nonFungible ? NFT_NAMED_FUNCTIONS : NAMED_FUNCTIONS)[node.data.type] || {};
+    return named[toCamelCase(configOf(node).functionName || '', '')] ||
+      (nonFungible ? NFT_FUNCTIONS : TOKEN_FUNCTIONS)[node.data.type];
+  };
+  const hookOf = (node) => nodeTypes[node.data.type]?.codegen?.solidity;
+  const unsupported = ordered.filter((node) => !HANDLED_TYPES.includes(node.data.type) && !hookOf(node));
+
+  // State variables
+  const stateVars = [];
+  const stateNames = new Set();
+  const addState = (type, base, comment) => {
+    const varName = name(base);
+    stateNames.add(varName);
+    stateVars.push({ type, name: varName, comment });
+    return varName;
+  };
+
+  const conditions = [...ofType('Require'), ...ofType('Modifier')]
+    .map((node) => configOf(node).condition || '')
+    .join(' ');
+  const constructorParams = uniqueParams(ofType('Constructor').flatMap((node) => parseParams(configOf(node).params)));
+  const needsOwner = ofType('Modifier').some((node) => !configOf(node).condition) ||
+    /\bowner\b/.test(conditions) ||
+    constructorParams.some((param) => param.name === 'owner');
+
+  if (needsOwner) addState('address', 'owner');
+  if (functionNodes.length > 0) {
+    addState('uint256', 'totalSupply');
+    addState('mapping(address => uint256)', 'balanceOf');
+  }
+  [...new Set(functionNodes.flatMap((node) => templateOf(node).uses || []))]
+    .forEach((key) => addState(SHARED_STATE[key], key));
+  // Constructor arguments are stored in a state variable of the same name
+  const constructorState = constructorParams.map((param) =>
+    stateNames.has(param.name) ? param.name : addState(param.type, param.name)
+  );
+
+  const structs = ofType('Struct').map((node) => {
+    const config = configOf(node);
+    const structName = name(toPascalCase(config.name || node.data.label, 'Record'));
+    const fields = parseParams(config.fields?.length ? config.fields : ['address account', 'uint256 amount']);
+    return { node, name: structName, fields };
+  });
+
+  ofType('Mapping').forEach((node) => {
+    const config = configOf(node);
+    const keyType = config.keyType || 'address';
+    const valueType = config.valueType || 'uint256';
+    addState(`mapping(${keyType} => ${valueType})`, toCamelCase(config.name || node.data.label, 'map'), node.data.label);
+  });
+
+  ofType('Array').forEach((node) => {
+    const config = configOf(node);
+    const elementType = config.elementType || 'uint256';
+    addState(`${elementType}[]`, toCamelCase(config.name || node.data.label, 'list'), node.data.label);
+  });
+
+  structs.forEach((struct) => {
+    const config = configOf(struct.node);
+    if (config.storeAs === 'none') return;
+    addState(`${struct.name}[]`, toCamelCase(config.storeAs || `${struct.name}s`, 'records'), struct.node.data.label);
+  });
+
+  // Functions (named first so events and modifiers can't shadow them)
+  const functions = functionNodes.map((node) => {
+    const template = templateOf(node);
+    const config = configOf(node);
+    return {
+      node,
+      template,
+      name: name(toCamelCase(config.functionName || template.name, template.name)),
+    };
+  });
+
+  // Events; parameters default to those of the first function that emits them
+  const events = ofType('Event').map((node) => {
+    const config = configOf(node);
+    let params = parseParams(config.params);
+    if (params.length === 0) {
+      const emitter = collectUpstream(graph, node.id).find(isFunctionNode);
+      if (emitter) params = templateOf(emitter).params;
+    }
+    return { node, name: name(toPascalCase(config.name || node.data.label, 'Event')), params };
+  });
+  const eventById = new Map(events.map((event) => [event.node.id, event]));
+
+  const modifiers = ofType('Modifier').map((node) => {
+    const config = configOf(node);
+    return {
+      node,
+      name: name(toCamelCase(config.name || 'onlyOwner', 'guard')),
+      condition: config.condition || 'msg.sender == owner',
+      message: config.message || 'Caller is not the owner',
+    };
+  });
+  const modifierById = new Map(modifiers.map((modifier) => [modifier.node.id, modifier]));
+  const orderIndex = new Map(ordered.map((node, index) => [node.id, index]));
+  const byOrder = (a, b) => orderIndex.get(a.id) - orderIndex.get(b.id);
+
+  // Registered blocks declare their state now and emit members after the functions
+  const pluginMembers = ordered
+    .filter((node) => !HANDLED_TYPES.includes(node.data.type) && hookOf(node))
+    .map((node) => ({
+      node,
+      lines: hookOf(node)(node, { config: configOf(node), name, addState }) || [],
+    }));
+
+  // Assemble the source
+  const lines = [
+    `// SPDX-License-Identifier: ${license}`,
+    `pragma solidity ${pragma};`,
+    '',
+    `// Generated by Smart Contract Builder from ${nodes.length} blocks`,
+  ];
+  if (unsupported.length > 0) {
+    lines.push('// Blocks without a Solidity mapping (not generated):');
+    unsupported.forEach((node) => lines.push(`//   - ${describeNode(node)}`));
+  }
+  lines.push(`contract ${contractName} {`);
+
+  const section = (body) => {
+    if (body.length === 0) return;
+    if (lines[lines.length - 1] !== `contract ${contractName} {`) lines.push('');
+    lines.push(...body);
+  };
+
+  section(structs.flatMap((struct) => [
+    `${INDENT}struct ${struct.name} {`,
+    ...struct.fields.map((field) => `${INDENT}${INDENT}${field.type} ${field.name};`),
+    `${INDENT}}`,
+  ]));
+
+  section(stateVars.map((state) =>
+    `${INDENT}${state.type} public ${state.name};${state.comment ? ` // ${state.comment}` : ''}`
+  ));
+
+  section(events.map((event) =>
+    `${INDENT}event ${event.name}(${event.params.map((param) => `${param.type} ${param.name}`).join(', ')});`
+  ));
+
+  section(modifiers.flatMap((modifier) => [
+    `${INDENT}modifier ${modifier.name}() {`,
+    `${INDENT}${INDENT}require(${modifier.condition}, "${escapeString(modifier.message)}");`,
+    `${INDENT}${INDENT}_;`,
+    `${INDENT}}`,
+  ]));
+
+  // Constructor
+  const hasConstructor = ofType('Constructor').length > 0 || needsOwner;
+  if (hasConstructor) {
+    const ctorArgs = constructorParams.map((param) => ({ ...param, name: `_${param.name}` }));
+    const body = [];
+    if (needsOwner && !constructorParams.some((param) => param.name === 'owner')) {
+      body.push('owner = msg.sender;');
+    }
+    constructorParams.forEach((param, index) => body.push(`${constructorState[index]} = _${param.name};`));
+    if (functionNodes.length > 0 && !nonFungible && constructorParams.some((param) => param.name === 'totalSupply')) {
+      body.push('balanceOf[msg.sender] = _totalSupply;');
+    }
+    section([
+      `${INDENT}constructor(${ctorArgs.map(formatArg).join(', ')}) {`,
+      ...body.map((line) => `${INDENT}${INDENT}${line}`),
+      `${INDENT}}`,
+    ]);
+  }
+
+  // Token functions with their guards and emitted events
+  functions.forEach(({ node, template, name: functionName }) => {
+    const upstream = collectUpstream(graph, node.id, isFunctionNode).sort(byOrder);
+    const downstream = collectDownstream(graph, node.id, isFunctionNode).sort(byOrder);
+    const paramNames = template.params.map((param) => param.name);
+
+    const onFailBranch = (guard) => isFailBranchOnly(branchesToward(graph, guard.id, [node.id], isFunctionNode));
+
+    const modifierNames = upstream
+      .filter((guard) => modifierById.has(guard.id) && !onFailBranch(guard))
+      .map((guard) => modifierById.get(guard.id).name);
+
+    const requires = upstream
+      .filter((guard) => guard.data.type === 'Require' || (modifierById.has(guard.id) && onFailBranch(guard)))
+      .map((guard) => {
+        const config = configOf(guard);
+        const condition = modifierById.get(guard.id)?.condition || config.condition ||
+          (paramNames.includes('amount') ? 'amount > 0' : 'msg.sender != address(0)');
+        const required = onFailBranch(guard) ? `!(${condition})` : condition;
+        return `require(${required}, "${escapeString(config.message || guard.data.label)}");`;
+      });
+
+    const emits = downstream
+      .filter((target) => eventById.has(target.id))
+      .map((target) => {
+        const event = eventById.get(target.id);
+        const args = event.params.map((param) =>
+          template.context[param.name] ??
+          (paramNames.includes(param.name) ? param.name : null) ??
+          (param.type === 'address' ? 'msg.sender' : ZERO_VALUES[param.type] ?? `${param.type}(0)`)
+        );
+        return `emit ${event.name}(${args.join(', ')});`;
+      });
+
+    const signature = [
+      `function ${functionName}(${template.params.map(formatArg).join(', ')})`,
+      'public',
+      ...modifierNames,
+      template.returns ? `returns (${template.returns})` : null,
+    ].filter(Boolean).join(' ');
+
+    section([
+      `${INDENT}// ${node.data.label}`,
+      `${INDENT}${signature} {`,
+      ...[
+        ...requires,
+        ...template.body,
+        ...emits,
+        ...(template.returns === 'bool' ? ['return true;'] : []),
+      ].map((line) => `${INDENT}${INDENT}${line}`),
+      `${INDENT}}`,
+    ]);
+  });
+
+  pluginMembers.forEach(({ node, lines: members }) => {
+    section([
+      `${INDENT}// ${node.data.label}`,
+      ...members.map((line) => (line ? `${INDENT}${line}` : line)),
+    ]);
+  });
+
+  lines.push('}', '');
+
+  return {
+    source: lines.join('\n'),
+    fileName: `${contractName}.sol`,
+    contractName,
+    unsupported,
+  };
+};
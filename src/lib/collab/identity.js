@@ -0,0 +1,26 @@
+// How this browser appears to collaborators: a display name and a cursor
+// color, remembered in localStorage.
+
+const STORAGE_KEY = 'collab-user';
+
+const COLORS = ['#a855f7', '#ec4899', '#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#06b6d4', '#84cc16'];
+
+const randomColor = () => COLORS[Math.floor(Math.random() * COLORS.length)];
+
+export const getCollabUser = () => {
+  if (typeof localStorage === 'undefined') return null;
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY));
+  } catch {
+    return null;
+  }
+};
+
+export const saveCollabUser = (name) => {
+  const user = { name, color: getCollabUser()?.color || randomColor() };
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(user));
+  return user;
+};
+
+export const initialsOf = (name) =>
+  String(name || '?').trim().split(/\s+/).slice(0, 2).map((word) => word[0]).join('').toUpperCase();
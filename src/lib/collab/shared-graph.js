@@ -0,0 +1,85 @@
+// The workflow as a Yjs document: two maps, node id -> node and edge id ->
+// edge, holding the root-level graph (open subflows folded back in). Values
+// are whole plain objects, so concurrent edits to the same block resolve to
+// the last writer while edits to different blocks always merge.
+//
+// Fields that only describe one user's view (selection, drag state, measured
+// size, simulation/lint status) never enter the document.
+
+const LOCAL_NODE_FIELDS = ['selected', 'dragging', 'positionAbsolute', 'width', 'height', 'resizing'];
+const LOCAL_EDGE_FIELDS = ['selected'];
+
+const omit = (object, fields) => {
+  const result = { ...object };
+  fields.forEach((field) => delete result[field]);
+  return result;
+};
+
+const toSharedEdge = (edge) => omit(edge, LOCAL_EDGE_FIELDS);
+
+// Groups carry their inner graph, which is cleaned the same way
+const toSharedNode = (node) => {
+  const { status, ...data } = node.data || {};
+  if (data.subflow) {
+    data.subflow = {
+      ...data.subflow,
+      nodes: data.subflow.nodes.map(toSharedNode),
+      edges: data.subflow.edges.map(toSharedEdge),
+    };
+  }
+  return omit({ ...node, data }, LOCAL_NODE_FIELDS);
+};
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+export const getSharedMaps = (doc) => ({ nodes: doc.getMap('nodes'), edges: doc.getMap('edges') });
+
+export const isSharedGraphEmpty = (doc) => getSharedMaps(doc).nodes.size === 0;
+
+// Write the local graph into the document, touching only what changed
+export const writeSharedGraph = (doc, { nodes, edges }, origin) => {
+  const maps = getSharedMaps(doc);
+  const sync = (map, items, toShared) => {
+    const ids = new Set(items.map((item) => item.id));
+    [...map.keys()].forEach((id) => {
+      if (!ids.has(id)) map.delete(id);
+    });
+    items.forEach((item) => {
+      const shared = toShared(item);
+      if (!sameValue(map.get(item.id), shared)) map.set(item.id, shared);
+    });
+  };
+  doc.transact(() => {
+    sync(maps.nodes, nodes, toSharedNode);
+    sync(maps.edges, edges, toSharedEdge);
+  }, origin);
+};
+
+export const readSharedGraph = (doc) => {
+  const maps = getSharedMaps(doc);
+  return { nodes: [...maps.nodes.values()], edges: [...maps.edges.values()] };
+};
+
+// Apply a graph read from the document on top of the local one: local order
+// and view-only fields are kept, blocks new to this user are appended idle
+export const mergeSharedGraph = (local, shared) => {
+  const merge = (localItems, sharedItems, keep, added = (item) => item) => {
+    const byId = new Map(sharedItems.map((item) => [item.id, item]));
+    const kept = localItems.filter((item) => byId.has(item.id)).map((item) => {
+      const next = byId.get(item.id);
+      byId.delete(item.id);
+      return keep(item, next);
+    });
+    return [...kept, ...[...byId.values()].map(added)];
+  };
+  return {
+    nodes: merge(local.nodes, shared.nodes, (node, next) => ({
+      ...next,
+      selected: node.selected,
+      width: node.width,
+      height: node.height,
+      data: { ...next.data, status: node.data?.status },
+    }), (node) => ({ ...node, data: { ...node.data, status: 'idle' } })),
+    edges: merge(local.edges, shared.edges, (edge, next) => ({ ...next, selected: edge.selected })),
+  };
+};
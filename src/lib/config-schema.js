@@ -0,0 +1,84 @@
+// Typed config schemas for whiteboard blocks.
+//
+// A schema is a list of fields: { key, label, type, options?, required?, default?, help? }
+// Supported types: address, uint, enum, string, stringList, boolean.
+// `string` fields with `multiline: true` are edited in a textarea.
+
+const ADDRESS_PATTERN = /^0x([0-9a-fA-F]{16}|[0-9a-fA-F]{40})$/; // Flow or EVM
+const UINT_PATTERN = /^\d+$/;
+
+export const FIELD_TYPES = ['address', 'uint', 'enum', 'string', 'stringList', 'boolean'];
+
+const EMPTY_VALUES = {
+  address: '',
+  uint: '',
+  enum: '',
+  string: '',
+  stringList: [],
+  boolean: false,
+};
+
+const isEmpty = (value) =>
+  value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+// Returns an error message, or null when the value is valid
+export const validateField = (field, value) => {
+  if (isEmpty(value)) {
+    return field.required ? `${field.label} is required` : null;
+  }
+
+  switch (field.type) {
+    case 'address':
+      return ADDRESS_PATTERN.test(value) ? null : 'Expected a 0x-prefixed Flow (16 hex) or EVM (40 hex) address';
+    case 'uint':
+      return UINT_PATTERN.test(String(value)) ? null : 'Expected a whole number';
+    case 'enum':
+      return field.options.includes(value) ? null : `Expected one of: ${field.options.join(', ')}`;
+    case 'stringList':
+      if (!Array.isArray(value)) return 'Expected a list';
+      return value.every((item) => typeof item === 'string' && item.trim())
+        ? null
+        : 'List entries cannot be empty';
+    case 'boolean':
+      return typeof value === 'boolean' ? null : 'Expected true or false';
+    case 'string':
+      if (typeof value !== 'string') return 'Expected text';
+      if (field.pattern && !new RegExp(field.pattern).test(value)) return field.patternMessage || 'Invalid format';
+      return null;
+    default:
+      return null;
+  }
+};
+
+// Map of field key -> error message for every invalid field
+export const validateConfig = (schema = [], config = {}) =>
+  schema.reduce((errors, field) => {
+    const error = validateField(field, config[field.key]);
+    return error ? { ...errors, [field.key]: error } : errors;
+  }, {});
+
+// Initial config for a freshly dropped block
+export const defaultConfig = (schema = []) =>
+  schema.reduce((config, field) => {
+    const value = field.default ?? EMPTY_VALUES[field.type];
+    return { ...config, [field.key]: Array.isArray(value) ? [...value] : value };
+  }, {});
+
+// Parse raw form input into the value stored in `data.config`
+export const parseFieldInput = (field, raw) => {
+  switch (field.type) {
+    case 'stringList':
+      return String(raw)
+        .split('\n')
+        .map((item) => item.trim())
+        .filter(Boolean);
+    case 'boolean':
+      return Boolean(raw);
+    case 'address':
+    case 'uint':
+      return String(raw).trim();
+    default:
+      return raw;
+  }
+};
@@ -0,0 +1,121 @@
+import { nodeTypes, blockCategories, findHandle } from './node-types';
+import { isGroupNode, resolvePort } from './subflows';
+
+// Which block categories each category may feed into. Blocks flow left to
+// right: deployment sets the contract up, everything else describes behaviour.
+const CATEGORY_TARGETS = {
+  deployment: ['deployment', 'token', 'defi', 'logic', 'storage', 'external'],
+  token: ['token', 'defi', 'logic', 'storage'],
+  defi: ['token', 'defi', 'logic', 'storage', 'external'],
+  logic: ['token', 'defi', 'logic', 'storage', 'external'],
+  storage: ['token', 'defi', 'logic', 'storage'],
+  external: ['token', 'defi', 'logic', 'storage', 'external'],
+};
+
+const CATEGORY_LABELS = {
+  deployment: 'Deployment',
+  token: 'Token',
+  defi: 'DeFi',
+  logic: 'Logic',
+  storage: 'Storage',
+  external: 'External',
+};
+
+// Per-type exceptions on top of the category matrix; registered blocks can
+// bring their own through `connections` in their definition
+const TYPE_RULES = {
+  Deploy: { acceptsFrom: [] },
+  Constructor: { acceptsFrom: ['Deploy'] },
+  Event: { feeds: ['token', 'defi', 'logic'] },
+};
+
+const categoryOf = (node) => nodeTypes[node?.data?.type]?.category;
+const rulesOf = (type) => TYPE_RULES[type] || nodeTypes[type]?.connections || {};
+const categoryLabel = (category) => CATEGORY_LABELS[category] || blockCategories[category]?.label || category;
+
+// A node's handle as { node, handle }; a group's handle stands for one of its
+// inner blocks, so that block and its handle are returned instead
+const resolveEndpoint = (nodes, id, handleId, direction) => {
+  const node = nodes.find((item) => item.id === id);
+  if (!isGroupNode(node)) return node ? { node, handle: handleId ?? null } : null;
+  return resolvePort(node, handleId, direction);
+};
+
+// Value type carried by a handle, or null for control handles
+export const valueTypeOf = (nodes, id, handleId, direction) => {
+  const endpoint = resolveEndpoint(nodes, id, handleId, direction);
+  return endpoint ? findHandle(endpoint.node.data?.type, direction, endpoint.handle)?.type || null : null;
+};
+
+// Returns { valid: true } or { valid: false, reason } for a prospective edge
+export const checkConnection = (connection, nodes, edges) => {
+  const { source, target, sourceHandle = null, targetHandle = null } = connection;
+
+  if (!source || !target) {
+    return { valid: false, reason: 'Connect a source handle to a target handle' };
+  }
+  if (source === target) {
+    return { valid: false, reason: 'A block cannot connect to itself' };
+  }
+
+  const duplicate = edges.some((edge) =>
+    edge.source === source &&
+    edge.target === target &&
+    (edge.sourceHandle ?? null) === sourceHandle &&
+    (edge.targetHandle ?? null) === targetHandle
+  );
+  if (duplicate) {
+    return { valid: false, reason: 'These blocks are already connected' };
+  }
+
+  const sourceEnd = resolveEndpoint(nodes, source, sourceHandle, 'out');
+  const targetEnd = resolveEndpoint(nodes, target, targetHandle, 'in');
+  const sourceNode = sourceEnd?.node;
+  const targetNode = targetEnd?.node;
+  const sourceType = sourceNode?.data?.type;
+  const targetType = targetNode?.data?.type;
+  const sourceCategory = categoryOf(sourceNode);
+  const targetCategory = categoryOf(targetNode);
+
+  // Unknown block types are left alone
+  if (!sourceCategory || !targetCategory) return { valid: true };
+
+  const acceptsFrom = rulesOf(targetType).acceptsFrom;
+  if (acceptsFrom && !acceptsFrom.includes(sourceType)) {
+    return {
+      valid: false,
+      reason: acceptsFrom.length === 0
+        ? `${targetType} is an entry point and cannot have inputs`
+        : `${targetType} only accepts input from ${acceptsFrom.join(', ')}`,
+    };
+  }
+
+  // Categories added by plugins are unrestricted unless the block says otherwise
+  const feeds = rulesOf(sourceType).feeds || CATEGORY_TARGETS[sourceCategory];
+  if (feeds && CATEGORY_TARGETS[targetCategory] && !feeds.includes(targetCategory)) {
+    return {
+      valid: false,
+      reason: `${sourceType} (${categoryLabel(sourceCategory)}) cannot feed ${categoryLabel(targetCategory)} blocks like ${targetType}`,
+    };
+  }
+
+  // Value inputs take one value of their own type; a value may also feed a
+  // control input, where it only orders execution
+  const valueIn = findHandle(targetType, 'in', targetEnd.handle)?.type;
+  if (valueIn) {
+    const valueOut = findHandle(sourceType, 'out', sourceEnd.handle)?.type;
+    const inputName = `"${targetEnd.handle}" on ${targetType}`;
+    if (!valueOut) {
+      return { valid: false, reason: `${inputName} takes a ${valueIn} value; connect a ${valueIn} output` };
+    }
+    if (valueOut !== valueIn) {
+      return { valid: false, reason: `${inputName} takes ${valueIn}, not ${valueOut}` };
+    }
+    const occupied = edges.some((edge) => edge.target === target && (edge.targetHandle ?? null) === targetHandle);
+    if (occupied) {
+      return { valid: false, reason: `${inputName} already has a value connected` };
+    }
+  }
+
+  return { valid: true };
+};
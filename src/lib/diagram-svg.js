@@ -0,0 +1,196 @@
+import { nodeTypes, minimapColor, HANDLE_TYPES, findHandle } from './node-types';
+import { annotationKind } from './annotations';
+import { styleEdge } from './edge-types';
+
+// Vector drawing of a canvas level for image export. Blocks, notes, frames and
+// edges are redrawn from the graph rather than copied from the DOM, so the
+// output does not depend on zoom or on what is scrolled into view. Nodes may
+// carry `handleBounds` (React Flow's measured handle boxes) so edges attach
+// where they do on screen; otherwise they meet the middle of each side.
+
+const PADDING = 40;
+const NODE_WIDTH = 220;
+const NODE_HEIGHT = 80;
+const BACKGROUND = '#030712';
+const FONT = 'ui-sans-serif, system-ui, -apple-system, Segoe UI, Helvetica, Arial, sans-serif';
+
+// Fill and text colours for notes, stroke for frames (see annotation-node.jsx)
+const NOTE_COLORS = {
+  yellow: ['#fef08a', '#422006'], pink: ['#fbcfe8', '#500724'], blue: ['#bae6fd', '#082f49'],
+  green: ['#a7f3d0', '#022c22'], purple: ['#ddd6fe', '#2e1065'], gray: ['#e5e7eb', '#111827'],
+};
+const FRAME_COLORS = {
+  yellow: '#facc15', pink: '#f472b6', blue: '#38bdf8', green: '#34d399', purple: '#a78bfa', gray: '#9ca3af',
+};
+
+const escapeXml = (value) => String(value ?? '').replace(/[<>&"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const sizeOf = (node) => ({
+  width: node.width ?? node.style?.width ?? NODE_WIDTH,
+  height: node.height ?? node.style?.height ?? NODE_HEIGHT,
+});
+
+const positionOf = (node) => node.positionAbsolute || node.position;
+
+// Break text into lines of at most `maxChars`, on spaces where possible
+const wrapText = (text, maxChars) => String(text || '').split('\n').flatMap((paragraph) => {
+  const lines = [];
+  let line = '';
+  paragraph.split(' ').forEach((word) => {
+    while (word.length > maxChars) {
+      if (line) lines.push(line);
+      lines.push(word.slice(0, maxChars));
+      word = word.slice(maxChars);
+      line = '';
+    }
+    if (!line) line = word;
+    else if (line.length + 1 + word.length <= maxChars) line = `${line} ${word}`;
+    else {
+      lines.push(line);
+      line = word;
+    }
+  });
+  lines.push(line);
+  return lines;
+});
+
+const text = (x, y, content, { size = 12, weight = 400, color = '#ffffff', anchor = 'start' } = {}) =>
+  `<text x="${round(x)}" y="${round(y)}" font-size="${size}" font-weight="${weight}" fill="${color}" ` +
+  `text-anchor="${anchor}">${escapeXml(content)}</text>`;
+
+// Centre of handle `handleId` on the given side ('source' or 'target')
+const handlePoint = (node, side, handleId) => {
+  const { x, y } = positionOf(node);
+  const bounds = node.handleBounds?.[side] || [];
+  const handle = bounds.find((item) => (item.id ?? null) === (handleId ?? null)) || bounds[0];
+  if (handle) return { x: x + handle.x + handle.width / 2, y: y + handle.y + handle.height / 2 };
+  const { width, height } = sizeOf(node);
+  return { x: side === 'source' ? x + width : x, y: y + height / 2 };
+};
+
+const drawFrame = (node) => {
+  const { x, y } = positionOf(node);
+  const { width, height } = sizeOf(node);
+  const color = FRAME_COLORS[node.data.config?.color] || FRAME_COLORS.purple;
+  return `<rect x="${round(x)}" y="${round(y)}" width="${round(width)}" height="${round(height)}" rx="16" ` +
+    `fill="${color}" fill-opacity="0.05" stroke="${color}" stroke-opacity="0.6" stroke-width="2" stroke-dasharray="8 6"/>` +
+    text(x + 16, y + 26, node.data.label || 'Untitled frame', { size: 14, weight: 700, color });
+};
+
+const drawNote = (node) => {
+  const { x, y } = positionOf(node);
+  const { width, height } = sizeOf(node);
+  const [fill, color] = NOTE_COLORS[node.data.config?.color] || NOTE_COLORS.yellow;
+  const maxLines = Math.max(0, Math.floor((height - 44) / 16));
+  const lines = wrapText(node.data.config?.text, Math.max(8, Math.floor((width - 24) / 6.5))).slice(0, maxLines);
+  return `<rect x="${round(x)}" y="${round(y)}" width="${round(width)}" height="${round(height)}" rx="8" fill="${fill}"/>` +
+    text(x + 12, y + 22, node.data.label || 'Note', { size: 12, weight: 700, color }) +
+    lines.map((line, index) => text(x + 12, y + 42 + index * 16, line, { size: 12, color })).join('');
+};
+
+const drawHandles = (node) => ['target', 'source'].flatMap((side) => (node.handleBounds?.[side] || []).map((handle) => {
+  const point = handlePoint(node, side, handle.id);
+  const port = findHandle(node.data.type, side === 'target' ? 'in' : 'out', handle.id);
+  return `<circle cx="${round(point.x)}" cy="${round(point.y)}" r="5" fill="${HANDLE_TYPES[port?.type] || '#4b5563'}" ` +
+    'stroke="#111827" stroke-width="2"/>';
+})).join('');
+
+const drawBlock = (node) => {
+  const { x, y } = positionOf(node);
+  const { width, height } = sizeOf(node);
+  const color = minimapColor(node.data.type);
+  const maxChars = Math.max(8, Math.floor((width - 72) / 7.5));
+  const label = String(node.data.label || node.id);
+  return `<rect x="${round(x)}" y="${round(y)}" width="${round(width)}" height="${round(height)}" rx="12" ` +
+    `fill="#111827" stroke="${color}" stroke-opacity="0.7" stroke-width="1.5"/>` +
+    `<rect x="${round(x + 16)}" y="${round(y + 16)}" width="32" height="32" rx="8" fill="${color}"/>` +
+    text(x + 60, y + 30, label.length > maxChars ? `${label.slice(0, maxChars - 1)}…` : label, { size: 14, weight: 700 }) +
+    text(x + 60, y + 46, nodeTypes[node.data.type] ? node.data.type : `${node.data.type} (unknown)`, { size: 11, color: '#9ca3af' }) +
+    drawHandles(node);
+};
+
+const drawEdge = (edge, byId, markers) => {
+  const source = byId.get(edge.source);
+  const target = byId.get(edge.target);
+  const styled = styleEdge(edge, source);
+  const color = styled.style.stroke;
+  markers.add(color);
+
+  const from = handlePoint(source, 'source', edge.sourceHandle);
+  const to = handlePoint(target, 'target', edge.targetHandle);
+  const bend = Math.max(40, Math.abs(to.x - from.x) / 2);
+  const path = `M ${round(from.x)} ${round(from.y)} C ${round(from.x + bend)} ${round(from.y)}, ` +
+    `${round(to.x - bend)} ${round(to.y)}, ${round(to.x)} ${round(to.y)}`;
+  const dash = styled.style.strokeDasharray ? ` stroke-dasharray="${styled.style.strokeDasharray}"` : '';
+  const line = `<path d="${path}" fill="none" stroke="${color}" stroke-width="2"${dash} marker-end="url(#arrow-${color.slice(1)})"/>`;
+  if (!styled.label) return line;
+
+  const middle = { x: (from.x + to.x) / 2, y: (from.y + to.y) / 2 };
+  const labelWidth = styled.label.length * 6.2 + 12;
+  return line +
+    `<rect x="${round(middle.x - labelWidth / 2)}" y="${round(middle.y - 10)}" width="${round(labelWidth)}" height="20" rx="6" ` +
+    `fill="#111827" stroke="${color}"/>` +
+    text(middle.x, middle.y + 4, styled.label, { size: 11, weight: 500, color: '#e5e7eb', anchor: 'middle' });
+};
+
+// Returns { svg, width, height } for `nodes` and the edges between them;
+// `transparent` leaves out the canvas background
+export const renderDiagramSvg = (nodes, edges, { transparent = false } = {}) => {
+  const boxes = nodes.map((node) => ({ ...positionOf(node), ...sizeOf(node) }));
+  const minX = nodes.length ? Math.min(...boxes.map((box) => box.x)) - PADDING : 0;
+  const minY = nodes.length ? Math.min(...boxes.map((box) => box.y)) - PADDING : 0;
+  const maxX = nodes.length ? Math.max(...boxes.map((box) => box.x + box.width)) + PADDING : PADDING * 2;
+  const maxY = nodes.length ? Math.max(...boxes.map((box) => box.y + box.height)) + PADDING : PADDING * 2;
+  const width = Math.ceil(maxX - minX);
+  const height = Math.ceil(maxY - minY);
+
+  const byId = new Map(nodes.map((node) => [node.id, node]));
+  const markers = new Set();
+
+  const frames = nodes.filter((node) => annotationKind(node) === 'frame').map(drawFrame);
+  const lines = edges
+    .filter((edge) => byId.has(edge.source) && byId.has(edge.target))
+    .map((edge) => drawEdge(edge, byId, markers));
+  const blocks = nodes.filter((node) => !annotationKind(node)).map(drawBlock);
+  const notes = nodes.filter((node) => annotationKind(node) === 'note').map(drawNote);
+
+  const defs = [...markers].map((color) =>
+    `<marker id="arrow-${color.slice(1)}" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse">` +
+    `<path d="M 0 0 L 10 5 L 0 10 z" fill="${color}"/></marker>`
+  ).join('');
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" ` +
+    `viewBox="${round(minX)} ${round(minY)} ${width} ${height}" font-family="${FONT}">` +
+    `<defs>${defs}</defs>` +
+    (transparent ? '' : `<rect x="${round(minX)}" y="${round(minY)}" width="${width}" height="${height}" fill="${BACKGROUND}"/>`) +
+    [...frames, ...lines, ...blocks, ...notes].join('') +
+    '</svg>';
+
+  return { svg, width, height };
+};
+
+// Draw an SVG from `renderDiagramSvg` onto a canvas `scale` times its size.
+// Browser only. `background` fills the canvas first (JPEG has no alpha).
+export const rasterizeSvg = async ({ svg, width, height }, { scale = 1, background = null } = {}) => {
+  const image = new Image();
+  image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+  await image.decode();
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(width * scale);
+  canvas.height = Math.round(height * scale);
+  const context = canvas.getContext('2d');
+  if (background) {
+    context.fillStyle = background;
+    context.fillRect(0, 0, canvas.width, canvas.height);
+  }
+  context.drawImage(image, 0, 0, canvas.width, canvas.height);
+  return canvas;
+};
+
+export const canvasToBlob = (canvas, type = 'image/png', quality) =>
+  new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('The image is too large to export'))), type, quality);
+  });
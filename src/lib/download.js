@@ -0,0 +1,12 @@
+// Trigger a browser download for generated content: text, or a Blob / bytes
+export const downloadFile = (fileName, content, mimeType = 'text/plain') => {
+  const binary = content instanceof Blob || content instanceof Uint8Array;
+  const href = binary
+    ? URL.createObjectURL(content instanceof Blob ? content : new Blob([content], { type: mimeType }))
+    : `data:${mimeType};charset=utf-8,` + encodeURIComponent(content);
+  const linkElement = document.createElement('a');
+  linkElement.setAttribute('href', href);
+  linkElement.setAttribute('download', fileName);
+  linkElement.click();
+  if (binary) setTimeout(() => URL.revokeObjectURL(href), 0);
+};
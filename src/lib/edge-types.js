@@ -0,0 +1,61 @@
+// Edge semantics. Every edge carries `data: { kind, label?, condition? }`:
+//
+//   kind       'control' (execution order, the default) or 'data' (a value
+//              passed from the source block to the target)
+//   label      free text shown on the edge
+//   condition  expression (see expression.js) that must hold for the edge to
+//              be followed during simulation
+//
+// Guard blocks (Require, Modifier) have separate `pass` and `fail` source
+// handles; the handle an edge leaves from is its branch. Edges saved before
+// the handles existed have no source handle and count as `pass`.
+
+export const EDGE_KINDS = {
+  control: { label: 'Control', description: 'Execution order', color: '#64748b', animated: true },
+  data: { label: 'Data', description: 'Value passed to the next block', color: '#38bdf8', dash: '6 4', animated: false },
+};
+
+export const DEFAULT_EDGE_KIND = 'control';
+
+export const BRANCH_HANDLES = [
+  { id: 'pass', label: 'Pass' },
+  { id: 'fail', label: 'Fail' },
+];
+
+const BRANCH_COLORS = { pass: '#22c55e', fail: '#ef4444' };
+
+const GUARD_TYPES = ['Require', 'Modifier'];
+
+export const edgeKind = (edge) => (EDGE_KINDS[edge.data?.kind] ? edge.data.kind : DEFAULT_EDGE_KIND);
+
+// 'pass' or 'fail' for edges leaving a guard, null otherwise
+export const edgeBranch = (edge, sourceNode) => {
+  if (!GUARD_TYPES.includes(sourceNode?.data?.type)) return null;
+  return edge.sourceHandle === 'fail' ? 'fail' : 'pass';
+};
+
+// Text shown on the edge: its label, its condition, and the branch it takes
+export const edgeCaption = (edge, branch = null) => [
+  edge.data?.label,
+  edge.data?.condition && `if ${edge.data.condition}`,
+  branch === 'fail' && !edge.data?.label ? 'fail' : null,
+].filter(Boolean).join(' · ');
+
+// React Flow display props for an edge, derived from its semantics
+export const styleEdge = (edge, sourceNode) => {
+  const kind = EDGE_KINDS[edgeKind(edge)];
+  const branch = edgeBranch(edge, sourceNode);
+  const color = (branch && BRANCH_COLORS[branch]) || kind.color;
+  const caption = edgeCaption(edge, branch);
+  return {
+    ...edge,
+    animated: kind.animated,
+    style: { ...edge.style, stroke: color, strokeWidth: 2, strokeDasharray: kind.dash },
+    markerEnd: { type: 'arrowclosed', width: 20, height: 20, color },
+    label: caption || undefined,
+    labelStyle: { fill: '#e5e7eb', fontSize: 11, fontWeight: 500 },
+    labelBgStyle: { fill: '#111827', stroke: color, strokeWidth: 1 },
+    labelBgPadding: [6, 3],
+    labelBgBorderRadius: 6,
+  };
+};
@@ -0,0 +1,179 @@
+// Evaluator for the Solidity-flavoured conditions written on Require and
+// Modifier blocks, e.g. `amount > 0`, `msg.sender == owner`,
+// `balanceOf[msg.sender] >= amount && to != address(0)`.
+//
+// Integers are BigInt, addresses are lowercase strings. Names resolve through
+// `scope`; indexing a missing mapping entry yields 0 like Solidity does.
+
+const TOKEN_PATTERN = /\s*(0x[0-9a-fA-F]+|\d+(?:\.\d+)?|"[^"]*"|'[^']*'|[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*|&&|\|\||==|!=|>=|<=|[()[\]!<>+\-*/%])/y;
+
+const tokenize = (source) => {
+  const tokens = [];
+  let position = 0;
+  while (position < source.length) {
+    if (/^\s*$/.test(source.slice(position))) break;
+    TOKEN_PATTERN.lastIndex = position;
+    const match = TOKEN_PATTERN.exec(source);
+    if (!match) throw new Error(`Unexpected "${source.slice(position).trim()[0]}" in condition`);
+    tokens.push(match[1]);
+    position = TOKEN_PATTERN.lastIndex;
+  }
+  return tokens;
+};
+
+const ZERO_ADDRESS = `0x${'0'.repeat(40)}`;
+
+const normalize = (value) => (typeof value === 'string' ? value.toLowerCase() : value);
+
+const index = (container, key) => {
+  if (!container || typeof container !== 'object') return 0n;
+  const value = container[String(normalize(key))];
+  return value === undefined ? 0n : value;
+};
+
+const toNumber = (value, operator) => {
+  if (typeof value === 'bigint') return value;
+  if (typeof value === 'boolean') throw new Error(`Cannot use a boolean with "${operator}"`);
+  if (typeof value === 'string' && /^0x[0-9a-f]+$/i.test(value)) return BigInt(value);
+  throw new Error(`Cannot use "${value}" with "${operator}"`);
+};
+
+const equals = (left, right) => {
+  if (typeof left === 'bigint' || typeof right === 'bigint') {
+    try {
+      return toNumber(left, '==') === toNumber(right, '==');
+    } catch {
+      return false;
+    }
+  }
+  return normalize(left) === normalize(right);
+};
+
+export const evaluateExpression = (source, scope = {}) => {
+  const tokens = tokenize(String(source));
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const expect = (token) => {
+    if (next() !== token) throw new Error(`Expected "${token}" in condition`);
+  };
+
+  const resolve = (name) => {
+    if (name === 'true') return true;
+    if (name === 'false') return false;
+    if (!(name in scope)) throw new Error(`Unknown name "${name}"`);
+    return normalize(scope[name]);
+  };
+
+  const primary = () => {
+    const token = next();
+    if (token === undefined) throw new Error('Condition ends unexpectedly');
+    if (token === '(') {
+      const value = expression();
+      expect(')');
+      return value;
+    }
+    if (/^0x/i.test(token)) return token.toLowerCase();
+    if (/^\d/.test(token)) return BigInt(token.split('.')[0]);
+    if (/^["']/.test(token)) return token.slice(1, -1);
+    if (/^[A-Za-z_$]/.test(token)) {
+      // Casts like address(0) or uint256(x)
+      if (peek() === '(') {
+        next();
+        const argument = expression();
+        expect(')');
+        if (token === 'address') return argument === 0n ? ZERO_ADDRESS : normalize(argument);
+        if (/^u?int\d*$/.test(token)) return toNumber(argument, token);
+        throw new Error(`Unsupported call "${token}()"`);
+      }
+      return resolve(token);
+    }
+    throw new Error(`Unexpected "${token}" in condition`);
+  };
+
+  const postfix = () => {
+    let value = primary();
+    while (peek() === '[') {
+      next();
+      const key = expression();
+      expect(']');
+      value = index(value, key);
+    }
+    return value;
+  };
+
+  const unary = () => {
+    if (peek() === '!') {
+      next();
+      return !unary();
+    }
+    if (peek() === '-') {
+      next();
+      return -toNumber(unary(), '-');
+    }
+    return postfix();
+  };
+
+  const multiplicative = () => {
+    let value = unary();
+    while (['*', '/', '%'].includes(peek())) {
+      const operator = next();
+      const right = toNumber(unary(), operator);
+      const left = toNumber(value, operator);
+      if (operator !== '*' && right === 0n) throw new Error('Division by zero');
+      value = operator === '*' ? left * right : operator === '/' ? left / right : left % right;
+    }
+    return value;
+  };
+
+  const additive = () => {
+    let value = multiplicative();
+    while (['+', '-'].includes(peek())) {
+      const operator = next();
+      const right = toNumber(multiplicative(), operator);
+      value = operator === '+' ? toNumber(value, operator) + right : toNumber(value, operator) - right;
+    }
+    return value;
+  };
+
+  const comparison = () => {
+    const left = additive();
+    const operator = peek();
+    if (!['==', '!=', '>', '<', '>=', '<='].includes(operator)) return left;
+    next();
+    const right = additive();
+    switch (operator) {
+      case '==': return equals(left, right);
+      case '!=': return !equals(left, right);
+      case '>': return toNumber(left, operator) > toNumber(right, operator);
+      case '<': return toNumber(left, operator) < toNumber(right, operator);
+      case '>=': return toNumber(left, operator) >= toNumber(right, operator);
+      default: return toNumber(left, operator) <= toNumber(right, operator);
+    }
+  };
+
+  const and = () => {
+    let value = comparison();
+    while (peek() === '&&') {
+      next();
+      const right = comparison();
+      value = Boolean(value) && Boolean(right);
+    }
+    return value;
+  };
+
+  const expression = () => {
+    let value = and();
+    while (peek() === '||') {
+      next();
+      const right = and();
+      value = Boolean(value) || Boolean(right);
+    }
+    return value;
+  };
+
+  const result = expression();
+  if (position < tokens.length) throw new Error(`Unexpected "${tokens[position]}" in condition`);
+  return result;
+};
@@ -0,0 +1,158 @@
+import { buildGraph, collectUpstream, collectDownstream } from './graph';
+import { parseParams } from './codegen/common';
+import { nodeTypes } from './node-types';
+
+// Rough gas cost model for a workflow, in the shape of the generated Solidity.
+//
+// Each block gets the gas its own work costs (storage writes, logs, external
+// calls). A generated function costs the transaction base and calldata plus
+// its token operation and every non-function block connected to it: guards
+// upstream, events and storage writes downstream. Deployment costs the
+// creation transaction, the constructor's writes and the code deposit for an
+// estimated bytecode size. Figures are worst case (cold slots, fresh writes).
+
+const GAS = {
+  txBase: 21000,
+  create: 32000,
+  calldataByte: 16,
+  codeDepositByte: 200,
+  sload: 2100,
+  sstoreNew: 22100,
+  sstoreUpdate: 5000,
+  logBase: 375,
+  logTopic: 375,
+  logDataByte: 8,
+  coldCall: 2600,
+  compare: 50,
+};
+
+// Approximate bytecode sizes used for the code deposit
+const CODE_SIZE = {
+  base: 450,
+  function: 320,
+  guard: 90,
+  event: 70,
+  stateVar: 40,
+};
+
+const FUNCTION_TYPES = ['MintToken', 'BurnToken', 'Transfer', 'Approve'];
+const GUARD_TYPES = ['Require', 'Modifier'];
+const DEFAULT_FUNCTION_NAMES = { MintToken: 'mint', BurnToken: 'burn', Transfer: 'transfer', Approve: 'approve' };
+const FUNCTION_PARAM_COUNT = { MintToken: 2, BurnToken: 1, Transfer: 2, Approve: 2 };
+
+const isFunctionNode = (node) => FUNCTION_TYPES.includes(node.data.type);
+
+const eventCost = (config) => {
+  const params = parseParams(config.params);
+  const indexed = Math.min(3, params.filter((param) => param.type === 'address').length);
+  const dataWords = params.length - indexed;
+  return GAS.logBase + GAS.logTopic * (1 + indexed) + GAS.logDataByte * 32 * dataWords;
+};
+
+// Gas for a single block's own work
+export const estimateNodeGas = (node) => {
+  const config = node.data.config || {};
+  switch (node.data.type) {
+    case 'Constructor':
+      return parseParams(config.params).length * GAS.sstoreNew;
+    case 'MintToken':
+      return 2 * GAS.sload + GAS.sstoreNew + GAS.sstoreUpdate;
+    case 'BurnToken':
+      return 2 * GAS.sload + 2 * GAS.sstoreUpdate;
+    case 'Transfer':
+      return 2 * GAS.sload + GAS.sstoreUpdate + GAS.sstoreNew;
+    case 'Approve':
+      return GAS.sstoreNew;
+    case 'Require':
+      return GAS.sload + GAS.compare;
+    case 'Modifier':
+      return GAS.sload + GAS.compare;
+    case 'Event':
+      return eventCost(config);
+    case 'Mapping':
+      return GAS.sload + GAS.sstoreNew;
+    case 'Array':
+      // push: length update plus the new element slot
+      return GAS.sload + GAS.sstoreUpdate + GAS.sstoreNew;
+    case 'Struct': {
+      if (String(config.storeAs || '').trim().toLowerCase() === 'none') return 0;
+      return Math.max(1, (config.fields || []).length) * GAS.sstoreNew;
+    }
+    case 'Oracle':
+      // latestRoundData() on a Chainlink-style aggregator
+      return GAS.coldCall + 2 * GAS.sload + 4000;
+    case 'Interface':
+      return GAS.coldCall + Math.max(1, (config.functions || []).length) * 2500;
+    case 'Payable':
+      return GAS.compare;
+    case 'Swap':
+      return 110000;
+    case 'AddLiquidity':
+      return 160000;
+    case 'Stake':
+      return GAS.coldCall + 3 * GAS.sstoreNew + 2 * GAS.sload;
+    case 'Withdraw':
+      return GAS.coldCall + 2 * GAS.sstoreUpdate + 2 * GAS.sload + (config.claimRewards ? GAS.sstoreUpdate : 0);
+    default:
+      return nodeTypes[node.data.type]?.gas?.(node) ?? 0;
+  }
+};
+
+const calldataGas = (paramCount) => (4 + 32 * paramCount) * GAS.calldataByte;
+
+// Returns { perNode: { id: gas }, functions: [...], deployment, total }
+export const estimateWorkflowGas = (nodes, edges) => {
+  const graph = buildGraph(nodes, edges);
+  const perNode = Object.fromEntries(nodes.map((node) => [node.id, estimateNodeGas(node)]));
+  const ofType = (type) => nodes.filter((node) => node.data.type === type);
+  const notSetup = (node) => !['Deploy', 'Constructor'].includes(node.data.type);
+
+  const functions = nodes.filter(isFunctionNode).map((node) => {
+    const upstream = collectUpstream(graph, node.id, isFunctionNode).filter(notSetup);
+    const downstream = collectDownstream(graph, node.id, isFunctionNode).filter(notSetup);
+    const parts = [
+      { label: 'Transaction', gas: GAS.txBase + calldataGas(FUNCTION_PARAM_COUNT[node.data.type]) },
+      { label: node.data.label || node.data.type, gas: perNode[node.id], nodeId: node.id },
+      ...[...upstream, ...downstream].map((other) => ({ label: other.data.label || other.data.type, gas: perNode[other.id], nodeId: other.id })),
+    ];
+    return {
+      nodeId: node.id,
+      name: node.data.config?.functionName || DEFAULT_FUNCTION_NAMES[node.data.type],
+      gas: parts.reduce((sum, part) => sum + part.gas, 0),
+      parts,
+    };
+  });
+
+  const guards = GUARD_TYPES.flatMap(ofType);
+  const stateVars = ['Mapping', 'Array', 'Struct'].flatMap(ofType).length;
+  const codeSize = CODE_SIZE.base +
+    functions.length * CODE_SIZE.function +
+    guards.length * CODE_SIZE.guard +
+    ofType('Event').length * CODE_SIZE.event +
+    stateVars * CODE_SIZE.stateVar;
+  const constructorGas = ofType('Constructor').reduce((sum, node) => sum + perNode[node.id], 0) +
+    (ofType('Modifier').length > 0 ? GAS.sstoreNew : 0); // owner = msg.sender
+  const deployment = {
+    codeSize,
+    gas: GAS.txBase + GAS.create + constructorGas + codeSize * (GAS.codeDepositByte + GAS.calldataByte),
+  };
+
+  ofType('Deploy').forEach((node) => {
+    perNode[node.id] = deployment.gas;
+  });
+
+  return { perNode, functions, deployment };
+};
+
+// Deploy blocks whose gasLimit is set below the deployment estimate
+export const findLowGasLimits = (nodes, estimate) =>
+  nodes
+    .filter((node) => node.data.type === 'Deploy' && node.data.config?.gasLimit)
+    .filter((node) => Number(node.data.config.gasLimit) < estimate.deployment.gas)
+    .map((node) => ({ nodeId: node.id, gasLimit: Number(node.data.config.gasLimit), required: estimate.deployment.gas }));
+
+export const formatGas = (gas) => {
+  if (gas >= 1e6) return `${(gas / 1e6).toFixed(2)}M`;
+  if (gas >= 1e3) return `${(gas / 1e3).toFixed(1)}k`;
+  return String(gas);
+};
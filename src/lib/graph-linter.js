@@ -0,0 +1,107 @@
+import { buildGraph, collectUpstream, collectDownstream } from './graph';
+import { nodeTypes } from './node-types';
+import { estimateWorkflowGas, findLowGasLimits } from './gas-estimator';
+
+// Static analysis over a workflow graph. Each finding is
+// { id, code, severity, message, nodeIds } and points at the nodes to highlight.
+
+const GUARD_TYPES = ['Require', 'Modifier'];
+
+// Strongly connected components (Tarjan); any component with more than one
+// node, or a node with an edge to itself, is a cycle.
+const findCycles = (nodes, graph) => {
+  let index = 0;
+  const indices = new Map();
+  const lowlinks = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const cycles = [];
+
+  const visit = (id) => {
+    indices.set(id, index);
+    lowlinks.set(id, index);
+    index += 1;
+    stack.push(id);
+    onStack.add(id);
+
+    graph.outgoing.get(id).forEach((next) => {
+      if (!indices.has(next)) {
+        visit(next);
+        lowlinks.set(id, Math.min(lowlinks.get(id), lowlinks.get(next)));
+      } else if (onStack.has(next)) {
+        lowlinks.set(id, Math.min(lowlinks.get(id), indices.get(next)));
+      }
+    });
+
+    if (lowlinks.get(id) === indices.get(id)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== id);
+
+      if (component.length > 1 || graph.outgoing.get(id).includes(id)) {
+        cycles.push(component.reverse());
+      }
+    }
+  };
+
+  nodes.forEach((node) => {
+    if (!indices.has(node.id)) visit(node.id);
+  });
+
+  return cycles;
+};
+
+export const lintWorkflow = (nodes, edges) => {
+  const graph = buildGraph(nodes, edges);
+  const diagnostics = [];
+  const ofType = (type) => nodes.filter((node) => node.data.type === type);
+  const labelOf = (id) => graph.byId.get(id)?.data.label || id;
+  const report = (code, message, nodeIds, severity = 'error') => {
+    diagnostics.push({ id: `${code}:${nodeIds.join(',')}`, code, severity, message, nodeIds });
+  };
+
+  findCycles(nodes, graph).forEach((cycle) => {
+    report('cycle', `Cycle: ${cycle.map(labelOf).join(' → ')} → ${labelOf(cycle[0])}`, cycle);
+  });
+
+  if (nodes.length > 1) {
+    nodes
+      .filter((node) => graph.incoming.get(node.id).length === 0 && graph.outgoing.get(node.id).length === 0)
+      .forEach((node) => report('orphan', `"${node.data.label}" is not connected to anything`, [node.id], 'warning'));
+  }
+
+  const deploys = ofType('Deploy');
+  if (deploys.length > 1) {
+    report('multiple-deploy', `${deploys.length} Deploy blocks; a contract has a single entry point`, deploys.map((node) => node.id));
+  }
+
+  const reachable = new Set(deploys.flatMap((deploy) =>
+    [deploy.id, ...collectDownstream(graph, deploy.id).map((node) => node.id)]
+  ));
+  ofType('Constructor')
+    .filter((node) => !reachable.has(node.id))
+    .forEach((node) => report('unreachable-constructor', `Constructor "${node.data.label}" is not reachable from a Deploy block`, [node.id]));
+
+  nodes
+    .filter((node) => nodeTypes[node.data.type]?.category === 'token')
+    .filter((node) => !collectUpstream(graph, node.id).some((upstream) => GUARD_TYPES.includes(upstream.data.type)))
+    .forEach((node) => report('unguarded-token-op', `${node.data.type} "${node.data.label}" has no upstream Require or Modifier guard`, [node.id], 'warning'));
+
+  findLowGasLimits(nodes, estimateWorkflowGas(nodes, edges)).forEach(({ nodeId, gasLimit, required }) =>
+    report('gas-limit-too-low', `"${labelOf(nodeId)}" gas limit ${gasLimit} is below the estimated ${required}`, [nodeId], 'warning'));
+
+  return diagnostics;
+};
+
+// Node statuses after a lint run: every flagged node is an error, the rest are idle
+export const applyDiagnostics = (nodes, diagnostics) => {
+  const flagged = new Set(diagnostics.flatMap((diagnostic) => diagnostic.nodeIds));
+  return nodes.map((node) => {
+    const status = flagged.has(node.id) ? 'error' : 'idle';
+    return node.data.status === status ? node : { ...node, data: { ...node.data, status } };
+  });
+};
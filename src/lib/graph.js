@@ -0,0 +1,121 @@
+// Graph helpers shared by code generation and analysis passes.
+// They operate on plain React Flow `nodes`/`edges` arrays and never mutate them.
+
+// Build lookup tables for a workflow graph
+export const buildGraph = (nodes, edges) => {
+  const byId = new Map(nodes.map((node) => [node.id, node]));
+  const incoming = new Map(nodes.map((node) => [node.id, []]));
+  const outgoing = new Map(nodes.map((node) => [node.id, []]));
+  const outgoingEdges = new Map(nodes.map((node) => [node.id, []]));
+
+  edges.forEach((edge) => {
+    if (!byId.has(edge.source) || !byId.has(edge.target)) return;
+    outgoing.get(edge.source).push(edge.target);
+    incoming.get(edge.target).push(edge.source);
+    outgoingEdges.get(edge.source).push(edge);
+  });
+
+  return { byId, incoming, outgoing, outgoingEdges };
+};
+
+// Canvas order: top-to-bottom, then left-to-right
+const byPosition = (a, b) =>
+  (a.position?.y ?? 0) - (b.position?.y ?? 0) ||
+  (a.position?.x ?? 0) - (b.position?.x ?? 0);
+
+// Topological order (Kahn). Ties are broken by canvas position so the output
+// is stable; nodes caught in a cycle are appended in canvas order.
+export const topologicalSort = (nodes, edges) => {
+  const { byId, incoming, outgoing } = buildGraph(nodes, edges);
+  const indegree = new Map(nodes.map((node) => [node.id, incoming.get(node.id).length]));
+  const ready = nodes.filter((node) => indegree.get(node.id) === 0).sort(byPosition);
+  const ordered = [];
+
+  while (ready.length > 0) {
+    const node = ready.shift();
+    ordered.push(node);
+    outgoing.get(node.id).forEach((targetId) => {
+      indegree.set(targetId, indegree.get(targetId) - 1);
+      if (indegree.get(targetId) === 0) {
+        ready.push(byId.get(targetId));
+        ready.sort(byPosition);
+      }
+    });
+  }
+
+  if (ordered.length < nodes.length) {
+    const seen = new Set(ordered.map((node) => node.id));
+    ordered.push(...nodes.filter((node) => !seen.has(node.id)).sort(byPosition));
+  }
+
+  return ordered;
+};
+
+// Walk upstream from `startId`, collecting ancestors. The walk does not pass
+// through nodes for which `stop(node)` returns true (they are not collected).
+export const collectUpstream = (graph, startId, stop = () => false) => {
+  const found = [];
+  const visited = new Set([startId]);
+  const queue = [...graph.incoming.get(startId) || []];
+
+  while (queue.length > 0) {
+    const id = queue.shift();
+    if (visited.has(id)) continue;
+    visited.add(id);
+    const node = graph.byId.get(id);
+    if (!node || stop(node)) continue;
+    found.push(node);
+    queue.push(...graph.incoming.get(id));
+  }
+
+  return found;
+};
+
+// Downstream counterpart of `collectUpstream`
+export const collectDownstream = (graph, startId, stop = () => false) => {
+  const found = [];
+  const visited = new Set([startId]);
+  const queue = [...graph.outgoing.get(startId) || []];
+
+  while (queue.length > 0) {
+    const id = queue.shift();
+    if (visited.has(id)) continue;
+    visited.add(id);
+    const node = graph.byId.get(id);
+    if (!node || stop(node)) continue;
+    found.push(node);
+    queue.push(...graph.outgoing.get(id));
+  }
+
+  return found;
+};
+
+// The branches ('pass' / 'fail') of guard `guardId` that lead to any of
+// `targetIds`, walking downstream without passing through `stop` nodes (a
+// target may itself be a stop node). Edges without a source handle count as
+// 'pass'.
+export const branchesToward = (graph, guardId, targetIds, stop = () => false) => {
+  const targets = new Set(targetIds);
+  const branches = new Set();
+  const reaches = (startId) => {
+    const visited = new Set();
+    const queue = [startId];
+    while (queue.length > 0) {
+      const id = queue.shift();
+      if (targets.has(id)) return true;
+      if (visited.has(id)) continue;
+      visited.add(id);
+      const node = graph.byId.get(id);
+      if (!node || stop(node)) continue;
+      queue.push(...graph.outgoing.get(id));
+    }
+    return false;
+  };
+  (graph.outgoingEdges.get(guardId) || []).forEach((edge) => {
+    if (reaches(edge.target)) branches.add(edge.sourceHandle === 'fail' ? 'fail' : 'pass');
+  });
+  return branches;
+};
+
+// Targets reached only through the fail branch run when the guard's condition does not hold
+export const isFailBranchOnly = (branches) => branches.has('fail') && !branches.has('pass');
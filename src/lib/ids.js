@@ -0,0 +1,80 @@
+// ID service for nodes and edges.
+//
+// Node IDs are `node-<n>`. The counter is reseeded from every graph that gets
+// loaded, so new blocks never reuse an ID that is already on the canvas.
+// Edge IDs encode both endpoints and handles, so parallel connections between
+// different handles of the same pair of nodes stay distinct.
+
+const NODE_ID_PATTERN = /^node-(\d+)$/;
+
+let nextNodeNumber = 1;
+
+// Highest `node-<n>` number in `nodes`, including the nested graphs of groups
+const highestNodeNumber = (nodes) => nodes.reduce((max, node) => {
+  const match = NODE_ID_PATTERN.exec(node.id);
+  const own = match ? Math.max(max, Number(match[1])) : max;
+  return node.data?.subflow ? Math.max(own, highestNodeNumber(node.data.subflow.nodes)) : own;
+}, 0);
+
+// Make sure future IDs are above every `node-<n>` in `nodes`
+export const reseedNodeIds = (nodes) => {
+  nextNodeNumber = Math.max(nextNodeNumber, highestNodeNumber(nodes) + 1);
+};
+
+// Fresh node ID; `taken` (a Set) guards against IDs outside the `node-<n>` scheme
+export const createNodeId = (taken = null) => {
+  let id;
+  do {
+    id = `node-${nextNodeNumber++}`;
+  } while (taken?.has(id));
+  return id;
+};
+
+export const createEdgeId = ({ source, sourceHandle, target, targetHandle }) =>
+  `edge-${source}-${sourceHandle || 'out'}-${target}-${targetHandle || 'in'}`;
+
+// Suffix repeated edge IDs so every edge in the list is unique
+export const ensureUniqueEdgeIds = (edges) => {
+  const seen = new Set();
+  return edges.map((edge) => {
+    let id = edge.id || createEdgeId(edge);
+    let suffix = 2;
+    while (seen.has(id)) id = `${edge.id || createEdgeId(edge)}-${suffix++}`;
+    seen.add(id);
+    return id === edge.id ? edge : { ...edge, id };
+  });
+};
+
+// Give `nodes` fresh IDs (avoiding `takenIds`) and rewire `edges` to match.
+// Edges whose endpoints are not both in `nodes` are dropped.
+export const remapGraph = (nodes, edges, takenIds = []) => {
+  const taken = new Set(takenIds);
+  const idMap = new Map();
+  nodes.forEach((node) => {
+    const id = createNodeId(taken);
+    taken.add(id);
+    idMap.set(node.id, id);
+  });
+
+  const remappedNodes = nodes.map((node) => ({
+    ...node,
+    id: idMap.get(node.id),
+    ...(node.parentNode && idMap.has(node.parentNode) ? { parentNode: idMap.get(node.parentNode) } : {}),
+  }));
+  const remappedEdges = ensureUniqueEdgeIds(
+    edges
+      .filter((edge) => idMap.has(edge.source) && idMap.has(edge.target))
+      .map((edge) => {
+        const rewired = { ...edge, source: idMap.get(edge.source), target: idMap.get(edge.target) };
+        return { ...rewired, id: createEdgeId(rewired) };
+      })
+  );
+
+  return { nodes: remappedNodes, edges: remappedEdges, idMap };
+};
+
+// Prepare a loaded or imported graph: reseed the counter and repair edge IDs
+export const adoptGraph = (nodes, edges) => {
+  reseedNodeIds(nodes);
+  return { nodes, edges: ensureUniqueEdgeIds(edges) };
+};
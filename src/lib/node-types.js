@@ -0,0 +1,397 @@
+import {
+  Database, Cloud, Code, Filter, Zap, Grid, Lock, Unlock, Layers, Plus, Minus,
+  GitBranch, Server, Box, Boxes, Activity, Bell, Shield, DollarSign, Check, StickyNote, Frame,
+} from 'lucide-react';
+import { BRANCH_HANDLES } from './edge-types';
+
+// Value types shared by Constructor params, Mapping keys/values, etc.
+const VALUE_TYPES = ['address', 'uint256', 'uint128', 'uint64', 'uint8', 'int256', 'bool', 'string', 'bytes32'];
+
+// Value types a handle can carry, with the colour its dot is drawn in.
+// Handles without a type carry control flow only.
+export const HANDLE_TYPES = {
+  address: '#f59e0b',
+  uint256: '#10b981',
+  bool: '#f43f5e',
+  bytes: '#a855f7',
+};
+
+const CONTROL = { id: null };
+
+// Background colours for notes and frames
+export const ANNOTATION_COLORS = ['yellow', 'pink', 'blue', 'green', 'purple', 'gray'];
+
+const NETWORKS = ['ethereum', 'sepolia', 'polygon', 'arbitrum', 'base', 'flow', 'flow-testnet', 'localhost'];
+
+// Palette categories: `label` titles the filter chip, `short` tags each block
+export const blockCategories = {
+  deployment: { label: 'Deployment', short: 'Deploy' },
+  token: { label: 'Token Ops', short: 'Token' },
+  defi: { label: 'DeFi', short: 'DeFi' },
+  logic: { label: 'Logic', short: 'Logic' },
+  storage: { label: 'Storage', short: 'Storage' },
+  external: { label: 'External', short: 'External' },
+  annotation: { label: 'Annotations', short: 'Note' },
+  group: { label: 'Groups', short: 'Group', palette: false },
+};
+
+// Web3 Smart Contract node types. This object is the block registry: add to
+// it with `registerBlockType` below rather than editing it in place.
+export const nodeTypes = {
+  // Contract Deployment
+  Deploy: {
+    icon: Zap, color: 'from-violet-500 to-purple-600', glow: 'violet', category: 'deployment',
+    description: 'Name, network and compiler settings for the contract',
+    keywords: ['contract', 'network', 'chain', 'pragma', 'compiler', 'gas limit', 'license', 'launch'],
+    schema: [
+      { key: 'contractName', label: 'Contract name', type: 'string', default: 'MyContract', required: true, pattern: '^[A-Za-z][A-Za-z0-9_]*$', patternMessage: 'Letters, digits and underscores only' },
+      { key: 'network', label: 'Network', type: 'enum', options: NETWORKS, default: 'ethereum', required: true },
+      { key: 'gasLimit', label: 'Gas limit', type: 'uint', default: '3000000' },
+      { key: 'compilerVersion', label: 'Solidity pragma', type: 'string', default: '^0.8.20' },
+      { key: 'license', label: 'SPDX license', type: 'string', default: 'MIT' },
+    ],
+  },
+  Constructor: {
+    icon: Box, color: 'from-blue-500 to-cyan-600', glow: 'blue', category: 'deployment',
+    description: 'Arguments set once when the contract is deployed',
+    keywords: ['init', 'initialize', 'setup', 'parameters', 'owner', 'initial supply'],
+    schema: [
+      { key: 'params', label: 'Parameters', type: 'stringList', help: 'One per line, e.g. "address owner" or just "owner"' },
+    ],
+  },
+
+  // Token Operations
+  MintToken: {
+    icon: Plus, color: 'from-emerald-500 to-green-600', glow: 'emerald', category: 'token',
+    description: 'Create new tokens and credit them to an account',
+    keywords: ['mint', 'issue', 'create', 'supply', 'erc20', 'erc721', 'nft', 'fungible'],
+    schema: [
+      { key: 'functionName', label: 'Function name', type: 'string', default: 'mint' },
+      { key: 'to', label: 'Recipient', type: 'address' },
+      { key: 'amount', label: 'Amount', type: 'uint', default: '0' },
+    ],
+    handles: {
+      inputs: [CONTROL, { id: 'to', label: 'to', type: 'address' }, { id: 'amount', label: 'amount', type: 'uint256' }],
+      outputs: [CONTROL],
+    },
+  },
+  BurnToken: {
+    icon: Minus, color: 'from-red-500 to-orange-600', glow: 'red', category: 'token',
+    description: 'Destroy tokens from the caller\'s balance',
+    keywords: ['burn', 'destroy', 'supply', 'erc20', 'deflationary'],
+    schema: [
+      { key: 'functionName', label: 'Function name', type: 'string', default: 'burn' },
+      { key: 'from', label: 'Holder', type: 'address' },
+      { key: 'amount', label: 'Amount', type: 'uint', default: '0' },
+    ],
+    handles: {
+      inputs: [CONTROL, { id: 'from', label: 'from', type: 'address' }, { id: 'amount', label: 'amount', type: 'uint256' }],
+      outputs: [CONTROL],
+    },
+  },
+  Transfer: {
+    icon: GitBranch, color: 'from-indigo-500 to-blue-600', glow: 'indigo', category: 'token',
+    description: 'Move tokens from the caller to a recipient',
+    keywords: ['send', 'pay', 'move', 'balance', 'erc20', 'erc721', 'transferFrom'],
+    schema: [
+      { key: 'functionName', label: 'Function name', type: 'string', default: 'transfer' },
+      { key: 'from', label: 'Sender', type: 'address' },
+      { key: 'to', label: 'Recipient', type: 'address' },
+      { key: 'amount', label: 'Amount', type: 'uint', default: '0' },
+    ],
+    handles: {
+      inputs: [
+        CONTROL,
+        { id: 'from', label: 'from', type: 'address' },
+        { id: 'to', label: 'to', type: 'address' },
+        { id: 'amount', label: 'amount', type: 'uint256' },
+      ],
+      outputs: [CONTROL],
+    },
+  },
+  Approve: {
+    icon: Check, color: 'from-teal-500 to-cyan-600', glow: 'teal', category: 'token',
+    description: 'Let a spender use part of the caller\'s balance',
+    keywords: ['allowance', 'spender', 'permit', 'erc20', 'delegate'],
+    schema: [
+      { key: 'functionName', label: 'Function name', type: 'string', default: 'approve' },
+      { key: 'owner', label: 'Owner', type: 'address' },
+      { key: 'spender', label: 'Spender', type: 'address' },
+      { key: 'amount', label: 'Allowance', type: 'uint', default: '0' },
+    ],
+    handles: {
+      inputs: [CONTROL, { id: 'spender', label: 'spender', type: 'address' }, { id: 'amount', label: 'amount', type: 'uint256' }],
+      outputs: [CONTROL],
+    },
+  },
+
+  // DeFi Operations
+  Swap: {
+    icon: Activity, color: 'from-purple-500 to-pink-600', glow: 'purple', category: 'defi',
+    description: 'Trade one token for another through a DEX router',
+    keywords: ['dex', 'amm', 'exchange', 'trade', 'uniswap', 'router', 'slippage'],
+    schema: [
+      { key: 'router', label: 'Router', type: 'address' },
+      { key: 'tokenIn', label: 'Token in', type: 'address' },
+      { key: 'tokenOut', label: 'Token out', type: 'address' },
+      { key: 'slippageBps', label: 'Max slippage (bps)', type: 'uint', default: '50' },
+    ],
+  },
+  AddLiquidity: {
+    icon: Layers, color: 'from-blue-500 to-indigo-600', glow: 'blue', category: 'defi',
+    description: 'Deposit a token pair into a liquidity pool',
+    keywords: ['pool', 'lp', 'amm', 'dex', 'provide', 'reserves'],
+    schema: [
+      { key: 'pool', label: 'Pool', type: 'address' },
+      { key: 'amountA', label: 'Amount A', type: 'uint', default: '0' },
+      { key: 'amountB', label: 'Amount B', type: 'uint', default: '0' },
+    ],
+  },
+  Stake: {
+    icon: Lock, color: 'from-amber-500 to-yellow-600', glow: 'amber', category: 'defi',
+    description: 'Lock tokens for a period to earn rewards',
+    keywords: ['staking', 'lock', 'yield', 'rewards', 'farm', 'deposit'],
+    schema: [
+      { key: 'stakingToken', label: 'Staking token', type: 'address' },
+      { key: 'amount', label: 'Amount', type: 'uint', default: '0' },
+      { key: 'lockPeriod', label: 'Lock period (seconds)', type: 'uint', default: '0' },
+      { key: 'rewardRate', label: 'Reward rate (bps)', type: 'uint', default: '0' },
+    ],
+  },
+  Withdraw: {
+    icon: Unlock, color: 'from-cyan-500 to-teal-600', glow: 'cyan', category: 'defi',
+    description: 'Unlock staked tokens and claim rewards',
+    keywords: ['unstake', 'unlock', 'claim', 'rewards', 'redeem'],
+    schema: [
+      { key: 'amount', label: 'Amount', type: 'uint', default: '0' },
+      { key: 'claimRewards', label: 'Claim rewards', type: 'boolean', default: true },
+    ],
+  },
+
+  // Smart Contract Logic
+  Require: {
+    icon: Filter, color: 'from-rose-500 to-red-600', glow: 'rose', category: 'logic',
+    description: 'Revert unless a condition holds',
+    keywords: ['guard', 'check', 'assert', 'condition', 'validate', 'revert'],
+    schema: [
+      { key: 'condition', label: 'Condition', type: 'string', help: 'Leave empty for "amount > 0"' },
+      { key: 'message', label: 'Revert message', type: 'string' },
+    ],
+    handles: { inputs: [{ id: null }], outputs: BRANCH_HANDLES },
+  },
+  Modifier: {
+    icon: Shield, color: 'from-slate-500 to-gray-600', glow: 'slate', category: 'logic',
+    description: 'Access control shared by several functions',
+    keywords: ['onlyOwner', 'owner', 'access control', 'permission', 'admin', 'guard', 'role'],
+    schema: [
+      { key: 'name', label: 'Modifier name', type: 'string', default: 'onlyOwner' },
+      { key: 'condition', label: 'Condition', type: 'string', help: 'Leave empty for "msg.sender == owner"' },
+      { key: 'message', label: 'Revert message', type: 'string' },
+    ],
+    handles: { inputs: [{ id: null }], outputs: BRANCH_HANDLES },
+  },
+  Event: {
+    icon: Bell, color: 'from-orange-500 to-amber-600', glow: 'orange', category: 'logic',
+    description: 'Log emitted by the functions it follows',
+    keywords: ['emit', 'log', 'notify', 'indexed'],
+    schema: [
+      { key: 'name', label: 'Event name', type: 'string' },
+      { key: 'params', label: 'Parameters', type: 'stringList', help: 'One per line, e.g. "address from"' },
+    ],
+  },
+
+  // Data & Storage
+  Mapping: {
+    icon: Database, color: 'from-green-500 to-emerald-600', glow: 'green', category: 'storage',
+    description: 'Key-value storage such as balances per address',
+    keywords: ['dictionary', 'map', 'hash', 'storage', 'balances', 'lookup'],
+    schema: [
+      { key: 'name', label: 'Variable name', type: 'string' },
+      { key: 'keyType', label: 'Key type', type: 'enum', options: VALUE_TYPES, default: 'address' },
+      { key: 'valueType', label: 'Value type', type: 'enum', options: VALUE_TYPES, default: 'uint256' },
+    ],
+  },
+  Array: {
+    icon: Server, color: 'from-indigo-500 to-purple-600', glow: 'indigo', category: 'storage',
+    description: 'Ordered list stored on chain',
+    keywords: ['list', 'collection', 'push', 'storage'],
+    schema: [
+      { key: 'name', label: 'Variable name', type: 'string' },
+      { key: 'elementType', label: 'Element type', type: 'enum', options: VALUE_TYPES, default: 'uint256' },
+    ],
+  },
+  Struct: {
+    icon: Grid, color: 'from-pink-500 to-rose-600', glow: 'pink', category: 'storage',
+    description: 'Record type with named fields',
+    keywords: ['record', 'type', 'object', 'fields', 'storage'],
+    schema: [
+      { key: 'name', label: 'Struct name', type: 'string' },
+      { key: 'fields', label: 'Fields', type: 'stringList', default: ['address account', 'uint256 amount'], help: 'One per line, e.g. "uint256 amount"' },
+      { key: 'storeAs', label: 'Storage variable', type: 'string', help: '"none" to only declare the type' },
+    ],
+  },
+
+  // External Calls
+  Oracle: {
+    icon: Cloud, color: 'from-blue-500 to-sky-600', glow: 'blue', category: 'external',
+    description: 'Read an off-chain price feed',
+    keywords: ['price feed', 'chainlink', 'data feed', 'aggregator', 'price'],
+    schema: [
+      { key: 'feedAddress', label: 'Price feed', type: 'address' },
+      { key: 'pair', label: 'Pair', type: 'string', default: 'ETH/USD' },
+      { key: 'decimals', label: 'Decimals', type: 'uint', default: '8' },
+    ],
+    handles: {
+      inputs: [CONTROL],
+      outputs: [CONTROL, { id: 'price', label: 'price', type: 'uint256' }],
+    },
+  },
+  Interface: {
+    icon: Code, color: 'from-purple-500 to-indigo-600', glow: 'purple', category: 'external',
+    description: 'Call functions on another contract',
+    keywords: ['external', 'abi', 'call', 'integration', 'contract'],
+    schema: [
+      { key: 'name', label: 'Interface name', type: 'string' },
+      { key: 'target', label: 'Target contract', type: 'address' },
+      { key: 'functions', label: 'Functions', type: 'stringList', help: 'One signature per line' },
+    ],
+    handles: {
+      inputs: [CONTROL, { id: 'target', label: 'target', type: 'address' }],
+      outputs: [CONTROL, { id: 'result', label: 'result', type: 'bytes' }],
+    },
+  },
+  Payable: {
+    icon: DollarSign, color: 'from-green-500 to-emerald-600', glow: 'green', category: 'external',
+    description: 'Accept native currency with a function call',
+    keywords: ['ether', 'eth', 'value', 'receive', 'native', 'payment', 'deposit'],
+    schema: [
+      { key: 'minValue', label: 'Minimum value (wei)', type: 'uint', default: '0' },
+      { key: 'acceptsNative', label: 'Accept native token', type: 'boolean', default: true },
+    ],
+  },
+
+  // Canvas annotations: saved with the workflow, never part of the contract
+  Note: {
+    icon: StickyNote, color: 'from-yellow-400 to-amber-500', glow: 'amber', category: 'annotation', annotation: 'note',
+    description: 'Sticky note for comments and review remarks',
+    keywords: ['comment', 'sticky', 'annotation', 'text', 'remark', 'todo'],
+    handles: { inputs: [], outputs: [] },
+    schema: [
+      { key: 'text', label: 'Text', type: 'string', multiline: true, default: '' },
+      { key: 'color', label: 'Color', type: 'enum', options: ANNOTATION_COLORS, default: 'yellow', required: true },
+    ],
+  },
+  Frame: {
+    icon: Frame, color: 'from-slate-400 to-gray-500', glow: 'gray', category: 'annotation', annotation: 'frame',
+    description: 'Titled region that groups blocks visually',
+    keywords: ['region', 'section', 'area', 'box', 'annotation', 'container'],
+    handles: { inputs: [], outputs: [] },
+    schema: [
+      { key: 'color', label: 'Color', type: 'enum', options: ANNOTATION_COLORS, default: 'purple', required: true },
+    ],
+  },
+
+  // Subflows are made from a selection (or a saved block), not dragged from the palette
+  Group: {
+    icon: Boxes, color: 'from-fuchsia-500 to-purple-600', glow: 'fuchsia', category: 'group', palette: false,
+    description: 'Blocks collapsed into a reusable subflow',
+    keywords: ['subflow', 'group', 'folder'],
+    schema: [],
+  },
+};
+
+// Block registry
+//
+// A block definition is
+//
+//   {
+//     icon,                  lucide-react component
+//     color,                 Tailwind gradient, e.g. 'from-sky-500 to-blue-600'
+//     glow,                  Tailwind colour name, also used for the MiniMap
+//     category,              key of `blockCategories`
+//     description, keywords, shown in and searched by the palette
+//     schema,                config fields (see config-schema.js)
+//     handles,               { inputs: [{ id, label, type }], outputs: [...] };
+//                            the handle with id null carries control flow,
+//                            the others a value of `type` (see HANDLE_TYPES)
+//     palette,               false to hide it from the Sidebar
+//     annotation,            'note' or 'frame' for canvas-only blocks, which
+//                            are skipped by code generation and simulation
+//     connections,           { acceptsFrom: [type], feeds: [category] }
+//     codegen: {
+//       solidity(node, ctx), returns contract member lines; ctx is
+//                            { config, name, addState(type, base, comment) }
+//       cadence(node, ctx),  the same with addField(base, type, initial, comment)
+//     },
+//     simulate(node, state, ctx), returns { state, message } or throws;
+//                            ctx is { sender, graph }
+//     gas(node),             gas for the block's own work
+//   }
+//
+// Only icon, color and category are required. Internal blocks can live in
+// their own module that calls `registerBlockType` when imported.
+
+const DEFAULT_HANDLES = { inputs: [{ id: null }], outputs: [{ id: null }] };
+
+// Tailwind 500 shades, for places that need a plain colour (the MiniMap)
+const GLOW_COLORS = {
+  violet: '#8b5cf6', blue: '#3b82f6', emerald: '#10b981', red: '#ef4444', indigo: '#6366f1',
+  teal: '#14b8a6', purple: '#a855f7', amber: '#f59e0b', cyan: '#06b6d4', rose: '#f43f5e',
+  slate: '#64748b', orange: '#f97316', green: '#22c55e', pink: '#ec4899', sky: '#0ea5e9',
+  fuchsia: '#d946ef', yellow: '#eab308', lime: '#84cc16', gray: '#6b7280',
+};
+
+const listeners = new Set();
+let registryVersion = 0;
+
+const notify = () => {
+  registryVersion += 1;
+  listeners.forEach((listener) => listener());
+};
+
+export const registerBlockCategory = (key, { label, short = label, palette = true }) => {
+  blockCategories[key] = { label, short, palette };
+  notify();
+};
+
+// Add or replace a block type; returns a function that undoes it
+export const registerBlockType = (type, definition) => {
+  if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(type)) throw new Error(`Invalid block type "${type}"`);
+  const missing = ['icon', 'color', 'category'].filter((key) => !definition?.[key]);
+  if (missing.length > 0) throw new Error(`Block type "${type}" is missing ${missing.join(', ')}`);
+  if (!blockCategories[definition.category]) {
+    throw new Error(`Block type "${type}" uses unknown category "${definition.category}"`);
+  }
+
+  const previous = nodeTypes[type];
+  const entry = { glow: 'gray', schema: [], ...definition };
+  nodeTypes[type] = entry;
+  notify();
+  return () => {
+    if (nodeTypes[type] !== entry) return;
+    if (previous) nodeTypes[type] = previous;
+    else delete nodeTypes[type];
+    notify();
+  };
+};
+
+export const getBlockType = (type) => nodeTypes[type] || null;
+
+// Calls `listener` after every registration; returns the unsubscribe function
+export const subscribeBlockTypes = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Changes on every registration, for useSyncExternalStore
+export const getBlockTypesVersion = () => registryVersion;
+
+export const handlesOf = (type) => nodeTypes[type]?.handles || DEFAULT_HANDLES;
+
+// The input ('in') or output ('out') handle `handleId` of a block type
+export const findHandle = (type, direction, handleId) => {
+  const { inputs, outputs } = handlesOf(type);
+  return (direction === 'in' ? inputs : outputs).find((handle) => handle.id === (handleId ?? null)) || null;
+};
+
+export const minimapColor = (type) => GLOW_COLORS[nodeTypes[type]?.glow] || GLOW_COLORS.gray;
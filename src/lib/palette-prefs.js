@@ -0,0 +1,48 @@
+// Favorite and recently used palette blocks, kept in localStorage.
+// Components subscribe to changes so every palette view stays in sync.
+
+const STORAGE_KEY = 'palette-prefs';
+const CHANGE_EVENT = 'palette-prefs-change';
+const MAX_RECENTS = 6;
+
+export const getPalettePrefs = () => {
+  const empty = { favorites: [], recents: [] };
+  if (typeof localStorage === 'undefined') return empty;
+  try {
+    return { ...empty, ...JSON.parse(localStorage.getItem(STORAGE_KEY)) };
+  } catch {
+    return empty;
+  }
+};
+
+const store = (prefs) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(prefs));
+  window.dispatchEvent(new Event(CHANGE_EVENT));
+};
+
+export const toggleFavorite = (type) => {
+  const prefs = getPalettePrefs();
+  const favorites = prefs.favorites.includes(type)
+    ? prefs.favorites.filter((item) => item !== type)
+    : [...prefs.favorites, type];
+  store({ ...prefs, favorites });
+};
+
+// Most recent first
+export const recordRecentBlock = (type) => {
+  const prefs = getPalettePrefs();
+  store({ ...prefs, recents: [type, ...prefs.recents.filter((item) => item !== type)].slice(0, MAX_RECENTS) });
+};
+
+// Calls `listener` whenever favorites or recents change, in this tab or another
+export const subscribePalettePrefs = (listener) => {
+  const onStorage = (event) => {
+    if (event.key === STORAGE_KEY) listener();
+  };
+  window.addEventListener(CHANGE_EVENT, listener);
+  window.addEventListener('storage', onStorage);
+  return () => {
+    window.removeEventListener(CHANGE_EVENT, listener);
+    window.removeEventListener('storage', onStorage);
+  };
+};
@@ -0,0 +1,119 @@
+// Minimal PDF writer for generated documents. Supports text in the three
+// standard fonts, lines, rectangles and JPEG images, which is all the spec
+// sheet needs. Coordinates are in points from the top-left of the page; text
+// `y` is the baseline.
+//
+//   renderPdf({ title, pages: [{ width, height, items }], images: [{ jpeg, width, height }] })
+//
+//   item = { type: 'text', x, y, text, size, font?, color? }
+//        | { type: 'line', x1, y1, x2, y2, color?, width? }
+//        | { type: 'rect', x, y, width, height, fill?, stroke? }
+//        | { type: 'image', image, x, y, width, height }   (index into `images`)
+
+const FONTS = { regular: 'Helvetica', bold: 'Helvetica-Bold', mono: 'Courier' };
+const FONT_KEYS = Object.keys(FONTS);
+
+// Approximate advance width; exact for Courier, close enough for Helvetica
+export const textWidth = (text, size, font = 'regular') => text.length * size * (font === 'mono' ? 0.6 : 0.55);
+
+const number = (value) => String(Math.round(value * 100) / 100);
+
+const rgb = (hex) => {
+  const value = parseInt(hex.replace('#', ''), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255].map((channel) => number(channel / 255)).join(' ');
+};
+
+// PDF string literal in WinAnsi; characters outside Latin-1 become '?'
+const pdfString = (text) => `(${String(text)
+  .replace(/[^\x20-\xff]/g, (char) => (char === '\t' ? ' ' : '?'))
+  .replace(/[\\()]/g, (char) => `\\${char}`)})`;
+
+const contentOf = (page) => page.items.map((item) => {
+  const y = (value) => number(page.height - value);
+  switch (item.type) {
+    case 'text':
+      return `BT /F${FONT_KEYS.indexOf(item.font || 'regular') + 1} ${number(item.size)} Tf ${rgb(item.color || '#000000')} rg ` +
+        `${number(item.x)} ${y(item.y)} Td ${pdfString(item.text)} Tj ET`;
+    case 'line':
+      return `${rgb(item.color || '#000000')} RG ${number(item.width || 0.5)} w ` +
+        `${number(item.x1)} ${y(item.y1)} m ${number(item.x2)} ${y(item.y2)} l S`;
+    case 'rect': {
+      const path = `${number(item.x)} ${y(item.y + item.height)} ${number(item.width)} ${number(item.height)} re`;
+      if (item.fill && item.stroke) return `${rgb(item.fill)} rg ${rgb(item.stroke)} RG ${path} B`;
+      return item.fill ? `${rgb(item.fill)} rg ${path} f` : `${rgb(item.stroke || '#000000')} RG ${path} S`;
+    }
+    case 'image':
+      return `q ${number(item.width)} 0 0 ${number(item.height)} ${number(item.x)} ${y(item.y + item.height)} cm /Im${item.image + 1} Do Q`;
+    default:
+      return '';
+  }
+}).join('\n');
+
+const latin1 = (text) => Uint8Array.from(text, (char) => char.charCodeAt(0) & 255);
+
+// Returns the document as bytes
+export const renderPdf = ({ title = '', pages, images = [] }) => {
+  // Object numbers: catalog, page tree, info, fonts, images, then a page and
+  // its content stream per page
+  const fontBase = 4;
+  const imageBase = fontBase + FONT_KEYS.length;
+  const pageBase = imageBase + images.length;
+  const pageRef = (index) => pageBase + index * 2;
+
+  const objects = [];
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Count ${pages.length} /Kids [${pages.map((_, index) => `${pageRef(index)} 0 R`).join(' ')}] >>`;
+  objects[3] = `<< /Title ${pdfString(title)} /Producer (Smart Contract Builder) >>`;
+  FONT_KEYS.forEach((key, index) => {
+    objects[fontBase + index] = `<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS[key]} /Encoding /WinAnsiEncoding >>`;
+  });
+  images.forEach((image, index) => {
+    objects[imageBase + index] = [
+      `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+        `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.jpeg.length} >>\nstream\n`,
+      image.jpeg,
+      '\nendstream',
+    ];
+  });
+
+  const fontResources = FONT_KEYS.map((_, index) => `/F${index + 1} ${fontBase + index} 0 R`).join(' ');
+  const imageResources = images.map((_, index) => `/Im${index + 1} ${imageBase + index} 0 R`).join(' ');
+  pages.forEach((page, index) => {
+    const content = contentOf(page);
+    objects[pageRef(index)] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${number(page.width)} ${number(page.height)}] ` +
+      `/Resources << /Font << ${fontResources} >> /XObject << ${imageResources} >> >> /Contents ${pageRef(index) + 1} 0 R >>`;
+    objects[pageRef(index) + 1] = `<< /Length ${content.length} >>\nstream\n${content}\nendstream`;
+  });
+
+  const chunks = [];
+  let length = 0;
+  const write = (part) => {
+    const bytes = typeof part === 'string' ? latin1(part) : part;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+
+  write('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n');
+  const offsets = [];
+  for (let id = 1; id < objects.length; id += 1) {
+    offsets[id] = length;
+    write(`${id} 0 obj\n`);
+    [].concat(objects[id]).forEach(write);
+    write('\nendobj\n');
+  }
+
+  const xref = length;
+  write(`xref\n0 ${objects.length}\n0000000000 65535 f \n`);
+  for (let id = 1; id < objects.length; id += 1) {
+    write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+  }
+  write(`trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+  const bytes = new Uint8Array(length);
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return bytes;
+};
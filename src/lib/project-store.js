@@ -0,0 +1,175 @@
+import { SCHEMA_VERSION } from './workflow-schema';
+
+// Project library persisted in IndexedDB.
+//
+// Metadata (name, timestamps, thumbnail, counts) and graphs live in separate
+// object stores so listing the library never loads every node and edge.
+
+const DB_NAME = 'smart-contract-builder';
+const DB_VERSION = 1;
+const META_STORE = 'projects';
+const GRAPH_STORE = 'graphs';
+
+// Single-slot save from before the library existed
+const LEGACY_KEY = 'workflow';
+const LEGACY_MIGRATED_KEY = 'workflow-migrated';
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available in this browser'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(META_STORE)) {
+          db.createObjectStore(META_STORE, { keyPath: 'id' }).createIndex('updatedAt', 'updatedAt');
+        }
+        if (!db.objectStoreNames.contains(GRAPH_STORE)) {
+          db.createObjectStore(GRAPH_STORE, { keyPath: 'id' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+// Run `work(stores)` in one transaction; resolves with its return value
+// once the transaction commits. Requests in the result are unwrapped.
+const transaction = async (mode, work) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([META_STORE, GRAPH_STORE], mode);
+    const result = work({ meta: tx.objectStore(META_STORE), graphs: tx.objectStore(GRAPH_STORE) });
+    tx.oncomplete = () => resolve(result instanceof IDBRequest ? result.result : result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+};
+
+const createId = () =>
+  typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `project-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+
+// Drop React Flow runtime fields that should not be persisted
+const cleanNodes = (nodes) =>
+  nodes.map(({ selected, dragging, positionAbsolute, width, height, ...node }) => node);
+const cleanEdges = (edges) => edges.map(({ selected, ...edge }) => edge);
+
+// All projects, most recently modified first (metadata only)
+export const listProjects = async () => {
+  const projects = await transaction('readonly', ({ meta }) => meta.getAll());
+  return projects.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+};
+
+// Metadata plus `schemaVersion`, `nodes` and `edges`, or null when the project does not exist
+export const getProject = async (id) => {
+  let metaRequest;
+  let graphRequest;
+  await transaction('readonly', ({ meta, graphs }) => {
+    metaRequest = meta.get(id);
+    graphRequest = graphs.get(id);
+  });
+  if (!metaRequest.result) return null;
+  const graph = graphRequest.result || {};
+  return { ...metaRequest.result, schemaVersion: graph.schemaVersion, nodes: graph.nodes || [], edges: graph.edges || [] };
+};
+
+// Create (no `id`) or overwrite a project; returns its metadata. Graphs from
+// the canvas are current; pass the `schemaVersion` of older data so it is
+// migrated when the project is opened.
+export const saveProject = async ({ id, name, nodes, edges, thumbnail = null, schemaVersion = SCHEMA_VERSION }) => {
+  const now = new Date().toISOString();
+  const projectId = id || createId();
+  let existing;
+  await transaction('readonly', ({ meta }) => {
+    existing = meta.get(projectId);
+  });
+
+  const metadata = {
+    id: projectId,
+    name: name || existing.result?.name || 'Untitled contract',
+    createdAt: existing.result?.createdAt || now,
+    updatedAt: now,
+    thumbnail,
+    nodeCount: nodes.length,
+    edgeCount: edges.length,
+  };
+
+  await transaction('readwrite', ({ meta, graphs }) => {
+    meta.put(metadata);
+    graphs.put({ id: projectId, schemaVersion, nodes: cleanNodes(nodes), edges: cleanEdges(edges) });
+  });
+  return metadata;
+};
+
+export const renameProject = async (id, name) => {
+  let request;
+  await transaction('readwrite', ({ meta }) => {
+    request = meta.get(id);
+    request.onsuccess = () => {
+      if (request.result) meta.put({ ...request.result, name, updatedAt: new Date().toISOString() });
+    };
+  });
+  return request.result ? { ...request.result, name } : null;
+};
+
+export const duplicateProject = async (id) => {
+  const project = await getProject(id);
+  if (!project) return null;
+  return saveProject({
+    name: `${project.name} (Copy)`,
+    nodes: project.nodes,
+    edges: project.edges,
+    thumbnail: project.thumbnail,
+    // Graphs saved before versioning are version 1
+    schemaVersion: project.schemaVersion ?? 1,
+  });
+};
+
+export const deleteProject = (id) =>
+  transaction('readwrite', ({ meta, graphs }) => {
+    meta.delete(id);
+    graphs.delete(id);
+  });
+
+// Move the old single localStorage save into the library, once. A save that
+// cannot be read is skipped for good: this throws once, and later calls
+// carry on as if it had been migrated.
+export const migrateLegacyWorkflow = async (renderThumbnail) => {
+  if (typeof localStorage === 'undefined' || localStorage.getItem(LEGACY_MIGRATED_KEY)) return null;
+  const saved = localStorage.getItem(LEGACY_KEY);
+  if (!saved) {
+    localStorage.setItem(LEGACY_MIGRATED_KEY, 'true');
+    return null;
+  }
+
+  let nodes;
+  let edges;
+  try {
+    ({ nodes = [], edges = [] } = JSON.parse(saved));
+    if (!Array.isArray(nodes) || !Array.isArray(edges)) throw new Error('no node or edge list');
+  } catch (error) {
+    localStorage.setItem(LEGACY_MIGRATED_KEY, 'true');
+    throw new Error(`The workflow saved before the project library is damaged and was skipped (${error.message})`);
+  }
+  const project = await saveProject({
+    name: 'Saved workflow',
+    nodes,
+    edges,
+    thumbnail: renderThumbnail ? renderThumbnail(nodes, edges) : null,
+    schemaVersion: 1,
+  });
+  localStorage.setItem(LEGACY_MIGRATED_KEY, 'true');
+  return project;
+};
@@ -0,0 +1,53 @@
+// Groups saved as reusable palette blocks, kept in localStorage.
+// Components subscribe to changes so the Sidebar updates when the canvas saves.
+
+const STORAGE_KEY = 'saved-blocks';
+const CHANGE_EVENT = 'saved-blocks-change';
+
+export const listSavedBlocks = () => {
+  if (typeof localStorage === 'undefined') return [];
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || [];
+  } catch {
+    return [];
+  }
+};
+
+const store = (blocks) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(blocks));
+  window.dispatchEvent(new Event(CHANGE_EVENT));
+};
+
+// Save a Group node's subflow under `name`; returns the stored block
+export const saveBlock = (name, subflow) => {
+  const block = {
+    id: `block-${Date.now().toString(36)}`,
+    name,
+    subflow: {
+      ...subflow,
+      nodes: subflow.nodes.map(({ selected, ...node }) => ({ ...node, data: { ...node.data, status: 'idle' } })),
+    },
+    createdAt: new Date().toISOString(),
+  };
+  store([...listSavedBlocks(), block]);
+  return block;
+};
+
+export const deleteSavedBlock = (id) => {
+  store(listSavedBlocks().filter((block) => block.id !== id));
+};
+
+export const getSavedBlock = (id) => listSavedBlocks().find((block) => block.id === id) || null;
+
+// Calls `listener` whenever blocks are saved or deleted, in this tab or another
+export const subscribeSavedBlocks = (listener) => {
+  const onStorage = (event) => {
+    if (event.key === STORAGE_KEY) listener();
+  };
+  window.addEventListener(CHANGE_EVENT, listener);
+  window.addEventListener('storage', onStorage);
+  return () => {
+    window.removeEventListener(CHANGE_EVENT, listener);
+    window.removeEventListener('storage', onStorage);
+  };
+};
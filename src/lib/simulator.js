@@ -0,0 +1,245 @@
+import { buildGraph, topologicalSort, collectUpstream, collectDownstream } from './graph';
+import { evaluateExpression } from './expression';
+import { nodeTypes } from './node-types';
+import { edgeBranch } from './edge-types';
+
+// Dry run of a workflow against an in-memory token ledger.
+//
+// Blocks execute one at a time in topological order. Token operations move
+// balances, Require/Modifier evaluate their condition against the operation
+// they guard, and registered blocks run their own `simulate` hook. A block
+// runs only if it has no incoming edges or at least one of them is followed:
+// its source ran, it leaves a guard through the branch the guard took, and its
+// condition (if any) holds. A failed guard with a fail branch takes that
+// branch; any other failure halts the run. Each step returns a new simulation
+// object, so the caller can step, run or render any snapshot.
+
+export const DEFAULT_SENDER = '0x0000000000000000000000000000000000000001';
+
+const TOKEN_OPS = ['MintToken', 'BurnToken', 'Transfer', 'Approve'];
+const GUARD_TYPES = ['Require', 'Modifier'];
+const DEFAULT_CONDITIONS = {
+  Require: 'amount > 0',
+  Modifier: 'msg.sender == owner',
+};
+
+const isTokenOp = (node) => TOKEN_OPS.includes(node.data.type);
+
+const address = (value, fallback) => (value ? String(value).toLowerCase() : fallback);
+
+const amountOf = (config) => {
+  try {
+    return BigInt(config.amount || 0);
+  } catch {
+    throw new Error(`Amount "${config.amount}" is not a whole number`);
+  }
+};
+
+// Caller and arguments of a token operation, mirroring the generated
+// function signatures (the `from`/`owner` fields stand in for msg.sender).
+const callOf = (node, sender) => {
+  const config = node.data.config || {};
+  switch (node.data.type) {
+    case 'MintToken':
+      return { caller: sender, params: { to: address(config.to, sender), amount: amountOf(config) } };
+    case 'BurnToken':
+      return { caller: address(config.from, sender), params: { amount: amountOf(config) } };
+    case 'Transfer':
+      return { caller: address(config.from, sender), params: { to: address(config.to, ''), amount: amountOf(config) } };
+    case 'Approve':
+      return { caller: address(config.owner, sender), params: { spender: address(config.spender, ''), amount: amountOf(config) } };
+    default:
+      return { caller: sender, params: {} };
+  }
+};
+
+const balanceOf = (state, account) => state.balances[account] ?? 0n;
+
+const scopeFor = (state, call) => ({
+  ...state.mappings,
+  ...call.params,
+  'msg.sender': call.caller,
+  owner: state.owner,
+  totalSupply: state.totalSupply,
+  balanceOf: state.balances,
+  allowance: state.allowances,
+});
+
+// Execute one block; returns { state, message } or throws with the reason
+const execute = (node, state, graph, sender) => {
+  const config = node.data.config || {};
+  const type = node.data.type;
+
+  if (isTokenOp(node)) {
+    const { caller, params } = callOf(node, sender);
+    const next = {
+      ...state,
+      balances: { ...state.balances },
+      allowances: { ...state.allowances },
+    };
+    switch (type) {
+      case 'MintToken':
+        next.balances[params.to] = balanceOf(state, params.to) + params.amount;
+        next.totalSupply = state.totalSupply + params.amount;
+        return { state: next, message: `Minted ${params.amount} to ${params.to}` };
+      case 'BurnToken':
+        if (balanceOf(state, caller) < params.amount) throw new Error(`Burn of ${params.amount} exceeds balance of ${caller}`);
+        next.balances[caller] = balanceOf(state, caller) - params.amount;
+        next.totalSupply = state.totalSupply - params.amount;
+        return { state: next, message: `Burned ${params.amount} from ${caller}` };
+      case 'Transfer':
+        if (!params.to) throw new Error('Transfer has no recipient');
+        if (balanceOf(state, caller) < params.amount) throw new Error(`Transfer of ${params.amount} exceeds balance of ${caller}`);
+        next.balances[caller] = balanceOf(state, caller) - params.amount;
+        next.balances[params.to] = balanceOf(next, params.to) + params.amount;
+        return { state: next, message: `Transferred ${params.amount} from ${caller} to ${params.to}` };
+      default:
+        if (!params.spender) throw new Error('Approve has no spender');
+        next.allowances[caller] = { ...state.allowances[caller], [params.spender]: params.amount };
+        return { state: next, message: `${caller} approved ${params.spender} for ${params.amount}` };
+    }
+  }
+
+  if (GUARD_TYPES.includes(type)) {
+    // Nearest token operation downstream is the call being guarded
+    const guarded = collectDownstream(graph, node.id).find(isTokenOp);
+    const call = guarded ? callOf(guarded, sender) : { caller: sender, params: {} };
+    const condition = (config.condition || '').trim() || DEFAULT_CONDITIONS[type];
+    let passed;
+    try {
+      passed = evaluateExpression(condition, scopeFor(state, call));
+    } catch (error) {
+      throw new Error(`Cannot evaluate "${condition}": ${error.message}`);
+    }
+    if (!passed) {
+      const message = config.message || `${type === 'Modifier' ? config.name || 'Modifier' : 'Require'} failed: ${condition}`;
+      return { state, message, branch: 'fail' };
+    }
+    return { state, message: `${condition} holds`, branch: 'pass' };
+  }
+
+  switch (type) {
+    case 'Deploy':
+      return { state: { ...state, owner: sender, deployed: true }, message: `Deployed ${config.contractName || 'contract'} from ${sender}` };
+    case 'Constructor':
+      return { state: { ...state, owner: state.owner || sender }, message: `Owner set to ${state.owner || sender}` };
+    case 'Mapping': {
+      const name = config.name || 'map';
+      return { state: { ...state, mappings: { [name]: {}, ...state.mappings } }, message: `Declared mapping ${name}` };
+    }
+    case 'Event': {
+      const source = collectUpstream(graph, node.id).find(isTokenOp);
+      const args = source ? callOf(source, sender).params : {};
+      const event = { name: config.name || 'Event', args, nodeId: node.id };
+      return { state: { ...state, events: [...state.events, event] }, message: `Emitted ${event.name}` };
+    }
+    default: {
+      const simulate = nodeTypes[type]?.simulate;
+      return simulate ? simulate(node, state, { sender, graph }) : null;
+    }
+  }
+};
+
+const initialState = () => ({
+  deployed: false,
+  owner: null,
+  totalSupply: 0n,
+  balances: {},
+  allowances: {},
+  mappings: {},
+  events: [],
+});
+
+// Start a run over a snapshot of the graph; nothing has executed yet
+export const startSimulation = (nodes, edges, { sender = DEFAULT_SENDER } = {}) => ({
+  nodes,
+  edges,
+  sender: sender.toLowerCase(),
+  order: topologicalSort(nodes, edges).map((node) => node.id),
+  index: 0,
+  state: initialState(),
+  statuses: {},
+  outcomes: {}, // node id -> 'ran', 'skipped', or the branch a guard took
+  log: [],
+  halted: null,
+});
+
+export const isSimulationFinished = (simulation) =>
+  Boolean(simulation.halted) || simulation.index >= simulation.order.length;
+
+// Mark the next block as running without executing it yet
+export const markNextRunning = (simulation) => {
+  if (isSimulationFinished(simulation)) return simulation;
+  const id = simulation.order[simulation.index];
+  return { ...simulation, statuses: { ...simulation.statuses, [id]: 'running' } };
+};
+
+// Whether the run follows `edge`, given what its source did
+const isFollowed = (edge, simulation, graph) => {
+  const outcome = simulation.outcomes[edge.source];
+  if (outcome === 'skipped') return false;
+  const branch = edgeBranch(edge, graph.byId.get(edge.source));
+  if (branch && branch !== outcome) return false;
+
+  const condition = (edge.data?.condition || '').trim();
+  if (!condition) return true;
+  const target = graph.byId.get(edge.target);
+  const call = isTokenOp(target) ? callOf(target, simulation.sender) : { caller: simulation.sender, params: {} };
+  try {
+    return Boolean(evaluateExpression(condition, scopeFor(simulation.state, call)));
+  } catch (error) {
+    throw new Error(`Cannot evaluate edge condition "${condition}": ${error.message}`);
+  }
+};
+
+// Execute the next block in order
+export const stepSimulation = (simulation) => {
+  if (isSimulationFinished(simulation)) return simulation;
+
+  const graph = buildGraph(simulation.nodes, simulation.edges);
+  const id = simulation.order[simulation.index];
+  const node = graph.byId.get(id);
+  const label = node.data.label || id;
+
+  try {
+    const incoming = simulation.edges.filter((edge) => edge.target === id && graph.byId.has(edge.source));
+    if (incoming.length > 0 && !incoming.some((edge) => isFollowed(edge, simulation, graph))) {
+      return {
+        ...simulation,
+        index: simulation.index + 1,
+        statuses: { ...simulation.statuses, [id]: 'idle' },
+        outcomes: { ...simulation.outcomes, [id]: 'skipped' },
+        log: [...simulation.log, { nodeId: id, label, ok: true, skipped: true, message: 'Skipped (branch not taken)' }],
+      };
+    }
+
+    const result = execute(node, simulation.state, graph, simulation.sender);
+    if (result?.branch === 'fail') {
+      const hasFailBranch = graph.outgoingEdges.get(id).some((edge) => edgeBranch(edge, node) === 'fail');
+      if (!hasFailBranch) throw new Error(result.message);
+      return {
+        ...simulation,
+        index: simulation.index + 1,
+        statuses: { ...simulation.statuses, [id]: 'error' },
+        outcomes: { ...simulation.outcomes, [id]: 'fail' },
+        log: [...simulation.log, { nodeId: id, label, ok: false, message: `${result.message}; taking the fail branch` }],
+      };
+    }
+    return {
+      ...simulation,
+      index: simulation.index + 1,
+      state: result ? result.state : simulation.state,
+      statuses: { ...simulation.statuses, [id]: result ? 'success' : 'idle' },
+      outcomes: { ...simulation.outcomes, [id]: result?.branch || 'ran' },
+      log: [...simulation.log, { nodeId: id, label, ok: true, skipped: !result, message: result ? result.message : 'Not simulated' }],
+    };
+  } catch (error) {
+    return {
+      ...simulation,
+      index: simulation.index + 1,
+      statuses: { ...simulation.statuses, [id]: 'error' },
+      log: [...simulation.log, { nodeId: id, label, ok: false, message: error.message }],
+      halted: { nodeId: id, reason: error.message },
+    };
+  }
+};
@@ -0,0 +1,136 @@
+import { renderPdf, textWidth } from './pdf';
+
+// PDF spec sheet for audits and design docs: the diagram on the first page,
+// then a table of every block with its label, type and config.
+
+const PAGE = { width: 842, height: 595 }; // A4 landscape, in points
+const MARGIN = 36;
+const LINE = 11;
+const COLUMNS = [
+  { key: 'index', title: '#', width: 28 },
+  { key: 'label', title: 'Label', width: 200 },
+  { key: 'type', title: 'Type', width: 120 },
+  { key: 'config', title: 'Config', width: PAGE.width - MARGIN * 2 - 348, font: 'mono' },
+];
+const FONT_SIZE = 8.5;
+const HEADER_HEIGHT = 20;
+const FOOTER_Y = PAGE.height - 18;
+
+const formatValue = (value) => {
+  if (Array.isArray(value)) return value.join(', ');
+  if (value && typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+// `key: value` lines for the config values that are set
+const configLines = (config = {}) => {
+  const lines = Object.entries(config)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '' && !(Array.isArray(value) && value.length === 0))
+    .map(([key, value]) => `${key}: ${formatValue(value)}`);
+  return lines.length > 0 ? lines : ['-'];
+};
+
+// Split each line so it fits `width` points in `font`
+const fitLines = (lines, width, font) => {
+  const maxChars = Math.max(4, Math.floor(width / textWidth('M', FONT_SIZE, font)));
+  return lines.flatMap((line) => {
+    const parts = [];
+    for (let start = 0; start < line.length; start += maxChars) parts.push(line.slice(start, start + maxChars));
+    return parts.length > 0 ? parts : [''];
+  });
+};
+
+const tableRow = (node, index) => {
+  const cells = {
+    index: [String(index + 1)],
+    label: [node.data.label || node.id],
+    type: [node.data.type],
+    config: configLines(node.data.config),
+  };
+  const lines = Object.fromEntries(COLUMNS.map((column) =>
+    [column.key, fitLines(cells[column.key], column.width - 8, column.font)]));
+  return { lines, height: Math.max(...Object.values(lines).map((cell) => cell.length)) * LINE + 8 };
+};
+
+const headerItems = (y) => {
+  let x = MARGIN;
+  return [
+    { type: 'rect', x: MARGIN, y, width: PAGE.width - MARGIN * 2, height: HEADER_HEIGHT, fill: '#f3f4f6' },
+    ...COLUMNS.map((column) => {
+      const item = { type: 'text', x: x + 4, y: y + 13, text: column.title, size: FONT_SIZE, font: 'bold', color: '#374151' };
+      x += column.width;
+      return item;
+    }),
+  ];
+};
+
+const rowItems = (row, y) => {
+  let x = MARGIN;
+  const items = COLUMNS.flatMap((column) => {
+    const cell = row.lines[column.key].map((line, index) => ({
+      type: 'text', x: x + 4, y: y + 12 + index * LINE, text: line, size: FONT_SIZE, font: column.font, color: '#111827',
+    }));
+    x += column.width;
+    return cell;
+  });
+  items.push({ type: 'line', x1: MARGIN, y1: y + row.height, x2: PAGE.width - MARGIN, y2: y + row.height, color: '#e5e7eb' });
+  return items;
+};
+
+// Returns the PDF bytes. `diagram` is { jpeg, width, height } (pixels);
+// `nodes` are the blocks listed in the table.
+export const renderSpecSheet = ({ title, subtitle, diagram, nodes }) => {
+  const heading = [
+    { type: 'text', x: MARGIN, y: MARGIN + 14, text: title, size: 18, font: 'bold' },
+    { type: 'text', x: MARGIN, y: MARGIN + 30, text: subtitle, size: 9, color: '#6b7280' },
+  ];
+
+  // Diagram page, scaled to fit below the heading
+  const box = { x: MARGIN, y: MARGIN + 44, width: PAGE.width - MARGIN * 2, height: FOOTER_Y - 16 - (MARGIN + 44) };
+  const scale = Math.min(box.width / diagram.width, box.height / diagram.height);
+  const pages = [{
+    ...PAGE,
+    items: [
+      ...heading,
+      {
+        type: 'image',
+        image: 0,
+        x: box.x + (box.width - diagram.width * scale) / 2,
+        y: box.y,
+        width: diagram.width * scale,
+        height: diagram.height * scale,
+      },
+    ],
+  }];
+
+  // Block table, continued over as many pages as it needs
+  const top = MARGIN + 16;
+  let page = null;
+  let y = 0;
+  const startPage = () => {
+    page = {
+      ...PAGE,
+      items: [
+        { type: 'text', x: MARGIN, y: MARGIN + 6, text: `${title} - blocks`, size: 11, font: 'bold' },
+        ...headerItems(top),
+      ],
+    };
+    pages.push(page);
+    y = top + HEADER_HEIGHT;
+  };
+  startPage();
+  nodes.forEach((node, index) => {
+    const row = tableRow(node, index);
+    if (y + row.height > FOOTER_Y - 12 && y > top + HEADER_HEIGHT) startPage();
+    page.items.push(...rowItems(row, y));
+    y += row.height;
+  });
+
+  pages.forEach((current, index) => {
+    current.items.push({
+      type: 'text', x: MARGIN, y: FOOTER_Y, text: `${title} · Page ${index + 1} of ${pages.length}`, size: 8, color: '#9ca3af',
+    });
+  });
+
+  return renderPdf({ title, pages, images: [diagram] });
+};
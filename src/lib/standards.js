@@ -0,0 +1,178 @@
+import { parseParams } from './codegen/common';
+
+// Token standard detection. The graph is reduced to the features a standard
+// cares about (functions from token operations, events, mappings, structs,
+// target network); every standard then checks its required members against
+// them. A standard's `signals` are features only it has (e.g. an ownerOf
+// mapping for ERC-721) and break ties between otherwise similar designs.
+
+const FLOW_NETWORKS = ['flow', 'flow-testnet'];
+const DEFAULT_FUNCTION_NAMES = { MintToken: 'mint', BurnToken: 'burn', Transfer: 'transfer', Approve: 'approve' };
+
+// Below this score the design is reported as not matching any standard
+const MIN_SCORE = 0.3;
+
+export const extractFeatures = (nodes) => {
+  const configOf = (node) => node.data.config || {};
+  const ofType = (type) => nodes.filter((node) => node.data.type === type);
+  const ops = nodes.filter((node) => DEFAULT_FUNCTION_NAMES[node.data.type]);
+  const network = configOf(ofType('Deploy')[0] || { data: {} }).network || 'ethereum';
+
+  return {
+    network,
+    platform: FLOW_NETWORKS.includes(network) ? 'flow' : 'evm',
+    ops: new Set(ops.map((node) => node.data.type)),
+    functions: new Set(ops.map((node) =>
+      String(configOf(node).functionName || DEFAULT_FUNCTION_NAMES[node.data.type]).toLowerCase()
+    )),
+    events: ofType('Event').map((node) => ({
+      name: String(configOf(node).name || node.data.label || '').replace(/\s+/g, '').toLowerCase(),
+      params: parseParams(configOf(node).params),
+    })),
+    mappings: ofType('Mapping').map((node) => ({
+      name: String(configOf(node).name || '').toLowerCase(),
+      keyType: configOf(node).keyType || 'address',
+      valueType: configOf(node).valueType || 'uint256',
+    })),
+    structs: ofType('Struct').map((node) => parseParams(configOf(node).fields)),
+  };
+};
+
+// Requirement tests
+const hasOps = (features) => features.ops.size > 0;
+const hasOp = (type) => (features) => features.ops.has(type);
+const hasFunction = (...names) => (features) => names.some((name) => features.functions.has(name.toLowerCase()));
+const hasFunctionLike = (pattern) => (features) => [...features.functions].some((name) => pattern.test(name));
+const hasEvent = (name, test = () => true) => (features) =>
+  features.events.some((event) => event.name === name.toLowerCase() && test(event.params));
+const hasMapping = (test) => (features) => features.mappings.some(test);
+const paramTypes = (...types) => (params) =>
+  params.length === types.length && params.every((param, index) => param.type === types[index]);
+const idParam = (params) => params.some((param) => /id$/i.test(param.name));
+const tokenIdKey = (mapping) => /^u?int(64|256)?$/.test(mapping.keyType);
+
+const STANDARDS = [
+  {
+    id: 'erc20',
+    label: 'ERC-20',
+    platform: 'evm',
+    requirements: [
+      { label: 'totalSupply()', kind: 'function', test: hasOps },
+      { label: 'balanceOf(address)', kind: 'function', test: hasOps },
+      { label: 'transfer(address,uint256)', kind: 'function', test: hasFunction('transfer') },
+      { label: 'transferFrom(address,address,uint256)', kind: 'function', test: hasFunction('transferFrom') },
+      { label: 'approve(address,uint256)', kind: 'function', test: hasFunction('approve') },
+      { label: 'allowance(address,address)', kind: 'function', test: hasOp('Approve') },
+      { label: 'Transfer(address,address,uint256)', kind: 'event', test: hasEvent('Transfer', paramTypes('address', 'address', 'uint256')) },
+      { label: 'Approval(address,address,uint256)', kind: 'event', test: hasEvent('Approval', paramTypes('address', 'address', 'uint256')) },
+    ],
+    signals: [],
+  },
+  {
+    id: 'erc721',
+    label: 'ERC-721',
+    platform: 'evm',
+    requirements: [
+      { label: 'balanceOf(address)', kind: 'function', test: hasOps },
+      { label: 'ownerOf(uint256)', kind: 'state', test: hasMapping((mapping) => tokenIdKey(mapping) && mapping.valueType === 'address') },
+      { label: 'safeTransferFrom(address,address,uint256)', kind: 'function', test: hasFunction('safeTransferFrom') },
+      { label: 'transferFrom(address,address,uint256)', kind: 'function', test: hasFunction('transferFrom') },
+      { label: 'approve(address,uint256)', kind: 'function', test: hasFunction('approve') },
+      { label: 'setApprovalForAll(address,bool)', kind: 'function', test: hasFunction('setApprovalForAll') },
+      { label: 'Transfer(address,address,uint256 tokenId)', kind: 'event', test: hasEvent('Transfer', idParam) },
+      { label: 'Approval(address,address,uint256 tokenId)', kind: 'event', test: hasEvent('Approval', idParam) },
+      { label: 'ApprovalForAll(address,address,bool)', kind: 'event', test: hasEvent('ApprovalForAll') },
+    ],
+    signals: [
+      hasMapping((mapping) => tokenIdKey(mapping) && mapping.valueType === 'address'),
+      (features) => features.events.some((event) => idParam(event.params)),
+    ],
+  },
+  {
+    id: 'erc1155',
+    label: 'ERC-1155',
+    platform: 'evm',
+    requirements: [
+      { label: 'balanceOf(address,uint256)', kind: 'state', test: hasMapping((mapping) => tokenIdKey(mapping) && /^uint/.test(mapping.valueType)) },
+      { label: 'balanceOfBatch(address[],uint256[])', kind: 'function', test: hasFunction('balanceOfBatch') },
+      { label: 'safeTransferFrom(address,address,uint256,uint256,bytes)', kind: 'function', test: hasFunction('safeTransferFrom') },
+      { label: 'safeBatchTransferFrom(address,address,uint256[],uint256[],bytes)', kind: 'function', test: hasFunction('safeBatchTransferFrom') },
+      { label: 'setApprovalForAll(address,bool)', kind: 'function', test: hasFunction('setApprovalForAll') },
+      { label: 'TransferSingle', kind: 'event', test: hasEvent('TransferSingle') },
+      { label: 'TransferBatch', kind: 'event', test: hasEvent('TransferBatch') },
+      { label: 'ApprovalForAll', kind: 'event', test: hasEvent('ApprovalForAll') },
+      { label: 'URI', kind: 'event', test: hasEvent('URI') },
+    ],
+    signals: [
+      hasFunctionLike(/batch/),
+      (features) => features.events.some((event) => /^transfer(single|batch)$/.test(event.name)),
+    ],
+  },
+  {
+    id: 'flow-ft',
+    label: 'Flow FungibleToken',
+    platform: 'flow',
+    requirements: [
+      { label: 'totalSupply', kind: 'state', test: hasOps },
+      { label: 'Vault.balance', kind: 'state', test: hasOps },
+      { label: 'Vault.withdraw(amount)', kind: 'function', test: hasOp('Transfer') },
+      { label: 'Vault.deposit(from)', kind: 'function', test: hasOps },
+      { label: 'createEmptyVault()', kind: 'function', test: hasOps },
+      { label: 'TokensWithdrawn(amount, from)', kind: 'event', test: hasEvent('TokensWithdrawn') },
+      { label: 'TokensDeposited(amount, to)', kind: 'event', test: hasEvent('TokensDeposited') },
+    ],
+    signals: [],
+  },
+  {
+    id: 'flow-nft',
+    label: 'NonFungibleToken',
+    platform: 'flow',
+    requirements: [
+      { label: 'NFT resource with id', kind: 'state', test: (features) => features.structs.some((fields) => fields.some((field) => field.name === 'id')) },
+      { label: 'Collection.ownedNFTs', kind: 'state', test: hasMapping(tokenIdKey) },
+      { label: 'Collection.withdraw(withdrawID)', kind: 'function', test: hasOp('Transfer') },
+      { label: 'Collection.deposit(token)', kind: 'function', test: hasFunction('deposit') },
+      { label: 'Collection.getIDs()', kind: 'function', test: hasFunction('getIDs') },
+      { label: 'Withdraw(id, from)', kind: 'event', test: hasEvent('Withdraw', idParam) },
+      { label: 'Deposit(id, to)', kind: 'event', test: hasEvent('Deposit', idParam) },
+    ],
+    signals: [
+      (features) => features.structs.some((fields) => fields.some((field) => field.name === 'id')),
+      (features) => features.events.some((event) => idParam(event.params)),
+    ],
+  },
+];
+
+const evaluate = (standard, features) => {
+  const checklist = standard.requirements.map(({ label, kind, test }) => ({ label, kind, met: test(features) }));
+  const met = checklist.filter((item) => item.met).length;
+  const signals = standard.signals.filter((test) => test(features)).length;
+  const score = met / checklist.length + (standard.signals.length > 0 ? 0.5 * signals / standard.signals.length : 0);
+  return {
+    id: standard.id,
+    label: standard.label,
+    platform: standard.platform,
+    score,
+    met,
+    total: checklist.length,
+    checklist,
+    missing: checklist.filter((item) => !item.met).map((item) => item.label),
+  };
+};
+
+// Returns { standard, closest, candidates }. `standard` is the best match on
+// the Deploy block's network, or null when nothing matches well enough;
+// `closest` is that best candidate either way. Candidates are best first.
+export const classifyContract = (nodes) => {
+  const features = extractFeatures(nodes);
+  const candidates = STANDARDS
+    .filter((standard) => standard.platform === features.platform)
+    .map((standard) => evaluate(standard, features))
+    .sort((a, b) => b.score - a.score);
+  const closest = candidates[0];
+  return {
+    standard: closest.score >= MIN_SCORE ? closest : null,
+    closest,
+    candidates,
+  };
+};
@@ -0,0 +1,308 @@
+import { createNodeId, createEdgeId, ensureUniqueEdgeIds, remapGraph } from './ids';
+
+// Subflows: a Group block carries its own nested graph in `data.subflow`:
+//
+//   { nodes, edges, inputs: [port], outputs: [port] }
+//   port = { id, nodeId, handle, label }
+//
+// Inner node positions are relative to the group. Each port is exposed as a
+// handle on the group (`in:<node>` / `out:<node>`) and maps to a handle of an
+// inner node. Everything that reasons about the contract (codegen, linting,
+// simulation, gas) works on `flattenSubflows(...)`, where groups are inlined.
+
+export const GROUP_TYPE = 'Group';
+
+export const isGroupNode = (node) => node?.data?.type === GROUP_TYPE;
+
+const portId = (direction, nodeId, handle) => `${direction}:${nodeId}${handle ? `:${handle}` : ''}`;
+
+const labelOf = (node) => node?.data?.label || node?.id;
+
+// Ports for inner nodes fed from outside / feeding outside, plus the
+// subgraph's own sources and sinks so an unconnected group is still usable.
+const derivePorts = (innerNodes, innerEdges, boundaryIn = [], boundaryOut = []) => {
+  const byId = new Map(innerNodes.map((node) => [node.id, node]));
+  const hasIncoming = new Set(innerEdges.map((edge) => edge.target));
+  const hasOutgoing = new Set(innerEdges.map((edge) => edge.source));
+
+  const collect = (direction, boundary, open) => {
+    const ports = new Map();
+    const add = (nodeId, handle) => {
+      if (!byId.has(nodeId)) return;
+      const id = portId(direction, nodeId, handle);
+      if (!ports.has(id)) ports.set(id, { id, nodeId, handle: handle || null, label: labelOf(byId.get(nodeId)) });
+    };
+    boundary.forEach(({ nodeId, handle }) => add(nodeId, handle));
+    innerNodes.filter((node) => !open.has(node.id)).forEach((node) => add(node.id, null));
+    return [...ports.values()];
+  };
+
+  return {
+    inputs: collect('in', boundaryIn, hasIncoming),
+    outputs: collect('out', boundaryOut, hasOutgoing),
+  };
+};
+
+// Replace the nodes in `selectedIds` with a Group node holding them.
+// Returns { nodes, edges, groupId }.
+export const collapseSubflow = (nodes, edges, selectedIds, name) => {
+  const selected = new Set(selectedIds);
+  const inside = nodes.filter((node) => selected.has(node.id));
+  const origin = {
+    x: Math.min(...inside.map((node) => node.position.x)),
+    y: Math.min(...inside.map((node) => node.position.y)),
+  };
+
+  const innerNodes = inside.map((node) => ({
+    ...node,
+    selected: false,
+    position: { x: node.position.x - origin.x, y: node.position.y - origin.y },
+  }));
+  const innerEdges = edges.filter((edge) => selected.has(edge.source) && selected.has(edge.target));
+  const incoming = edges.filter((edge) => !selected.has(edge.source) && selected.has(edge.target));
+  const outgoing = edges.filter((edge) => selected.has(edge.source) && !selected.has(edge.target));
+
+  const { inputs, outputs } = derivePorts(
+    innerNodes,
+    innerEdges,
+    incoming.map((edge) => ({ nodeId: edge.target, handle: edge.targetHandle })),
+    outgoing.map((edge) => ({ nodeId: edge.source, handle: edge.sourceHandle })),
+  );
+
+  const groupId = createNodeId(new Set(nodes.map((node) => node.id)));
+  const group = {
+    id: groupId,
+    type: 'customNode',
+    position: origin,
+    selected: true,
+    data: {
+      label: name,
+      type: GROUP_TYPE,
+      description: `${inside.length} blocks`,
+      status: 'idle',
+      config: {},
+      subflow: { nodes: innerNodes, edges: innerEdges, inputs, outputs },
+    },
+  };
+
+  const rewired = [
+    ...incoming.map((edge) => ({ ...edge, target: groupId, targetHandle: portId('in', edge.target, edge.targetHandle) })),
+    ...outgoing.map((edge) => ({ ...edge, source: groupId, sourceHandle: portId('out', edge.source, edge.sourceHandle) })),
+  ].map((edge) => ({ ...edge, id: createEdgeId(edge) }));
+
+  return {
+    nodes: [...nodes.filter((node) => !selected.has(node.id)), group],
+    edges: ensureUniqueEdgeIds([
+      ...edges.filter((edge) => !selected.has(edge.source) && !selected.has(edge.target)),
+      ...rewired,
+    ]),
+    groupId,
+  };
+};
+
+// Store an edited inner graph back on its group. Ports whose inner node is
+// gone are dropped, along with the parent edges that used them.
+export const syncSubflow = (parentNodes, parentEdges, groupId, innerNodes, innerEdges) => {
+  const group = parentNodes.find((node) => node.id === groupId);
+  if (!group) return { nodes: parentNodes, edges: parentEdges };
+
+  const previous = group.data.subflow;
+  const usedIn = parentEdges.filter((edge) => edge.target === groupId)
+    .map((edge) => previous.inputs.find((port) => port.id === edge.targetHandle)).filter(Boolean);
+  const usedOut = parentEdges.filter((edge) => edge.source === groupId)
+    .map((edge) => previous.outputs.find((port) => port.id === edge.sourceHandle)).filter(Boolean);
+  const { inputs, outputs } = derivePorts(innerNodes, innerEdges, usedIn, usedOut);
+
+  const inputIds = new Set(inputs.map((port) => port.id));
+  const outputIds = new Set(outputs.map((port) => port.id));
+  const cleanNodes = innerNodes.map((node) => (node.selected ? { ...node, selected: false } : node));
+
+  return {
+    nodes: parentNodes.map((node) => (node.id === groupId
+      ? {
+        ...node,
+        data: {
+          ...node.data,
+          description: `${innerNodes.length} blocks`,
+          subflow: { nodes: cleanNodes, edges: innerEdges, inputs, outputs },
+        },
+      }
+      : node)),
+    edges: parentEdges.filter((edge) =>
+      (edge.target !== groupId || inputIds.has(edge.targetHandle)) &&
+      (edge.source !== groupId || outputIds.has(edge.sourceHandle))
+    ),
+  };
+};
+
+// Fold the views on the breadcrumb `path` back into their parents, from the
+// innermost (the graph currently on the canvas) out to `depth`.
+// `path` entries are { groupId, label, nodes, edges } with the parent graph.
+export const exitSubflows = (path, nodes, edges, depth = 0) => {
+  let current = { nodes, edges };
+  for (let level = path.length - 1; level >= depth; level -= 1) {
+    const { groupId, nodes: parentNodes, edges: parentEdges } = path[level];
+    current = syncSubflow(parentNodes, parentEdges, groupId, current.nodes, current.edges);
+  }
+  return current;
+};
+
+// The reverse of exitSubflows: open the groups on `path` again inside a new
+// root graph. Stops at the first group that no longer exists, so `path` in
+// the result may be shorter; `nodes`/`edges` are the innermost open view.
+export const reenterSubflows = (path, root) => {
+  const nextPath = [];
+  let current = root;
+  for (const entry of path) {
+    const group = current.nodes.find((node) => node.id === entry.groupId && isGroupNode(node));
+    if (!group) break;
+    nextPath.push({ ...entry, label: group.data.label, nodes: current.nodes, edges: current.edges });
+    current = { nodes: group.data.subflow.nodes, edges: group.data.subflow.edges };
+  }
+  return { path: nextPath, nodes: current.nodes, edges: current.edges };
+};
+
+// Inline every group (recursively) so the result has only real blocks
+export const flattenSubflows = ({ nodes, edges }) => {
+  if (!nodes.some(isGroupNode)) return { nodes, edges };
+
+  const flatNodes = [];
+  const rawEdges = [];
+  const portTargets = new Map(); // `${groupId}|${portId}` -> { node, handle }
+
+  const visit = (levelNodes, levelEdges, offset) => {
+    rawEdges.push(...levelEdges);
+    levelNodes.forEach((node) => {
+      const position = offset
+        ? { x: offset.x + node.position.x, y: offset.y + node.position.y }
+        : node.position;
+      if (!isGroupNode(node)) {
+        flatNodes.push(offset ? { ...node, position } : node);
+        return;
+      }
+      const { subflow } = node.data;
+      [...subflow.inputs, ...subflow.outputs].forEach((port) => {
+        portTargets.set(`${node.id}|${port.id}`, { node: port.nodeId, handle: port.handle });
+      });
+      visit(subflow.nodes, subflow.edges, position);
+    });
+  };
+  visit(nodes, edges, null);
+
+  // Ports may point at nested groups; follow them down to a real block
+  const resolve = (nodeId, handle) => {
+    let endpoint = { node: nodeId, handle: handle ?? null };
+    while (portTargets.has(`${endpoint.node}|${endpoint.handle}`)) {
+      endpoint = portTargets.get(`${endpoint.node}|${endpoint.handle}`);
+    }
+    return endpoint;
+  };
+
+  const ids = new Set(flatNodes.map((node) => node.id));
+  const flatEdges = rawEdges
+    .map((edge) => {
+      const source = resolve(edge.source, edge.sourceHandle);
+      const target = resolve(edge.target, edge.targetHandle);
+      return { ...edge, source: source.node, sourceHandle: source.handle, target: target.node, targetHandle: target.handle };
+    })
+    .filter((edge) => ids.has(edge.source) && ids.has(edge.target));
+
+  return { nodes: flatNodes, edges: flatEdges };
+};
+
+// Re-ID the inner graphs of the groups in `nodes`, all the way down. Port
+// IDs follow inner node IDs, so edges onto the groups are rewired as well.
+// Returns { nodes, edges, portMaps } with portMaps: groupId -> (old -> new port ID).
+const cloneGroups = (nodes, edges, taken) => {
+  const portMaps = new Map();
+  const clonedNodes = nodes.map((node) => {
+    if (!isGroupNode(node)) return node;
+    const { subflow, ports } = cloneSubflow(node.data.subflow, taken);
+    portMaps.set(node.id, ports);
+    return { ...node, data: { ...node.data, subflow } };
+  });
+  const clonedEdges = edges.map((edge) => {
+    const sourceHandle = portMaps.get(edge.source)?.get(edge.sourceHandle) ?? edge.sourceHandle;
+    const targetHandle = portMaps.get(edge.target)?.get(edge.targetHandle) ?? edge.targetHandle;
+    if (sourceHandle === edge.sourceHandle && targetHandle === edge.targetHandle) return edge;
+    const rewired = { ...edge, sourceHandle, targetHandle };
+    return { ...rewired, id: createEdgeId(rewired) };
+  });
+  return { nodes: clonedNodes, edges: clonedEdges, portMaps };
+};
+
+const cloneSubflow = (subflow, taken) => {
+  const remapped = remapGraph(subflow.nodes, subflow.edges, taken);
+  remapped.nodes.forEach((node) => taken.add(node.id));
+  const inner = cloneGroups(remapped.nodes, remapped.edges, taken);
+
+  const ports = new Map();
+  const remapPort = (direction) => (port) => {
+    const nodeId = remapped.idMap.get(port.nodeId);
+    const handle = inner.portMaps.get(nodeId)?.get(port.handle) ?? port.handle;
+    const next = { ...port, nodeId, handle, id: portId(direction, nodeId, handle) };
+    ports.set(port.id, next.id);
+    return next;
+  };
+
+  return {
+    subflow: {
+      nodes: inner.nodes,
+      edges: inner.edges,
+      inputs: subflow.inputs.map(remapPort('in')),
+      outputs: subflow.outputs.map(remapPort('out')),
+    },
+    ports,
+  };
+};
+
+// Fresh nested IDs for copied groups; `takenIds` must list every ID in use
+export const cloneNestedIds = (nodes, edges, takenIds) => {
+  const { nodes: clonedNodes, edges: clonedEdges } = cloneGroups(nodes, edges, new Set(takenIds));
+  return { nodes: clonedNodes, edges: clonedEdges };
+};
+
+// A new Group node from a saved palette block
+export const instantiateSubflow = ({ name, subflow }, position, takenIds) => {
+  const taken = new Set(takenIds);
+  const id = createNodeId(taken);
+  taken.add(id);
+  return {
+    id,
+    type: 'customNode',
+    position,
+    data: {
+      label: name,
+      type: GROUP_TYPE,
+      description: `${subflow.nodes.length} blocks`,
+      status: 'idle',
+      config: {},
+      subflow: cloneSubflow(subflow, taken).subflow,
+    },
+  };
+};
+
+// Every node ID in `nodes`, including those inside groups
+export const collectNodeIds = (nodes) => nodes.flatMap((node) => [
+  node.id,
+  ...(isGroupNode(node) ? collectNodeIds(node.data.subflow.nodes) : []),
+]);
+
+// Map from every node ID on a level, nested ones included, to the node on
+// that level showing it: the node itself, or the group holding it
+export const levelOwners = (nodes) => new Map(nodes.flatMap((node) =>
+  collectNodeIds([node]).map((id) => [id, node.id])));
+
+// The inner block a group port stands for (following nested groups)
+export const resolvePort = (node, handle, direction) => {
+  let current = node;
+  let currentHandle = handle;
+  while (isGroupNode(current)) {
+    const ports = direction === 'in' ? current.data.subflow.inputs : current.data.subflow.outputs;
+    const port = ports.find((item) => item.id === currentHandle);
+    if (!port) return null;
+    current = current.data.subflow.nodes.find((inner) => inner.id === port.nodeId);
+    currentHandle = port.handle;
+  }
+  return current ? { node: current, handle: currentHandle } : null;
+};
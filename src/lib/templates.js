@@ -0,0 +1,19 @@
+import templates from '../templates';
+import { parseWorkflow } from './workflow-schema';
+import { renderThumbnail, thumbnailSrc } from './thumbnail';
+
+// Template gallery: prebuilt workflows the user can start a project from
+
+export const listTemplates = () => templates;
+
+export const getTemplate = (id) => templates.find((template) => template.id === id) || null;
+
+// Image source for a template card
+export const templatePreview = (template) =>
+  template.preview || thumbnailSrc(renderThumbnail(template.nodes, template.edges || []));
+
+// The template's graph in the current schema; returns { nodes, edges, warnings }
+export const instantiateTemplate = (template) => {
+  const { nodes, edges, warnings } = parseWorkflow(structuredClone(template));
+  return { nodes, edges, warnings };
+};
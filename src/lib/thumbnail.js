@@ -0,0 +1,52 @@
+// Small SVG preview of a workflow for the project library
+const WIDTH = 240;
+const HEIGHT = 140;
+const PADDING = 12;
+const NODE_WIDTH = 220;
+const NODE_HEIGHT = 80;
+
+export const renderThumbnail = (nodes, edges) => {
+  const background = `<rect width="${WIDTH}" height="${HEIGHT}" fill="#030712"/>`;
+  if (nodes.length === 0) {
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${WIDTH} ${HEIGHT}">${background}</svg>`;
+  }
+
+  const sizeOf = (node) => ({ width: node.width || NODE_WIDTH, height: node.height || NODE_HEIGHT });
+  const minX = Math.min(...nodes.map((node) => node.position.x));
+  const minY = Math.min(...nodes.map((node) => node.position.y));
+  const maxX = Math.max(...nodes.map((node) => node.position.x + sizeOf(node).width));
+  const maxY = Math.max(...nodes.map((node) => node.position.y + sizeOf(node).height));
+  const scale = Math.min((WIDTH - PADDING * 2) / (maxX - minX), (HEIGHT - PADDING * 2) / (maxY - minY), 0.5);
+  const offsetX = (WIDTH - (maxX - minX) * scale) / 2;
+  const offsetY = (HEIGHT - (maxY - minY) * scale) / 2;
+
+  const box = (node) => {
+    const { width, height } = sizeOf(node);
+    return {
+      x: (node.position.x - minX) * scale + offsetX,
+      y: (node.position.y - minY) * scale + offsetY,
+      width: width * scale,
+      height: height * scale,
+    };
+  };
+  const boxes = new Map(nodes.map((node) => [node.id, box(node)]));
+  const round = (value) => Math.round(value * 10) / 10;
+
+  const lines = edges
+    .filter((edge) => boxes.has(edge.source) && boxes.has(edge.target))
+    .map((edge) => {
+      const source = boxes.get(edge.source);
+      const target = boxes.get(edge.target);
+      return `<line x1="${round(source.x + source.width)}" y1="${round(source.y + source.height / 2)}" ` +
+        `x2="${round(target.x)}" y2="${round(target.y + target.height / 2)}" stroke="#64748b" stroke-width="1"/>`;
+    });
+
+  const rects = [...boxes.values()].map((rect) =>
+    `<rect x="${round(rect.x)}" y="${round(rect.y)}" width="${round(rect.width)}" height="${round(rect.height)}" ` +
+    `rx="${round(Math.min(6, rect.height / 4))}" fill="#6366f1" fill-opacity="0.8"/>`
+  );
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${WIDTH} ${HEIGHT}">${background}${lines.join('')}${rects.join('')}</svg>`;
+};
+
+export const thumbnailSrc = (svg) => `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
@@ -0,0 +1,210 @@
+import { nodeTypes } from './node-types';
+import { createEdgeId } from './ids';
+import { styleEdge, edgeKind } from './edge-types';
+
+// Differences between two versions of a workflow, and a canvas overlay that
+// shows both at once. Nodes are matched by id (ids survive save and load);
+// edges by id, then by their endpoints. A node is
+//
+//   added / removed   present in only one version
+//   changed           label, type, description or a config field differs
+//   moved             only its position differs
+//
+// A changed node may also have moved (`moved: true`). Edges are added,
+// removed or changed (kind, label, condition or handles).
+
+export const DIFF_STATUSES = {
+  added: { label: 'Added', color: '#22c55e' },
+  removed: { label: 'Removed', color: '#ef4444' },
+  changed: { label: 'Changed', color: '#38bdf8' },
+  moved: { label: 'Moved', color: '#f59e0b' },
+};
+
+// Nodes closer than this (in canvas units) count as not moved
+const MOVE_TOLERANCE = 1;
+
+const GHOST_PREFIX = 'ghost:';
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const isBlank = (value) => value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+// Field-level differences: [{ key, label, before, after }]
+const diffFields = (fields) => fields.filter(({ before, after }) => !(isBlank(before) && isBlank(after)) && !same(before, after));
+
+const nodeFields = (before, after) => {
+  const schema = nodeTypes[after.data.type]?.schema || nodeTypes[before.data.type]?.schema || [];
+  const beforeConfig = before.data.config || {};
+  const afterConfig = after.data.config || {};
+  const keys = [...new Set([...Object.keys(beforeConfig), ...Object.keys(afterConfig)])];
+  return diffFields([
+    { key: 'label', label: 'Label', before: before.data.label, after: after.data.label },
+    { key: 'type', label: 'Type', before: before.data.type, after: after.data.type },
+    { key: 'description', label: 'Description', before: before.data.description, after: after.data.description },
+    ...keys.map((key) => ({
+      key: `config.${key}`,
+      label: schema.find((field) => field.key === key)?.label || key,
+      before: beforeConfig[key],
+      after: afterConfig[key],
+    })),
+    ...(before.data.subflow || after.data.subflow ? [{
+      key: 'subflow',
+      label: 'Inner blocks',
+      before: before.data.subflow?.nodes.length,
+      after: after.data.subflow?.nodes.length,
+    }] : []),
+  ]);
+};
+
+const edgeFields = (before, after) => diffFields([
+  { key: 'kind', label: 'Kind', before: edgeKind(before), after: edgeKind(after) },
+  { key: 'label', label: 'Label', before: before.data?.label, after: after.data?.label },
+  { key: 'condition', label: 'Condition', before: before.data?.condition, after: after.data?.condition },
+  { key: 'sourceHandle', label: 'From handle', before: before.sourceHandle, after: after.sourceHandle },
+  { key: 'targetHandle', label: 'To handle', before: before.targetHandle, after: after.targetHandle },
+]);
+
+const hasMoved = (before, after) =>
+  Math.abs(before.position.x - after.position.x) > MOVE_TOLERANCE ||
+  Math.abs(before.position.y - after.position.y) > MOVE_TOLERANCE;
+
+// Pair up edges: same id first, then same endpoints
+const matchEdges = (beforeEdges, afterEdges) => {
+  const pairs = [];
+  const unmatchedBefore = new Map(beforeEdges.map((edge) => [edge.id, edge]));
+  const unmatchedAfter = [];
+  afterEdges.forEach((edge) => {
+    if (unmatchedBefore.has(edge.id)) {
+      pairs.push([unmatchedBefore.get(edge.id), edge]);
+      unmatchedBefore.delete(edge.id);
+    } else {
+      unmatchedAfter.push(edge);
+    }
+  });
+
+  const byEndpoints = new Map([...unmatchedBefore.values()].map((edge) => [createEdgeId(edge), edge]));
+  unmatchedAfter.forEach((edge) => {
+    const match = byEndpoints.get(createEdgeId(edge));
+    if (match) byEndpoints.delete(createEdgeId(edge));
+    pairs.push([match || null, edge]);
+  });
+  byEndpoints.forEach((edge) => pairs.push([edge, null]));
+  return pairs;
+};
+
+// Returns { nodes: [change], edges: [change], counts }, where a change is
+// { id, status, before, after, fields, moved } and unchanged items are left out
+export const diffWorkflows = (before, after) => {
+  const beforeById = new Map(before.nodes.map((node) => [node.id, node]));
+  const afterIds = new Set(after.nodes.map((node) => node.id));
+
+  const nodes = [
+    ...after.nodes.map((node) => {
+      const previous = beforeById.get(node.id);
+      if (!previous) return { id: node.id, status: 'added', before: null, after: node, fields: [], moved: false };
+      const fields = nodeFields(previous, node);
+      const moved = hasMoved(previous, node);
+      const status = fields.length > 0 ? 'changed' : moved ? 'moved' : null;
+      return status && { id: node.id, status, before: previous, after: node, fields, moved };
+    }),
+    ...before.nodes
+      .filter((node) => !afterIds.has(node.id))
+      .map((node) => ({ id: node.id, status: 'removed', before: node, after: null, fields: [], moved: false })),
+  ].filter(Boolean);
+
+  const edges = matchEdges(before.edges, after.edges)
+    .map(([previous, edge]) => {
+      if (!previous) return { id: edge.id, status: 'added', before: null, after: edge, fields: [] };
+      if (!edge) return { id: previous.id, status: 'removed', before: previous, after: null, fields: [] };
+      const fields = edgeFields(previous, edge);
+      return fields.length > 0 && { id: edge.id, status: 'changed', before: previous, after: edge, fields };
+    })
+    .filter(Boolean);
+
+  const counts = Object.fromEntries(Object.keys(DIFF_STATUSES).map((status) => [
+    status,
+    nodes.filter((change) => change.status === status || (status === 'moved' && change.moved)).length +
+      edges.filter((change) => change.status === status).length,
+  ]));
+
+  return { nodes, edges, counts };
+};
+
+const highlight = (status) => {
+  const { color } = DIFF_STATUSES[status];
+  return {
+    outline: `3px ${status === 'removed' ? 'dashed' : 'solid'} ${color}`,
+    outlineOffset: 6,
+    borderRadius: 16,
+    ...(status === 'removed' ? { opacity: 0.55 } : {}),
+  };
+};
+
+// React Flow nodes and edges showing both versions: the newer graph, removed
+// items where they were, and a faded copy of each moved node at its old spot
+export const diffOverlay = (before, after, diff) => {
+  const nodeChanges = new Map(diff.nodes.map((change) => [change.id, change]));
+  const edgeChanges = new Map(diff.edges.map((change) => [change.id, change]));
+  const toOverlay = (node) => {
+    const change = nodeChanges.get(node.id);
+    const { selected, dragging, ...rest } = node;
+    return {
+      ...rest,
+      draggable: false,
+      connectable: false,
+      style: { ...node.style, ...(change ? highlight(change.status) : { opacity: 0.6 }) },
+    };
+  };
+
+  const ghosts = diff.nodes
+    .filter((change) => change.moved || change.status === 'moved')
+    .map((change) => ({
+      ...change.before,
+      id: `${GHOST_PREFIX}${change.id}`,
+      draggable: false,
+      connectable: false,
+      selectable: false,
+      style: {
+        ...change.before.style,
+        opacity: 0.3,
+        outline: `2px dashed ${DIFF_STATUSES.moved.color}`,
+        outlineOffset: 6,
+        borderRadius: 16,
+        pointerEvents: 'none',
+      },
+    }));
+
+  const nodes = [
+    ...ghosts,
+    ...after.nodes.map(toOverlay),
+    ...diff.nodes.filter((change) => change.status === 'removed').map((change) => toOverlay(change.before)),
+  ];
+
+  const byId = new Map(nodes.map((node) => [node.id, node]));
+  const toEdge = (edge, status) => {
+    const styled = styleEdge(edge, byId.get(edge.source));
+    // Unchanged edges go gray so branch colours are not mistaken for changes
+    const color = status ? DIFF_STATUSES[status].color : '#4b5563';
+    const { selected, ...rest } = styled;
+    return {
+      ...rest,
+      id: status === 'removed' ? `removed:${edge.id}` : edge.id,
+      animated: false,
+      style: {
+        ...styled.style,
+        stroke: color,
+        strokeWidth: status ? 3 : 2,
+        strokeDasharray: status === 'removed' ? '6 4' : styled.style.strokeDasharray,
+        opacity: status ? 1 : 0.5,
+      },
+      markerEnd: { ...styled.markerEnd, color },
+    };
+  };
+
+  const edges = [
+    ...after.edges.map((edge) => toEdge(edge, edgeChanges.get(edge.id)?.status)),
+    ...diff.edges.filter((change) => change.status === 'removed').map((change) => toEdge(change.before, 'removed')),
+  ];
+
+  return { nodes, edges };
+};
@@ -0,0 +1,161 @@
+import { nodeTypes } from './node-types';
+import { defaultConfig } from './config-schema';
+import { DEFAULT_EDGE_KIND, edgeBranch } from './edge-types';
+
+// Versioned on-disk format for workflows.
+//
+// Version history:
+//   1 - untagged `{ nodes, edges, ... }` from the first Export / localStorage saves
+//   2 - `schemaVersion` tag; `data.config` follows the block config schemas
+//   3 - edges carry `data.kind`; guard edges leave from a `pass`/`fail` handle
+//
+// To change the format: bump SCHEMA_VERSION and add a migration from the
+// previous version to MIGRATIONS. Migrations run in order on import.
+
+export const SCHEMA_VERSION = 3;
+export const WORKFLOW_APP = 'smart-contract-builder';
+
+// Coerce stored values to what a schema field expects
+const coerceField = (field, value) => {
+  if (value === undefined || value === null) return value;
+  switch (field.type) {
+    case 'uint':
+    case 'address':
+      return typeof value === 'number' ? String(value) : value;
+    case 'stringList':
+      return typeof value === 'string'
+        ? value.split(',').map((item) => item.trim()).filter(Boolean)
+        : value;
+    case 'boolean':
+      return typeof value === 'string' ? value === 'true' : value;
+    default:
+      return value;
+  }
+};
+
+// Edges of a graph and of every group inside it, with a kind and branch handle
+const typeEdges = ({ nodes, edges, ...rest }) => {
+  const byId = new Map(nodes.map((node) => [node.id, node]));
+  return {
+    ...rest,
+    nodes: nodes.map((node) => (node.data?.subflow
+      ? { ...node, data: { ...node.data, subflow: typeEdges(node.data.subflow) } }
+      : node)),
+    edges: (edges || []).map((edge) => ({
+      ...edge,
+      ...(edgeBranch(edge, byId.get(edge.source)) && !edge.sourceHandle ? { sourceHandle: 'pass' } : {}),
+      data: { kind: DEFAULT_EDGE_KIND, ...edge.data },
+    })),
+  };
+};
+
+const MIGRATIONS = {
+  // 1 -> 2: fill in schema defaults and normalise config value types
+  1: (workflow) => ({
+    ...workflow,
+    nodes: workflow.nodes.map((node) => {
+      const schema = nodeTypes[node.data?.type]?.schema || [];
+      const config = { ...defaultConfig(schema), ...(node.data?.config || {}) };
+      schema.forEach((field) => {
+        config[field.key] = coerceField(field, config[field.key]);
+      });
+      return {
+        ...node,
+        type: node.type || 'customNode',
+        data: { status: 'idle', ...node.data, config },
+      };
+    }),
+    schemaVersion: 2,
+  }),
+
+  // 2 -> 3: tag edges as control flow; existing guard edges become the pass branch
+  2: (workflow) => ({
+    ...typeEdges(workflow),
+    schemaVersion: 3,
+  }),
+};
+
+// Wrap a graph in the current on-disk format. Every edge is written with its
+// kind and, when it leaves a guard, its branch handle.
+export const serializeWorkflow = (nodes, edges, extra = {}) => ({
+  app: WORKFLOW_APP,
+  schemaVersion: SCHEMA_VERSION,
+  exportedAt: new Date().toISOString(),
+  ...extra,
+  ...typeEdges({ nodes, edges }),
+});
+
+// Structural checks that must hold before migrations can run
+const validateShape = (workflow) => {
+  if (!workflow || typeof workflow !== 'object' || Array.isArray(workflow)) {
+    throw new Error('File does not contain a workflow object');
+  }
+  if (!Array.isArray(workflow.nodes)) throw new Error('Workflow has no "nodes" list');
+  if (workflow.edges !== undefined && !Array.isArray(workflow.edges)) {
+    throw new Error('Workflow "edges" must be a list');
+  }
+
+  const ids = new Set();
+  workflow.nodes.forEach((node, index) => {
+    const where = `Node ${index + 1}`;
+    if (!node || typeof node.id !== 'string' || !node.id) throw new Error(`${where} has no id`);
+    if (ids.has(node.id)) throw new Error(`Duplicate node id "${node.id}"`);
+    ids.add(node.id);
+    if (!node.position || !Number.isFinite(node.position.x) || !Number.isFinite(node.position.y)) {
+      throw new Error(`${where} ("${node.id}") has no valid position`);
+    }
+    if (!node.data || typeof node.data.type !== 'string') {
+      throw new Error(`${where} ("${node.id}") has no block type`);
+    }
+  });
+};
+
+// Parse, validate and migrate a workflow (JSON text or object).
+// Returns { nodes, edges, schemaVersion, warnings }; throws on invalid input.
+export const parseWorkflow = (input) => {
+  let workflow = input;
+  if (typeof input === 'string') {
+    try {
+      workflow = JSON.parse(input);
+    } catch {
+      throw new Error('File is not valid JSON');
+    }
+  }
+
+  validateShape(workflow);
+
+  const fromVersion = workflow.schemaVersion ?? 1;
+  if (!Number.isInteger(fromVersion) || fromVersion < 1) {
+    throw new Error(`Unknown schema version "${workflow.schemaVersion}"`);
+  }
+  if (fromVersion > SCHEMA_VERSION) {
+    throw new Error(`Workflow uses schema version ${fromVersion}, but this app only understands up to ${SCHEMA_VERSION}`);
+  }
+
+  let migrated = { ...workflow, edges: workflow.edges || [] };
+  for (let version = fromVersion; version < SCHEMA_VERSION; version += 1) {
+    migrated = MIGRATIONS[version](migrated);
+  }
+
+  const warnings = [];
+  migrated.nodes
+    .filter((node) => !nodeTypes[node.data.type])
+    .forEach((node) => warnings.push(`Unknown block type "${node.data.type}" on "${node.data.label || node.id}"`));
+
+  const nodeIds = new Set(migrated.nodes.map((node) => node.id));
+  const edges = migrated.edges.filter((edge) => {
+    const valid = edge && nodeIds.has(edge.source) && nodeIds.has(edge.target);
+    if (!valid) warnings.push(`Dropped connection "${edge?.id || '?'}" to a missing node`);
+    return valid;
+  });
+
+  return {
+    nodes: migrated.nodes,
+    edges,
+    schemaVersion: fromVersion,
+    warnings,
+  };
+};
+
+// Read a File from an <input type="file"> or a drop event
+export const readWorkflowFile = async (file) => parseWorkflow(await file.text());
@@ -0,0 +1,21 @@
+import fungibleToken from './fungible-token.json';
+import nftCollection from './nft-collection.json';
+import stakingPool from './staking-pool.json';
+import ammSwapPair from './amm-swap-pair.json';
+import tokenVesting from './token-vesting.json';
+import multisigTreasury from './multisig-treasury.json';
+
+// Starter contracts for the template gallery, in gallery order.
+//
+// A template is a workflow file (see lib/workflow-schema.js) with an `id`,
+// `name` and `description`, plus an optional `preview` image URL; without
+// one the gallery draws the graph. To add one, drop the JSON file in this
+// folder and list it here.
+export default [
+  fungibleToken,
+  nftCollection,
+  stakingPool,
+  ammSwapPair,
+  tokenVesting,
+  multisigTreasury,
+];